@@ -0,0 +1,127 @@
+/* ============================================
+   COLLAB CLIENT - Shared Session Connection
+   ============================================
+
+   Browser side of collab-relay.mjs (see its header for
+   the protocol). Wraps one WebSocket and hands relay
+   messages to listeners as typed events:
+
+       { type: 'edit',   from, changes }   someone else's accepted changes
+       { type: 'ack',    op, rejected }    our edit; rejected cells come
+                                           back with the room's value
+       { type: 'clear',  from }
+       { type: 'join',   peer } / { type: 'leave', id }
+       { type: 'cursor', from, cell }
+       { type: 'error',  message }
+       { type: 'close' }                   connection lost or left
+
+   It never touches the grid: the editor applies events
+   and decides what to send.
+*/
+
+export const DEFAULT_RELAY_PORT = 8787;
+
+export class CollabClient {
+    constructor() {
+        this.socket = null;
+        this.listeners = new Set();
+        this.nextOp = 1;
+        this.id = null;
+    }
+
+    /**
+     * @param {Function} listener - Called with every relay event
+     * @returns {Function} - Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    _emit(event) {
+        this.listeners.forEach(listener => listener(event));
+    }
+
+    get connected() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN && this.id !== null;
+    }
+
+    /**
+     * Open the connection and join a room
+     * @param {string} url - ws:// or wss:// address of the relay
+     * @param {Object} hello - { room, name, snapshot } (snapshot seeds an empty room)
+     * @returns {Promise<Object>} - The welcome message: { id, color, seeded, scene, peers }
+     */
+    connect(url, hello) {
+        return new Promise((resolve, reject) => {
+            let welcomed = false;
+            const socket = new WebSocket(url);
+            this.socket = socket;
+
+            socket.addEventListener('open', () => {
+                socket.send(JSON.stringify({ type: 'hello', ...hello }));
+            });
+
+            socket.addEventListener('message', (e) => {
+                let message;
+                try {
+                    message = JSON.parse(e.data);
+                } catch (err) {
+                    console.warn('Ignoring malformed relay message', err);
+                    return;
+                }
+
+                if (!welcomed) {
+                    if (message.type === 'welcome') {
+                        welcomed = true;
+                        this.id = message.id;
+                        resolve(message);
+                    } else if (message.type === 'error') {
+                        reject(new Error(message.message));
+                        socket.close();
+                    }
+                    return;
+                }
+                this._emit(message);
+            });
+
+            socket.addEventListener('close', () => {
+                if (this.socket === socket) {
+                    this.socket = null;
+                    this.id = null;
+                }
+                if (welcomed) this._emit({ type: 'close' });
+                else reject(new Error(`Could not reach ${url}`));
+            });
+        });
+    }
+
+    _send(message) {
+        if (this.connected) this.socket.send(JSON.stringify(message));
+    }
+
+    /**
+     * @param {Array} changes - [{ x, y, z, before, after }], values or null
+     * @returns {number} - Op id, echoed by the 'ack' event
+     */
+    edit(changes) {
+        const op = this.nextOp++;
+        this._send({ type: 'edit', op, changes });
+        return op;
+    }
+
+    clear() {
+        this._send({ type: 'clear' });
+    }
+
+    /**
+     * @param {Array|null} cell - [x, y, z] of our cursor, null when hidden
+     */
+    cursor(cell) {
+        this._send({ type: 'cursor', cell });
+    }
+
+    close() {
+        if (this.socket) this.socket.close();
+    }
+}
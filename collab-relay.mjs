@@ -0,0 +1,415 @@
+#!/usr/bin/env node
+/* ============================================
+   COLLAB RELAY - Shared Editing Sessions
+   ============================================
+
+   A small WebSocket relay for building one scene from
+   several machines. Node built-ins only (http, crypto):
+
+       node collab-relay.mjs [port]      default 8787
+
+   then 👥 in the editor, with ws://<this machine>:8787.
+
+   Each room holds the authoritative voxel cells of its
+   scene. The first participant seeds it with their open
+   scene; later ones receive it. The room is dropped when
+   its last participant leaves.
+
+   Conflicts: every change carries the value the sender
+   saw before it (`before`). A change whose `before` no
+   longer matches the room was beaten to that cell by
+   someone else - it is rejected, and the sender gets the
+   cell's current value back. First writer wins; nobody's
+   block is silently overwritten.
+
+   Messages are JSON text frames:
+
+       client -> relay
+           { type: 'hello', room, name, snapshot }
+           { type: 'edit', op, changes: [{ x, y, z, before, after }] }
+           { type: 'clear' }
+           { type: 'cursor', cell: [x, y, z] | null }
+
+       relay -> client
+           { type: 'welcome', id, color, seeded, scene, peers }
+           { type: 'join', peer } / { type: 'leave', id }
+           { type: 'edit', from, changes: [{ x, y, z, value }] }
+           { type: 'ack', op, rejected: [{ x, y, z, value }] }
+           { type: 'clear', from }
+           { type: 'cursor', from, cell }
+           { type: 'error', message }
+
+   A scene is { name, world, palette, cells: [[x, y, z, value]] };
+   values are voxel values ({ color, material? }) or null.
+*/
+
+import { createServer } from 'node:http';
+import { createHash, randomUUID } from 'node:crypto';
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 16 * 1024 * 1024;   // Bytes; snapshots of big scenes are large
+const MAX_CHANGES = 200000;             // Cells in one edit
+const PING_INTERVAL = 30000;            // ms between keep-alive pings
+
+// One per participant, in join order
+const PEER_COLORS = ['#ff6b6b', '#00d4ff', '#ffd93d', '#6bcb77', '#c77dff', '#ff9f43', '#4d96ff', '#f15bb5'];
+
+const rooms = new Map();   // name -> { cells: Map<key, value>, meta, peers: Map<id, peer> }
+
+// ============================================
+// WEBSOCKET FRAMING
+// ============================================
+
+const OP_CONTINUATION = 0x0;
+const OP_TEXT = 0x1;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * One WebSocket connection: decodes client frames, emits whole text messages
+ */
+class Connection {
+    constructor(socket, onMessage, onClose) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+        this.alive = true;
+
+        socket.on('data', chunk => this._receive(chunk));
+        socket.on('end', () => {
+            socket.end();   // Upgraded sockets are half-open; finish our side too
+            this._closed();
+        });
+        socket.on('close', () => this._closed());
+        socket.on('error', () => this._closed());
+    }
+
+    send(message) {
+        if (this.closed) return;
+        this.socket.write(encodeFrame(OP_TEXT, Buffer.from(JSON.stringify(message))));
+    }
+
+    ping() {
+        if (!this.alive) {
+            this.socket.destroy();
+            return;
+        }
+        this.alive = false;
+        this.socket.write(encodeFrame(OP_PING, Buffer.alloc(0)));
+    }
+
+    close(code = 1000) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.socket.end(encodeFrame(OP_CLOSE, payload));
+        this._closed();
+    }
+
+    _closed() {
+        if (this.closed) return;
+        this.closed = true;
+        this.onClose();
+    }
+
+    _receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (!this.closed) {
+            const frame = this._parseFrame();
+            if (!frame) return;
+            this._handleFrame(frame);
+        }
+    }
+
+    /**
+     * @returns {Object|null} - { fin, opcode, payload } or null until the frame is complete
+     */
+    _parseFrame() {
+        const buf = this.buffer;
+        if (buf.length < 2) return null;
+
+        const fin = (buf[0] & 0x80) !== 0;
+        const opcode = buf[0] & 0x0f;
+        const masked = (buf[1] & 0x80) !== 0;
+        let length = buf[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buf.length < 4) return null;
+            length = buf.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buf.length < 10) return null;
+            length = Number(buf.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        // Clients must mask; oversized frames are refused before buffering them
+        if (!masked || length > MAX_MESSAGE) {
+            this.close(masked ? 1009 : 1002);
+            return null;
+        }
+        if (buf.length < offset + 4 + length) return null;
+
+        const mask = buf.subarray(offset, offset + 4);
+        const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+
+        this.buffer = buf.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    _handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OP_PING:
+                this.socket.write(encodeFrame(OP_PONG, payload));
+                return;
+            case OP_PONG:
+                this.alive = true;
+                return;
+            case OP_CLOSE:
+                this.close();
+                return;
+            case OP_TEXT:
+            case OP_CONTINUATION:
+                this.fragments.push(payload);
+                if (this.fragments.reduce((sum, part) => sum + part.length, 0) > MAX_MESSAGE) {
+                    this.close(1009);
+                    return;
+                }
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.onMessage(text);
+                }
+                return;
+            default:
+                this.close(1003);   // Binary frames aren't part of the protocol
+        }
+    }
+}
+
+// ============================================
+// ROOMS
+// ============================================
+
+function cellKey(x, y, z) {
+    return `${x},${y},${z}`;
+}
+
+function isCell(x, y, z) {
+    return Number.isInteger(x) && Number.isInteger(y) && Number.isInteger(z);
+}
+
+/**
+ * A voxel value from a client, or null for an empty cell
+ */
+function cleanValue(value) {
+    if (value === null || value === undefined) return null;
+    if (!Number.isInteger(value.color)) throw new Error('Voxel without a color');
+    return typeof value.material === 'string' ? { color: value.color, material: value.material } : { color: value.color };
+}
+
+function sameValue(a, b) {
+    if (a === null || b === null) return a === b;
+    return a.color === b.color && (a.material || null) === (b.material || null);
+}
+
+function roomScene(room) {
+    const cells = [];
+    room.cells.forEach((value, key) => cells.push([...key.split(',').map(Number), value]));
+    return { ...room.meta, cells };
+}
+
+function broadcast(room, message, except = null) {
+    room.peers.forEach(peer => {
+        if (peer !== except) peer.connection.send(message);
+    });
+}
+
+function publicPeer(peer) {
+    return { id: peer.id, name: peer.name, color: peer.color, cell: peer.cell };
+}
+
+function join(peer, { room: roomName, name, snapshot }) {
+    const key = String(roomName || '').trim().slice(0, 60);
+    if (!key) throw new Error('Room name is required');
+
+    let room = rooms.get(key);
+    const seeded = !room;
+    if (!room) {
+        room = { cells: new Map(), meta: {}, peers: new Map() };
+        if (snapshot) {
+            room.meta = { name: snapshot.name, world: snapshot.world, palette: snapshot.palette };
+            (snapshot.cells || []).forEach(([x, y, z, value]) => {
+                if (isCell(x, y, z) && value) room.cells.set(cellKey(x, y, z), cleanValue(value));
+            });
+        }
+        rooms.set(key, room);
+    }
+
+    const used = new Set([...room.peers.values()].map(other => other.color));
+    peer.room = room;
+    peer.roomName = key;
+    peer.name = String(name || 'Guest').trim().slice(0, 40) || 'Guest';
+    peer.color = PEER_COLORS.find(color => !used.has(color)) || PEER_COLORS[room.peers.size % PEER_COLORS.length];
+
+    peer.connection.send({
+        type: 'welcome',
+        id: peer.id,
+        color: peer.color,
+        seeded,
+        scene: seeded ? null : roomScene(room),
+        peers: [...room.peers.values()].map(publicPeer)
+    });
+    room.peers.set(peer.id, peer);
+    broadcast(room, { type: 'join', peer: publicPeer(peer) }, peer);
+    console.log(`👋 ${peer.name} joined "${key}" (${room.peers.size} here)`);
+}
+
+/**
+ * Apply the changes whose `before` still matches; send the rest back
+ */
+function edit(peer, { op, changes }) {
+    if (!Array.isArray(changes) || changes.length > MAX_CHANGES) throw new Error('Bad edit');
+
+    // Validate everything before touching the room
+    const cleaned = changes.map(({ x, y, z, before, after }) => {
+        if (!isCell(x, y, z)) throw new Error('Bad cell in edit');
+        return { x, y, z, before: cleanValue(before), after: cleanValue(after) };
+    });
+
+    const room = peer.room;
+    const accepted = [];
+    const rejected = [];
+
+    cleaned.forEach(({ x, y, z, before, after: value }) => {
+        const key = cellKey(x, y, z);
+        const current = room.cells.get(key) ?? null;
+
+        if (!sameValue(current, before)) {
+            rejected.push({ x, y, z, value: current });
+            return;
+        }
+
+        if (value) room.cells.set(key, value);
+        else room.cells.delete(key);
+        accepted.push({ x, y, z, value });
+    });
+
+    peer.connection.send({ type: 'ack', op, rejected });
+    if (accepted.length > 0) broadcast(room, { type: 'edit', from: peer.id, changes: accepted }, peer);
+}
+
+function leave(peer) {
+    const room = peer.room;
+    if (!room) return;
+    peer.room = null;
+
+    room.peers.delete(peer.id);
+    broadcast(room, { type: 'leave', id: peer.id });
+    if (room.peers.size === 0) rooms.delete(peer.roomName);
+    console.log(`👋 ${peer.name} left "${peer.roomName}"`);
+}
+
+function handleMessage(peer, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (err) {
+        peer.connection.send({ type: 'error', message: 'Malformed message' });
+        return;
+    }
+
+    try {
+        if (message.type === 'hello') {
+            if (peer.room) throw new Error('Already in a room');
+            join(peer, message);
+            return;
+        }
+        if (!peer.room) throw new Error('Say hello first');
+
+        switch (message.type) {
+            case 'edit':
+                edit(peer, message);
+                break;
+            case 'clear':
+                peer.room.cells.clear();
+                broadcast(peer.room, { type: 'clear', from: peer.id }, peer);
+                break;
+            case 'cursor':
+                peer.cell = Array.isArray(message.cell) && isCell(...message.cell) ? message.cell : null;
+                broadcast(peer.room, { type: 'cursor', from: peer.id, cell: peer.cell }, peer);
+                break;
+            default:
+                throw new Error(`Unknown message type "${message.type}"`);
+        }
+    } catch (err) {
+        peer.connection.send({ type: 'error', message: err.message });
+    }
+}
+
+// ============================================
+// SERVER
+// ============================================
+
+const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('VoxelFlow collaboration relay - connect with a WebSocket\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const peer = { id: randomUUID(), name: null, color: null, cell: null, room: null };
+    peer.connection = new Connection(socket, text => handleMessage(peer, text), () => leave(peer));
+});
+
+const heartbeat = setInterval(() => {
+    rooms.forEach(room => room.peers.forEach(peer => peer.connection.ping()));
+}, PING_INTERVAL);
+
+server.on('close', () => clearInterval(heartbeat));
+
+server.listen(PORT, () => {
+    console.log(`🧱 VoxelFlow relay listening on ws://localhost:${PORT}`);
+});
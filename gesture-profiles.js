@@ -0,0 +1,133 @@
+/* ============================================
+   GESTURE PROFILES - Remappable Hand Controls
+   ============================================
+
+   A profile says which hand moves the cursor and which
+   gesture triggers each editing action:
+
+       {
+           name,
+           cursorHand: 'Right' | 'Left',
+           twoHand: { place, remove, paint, undo },
+           oneHand: { place, remove, paint, undo }
+       }
+
+   A binding is a string:
+
+       'trigger:pinch'   gesture (see GESTURES) on the trigger hand
+       'cursor:fist'     ...or on the cursor hand
+       'dwell'           hold the cursor still (place only)
+       'none'            unbound
+
+   One-hand mode has no trigger hand, so only cursor
+   bindings work there. When place and remove share a
+   binding it toggles: remove over a voxel, place elsewhere.
+
+   Built-in profiles are read-only; user profiles are
+   stored in localStorage under STORAGE_KEY.
+*/
+
+import { GESTURES } from './gesture-recognizer.js';
+
+const STORAGE_KEY = 'voxel-gesture-profiles';
+
+export const PROFILE_ACTIONS = ['place', 'remove', 'paint', 'undo'];
+
+export const BUILTIN_PROFILES = [
+    {
+        name: 'Default',
+        cursorHand: 'Right',
+        twoHand: { place: 'trigger:pinch', remove: 'trigger:pinch', paint: 'none', undo: 'cursor:pinch' },
+        oneHand: { place: 'dwell', remove: 'cursor:pinch', paint: 'none', undo: 'none' }
+    },
+    {
+        name: 'Left-handed',
+        cursorHand: 'Left',
+        twoHand: { place: 'trigger:pinch', remove: 'trigger:pinch', paint: 'none', undo: 'cursor:pinch' },
+        oneHand: { place: 'dwell', remove: 'cursor:pinch', paint: 'none', undo: 'none' }
+    },
+    {
+        // No fine finger control needed: whole-hand poses and dwell only
+        name: 'Open / Closed Hand',
+        cursorHand: 'Right',
+        twoHand: { place: 'trigger:fist', remove: 'trigger:fist', paint: 'none', undo: 'trigger:thumbs-up' },
+        oneHand: { place: 'dwell', remove: 'cursor:fist', paint: 'none', undo: 'none' }
+    }
+];
+
+const POSES = GESTURES.filter(gesture => gesture !== 'none');
+
+/**
+ * Values a binding select offers
+ * @param {string} action - One of PROFILE_ACTIONS
+ * @param {boolean} twoHands - Two-hand column (trigger hand available)
+ */
+export function bindingChoices(action, twoHands) {
+    const roles = twoHands ? ['trigger', 'cursor'] : ['cursor'];
+    const choices = ['none'];
+    if (action === 'place') choices.push('dwell');
+    roles.forEach(role => POSES.forEach(gesture => choices.push(`${role}:${gesture}`)));
+    return choices;
+}
+
+/**
+ * @returns {{role: string, gesture: string}|null} - null for 'none' and 'dwell'
+ */
+export function parseBinding(binding) {
+    const [role, gesture] = String(binding).split(':');
+    if (!gesture || !POSES.includes(gesture) || (role !== 'cursor' && role !== 'trigger')) return null;
+    return { role, gesture };
+}
+
+export function isBuiltinProfile(name) {
+    return BUILTIN_PROFILES.some(profile => profile.name === name);
+}
+
+/**
+ * Fill gaps and drop unknown bindings, so profiles saved by older
+ * versions (or edited by hand) still load
+ */
+export function normalizeProfile(profile) {
+    const base = BUILTIN_PROFILES[0];
+    const bindings = (stored, twoHands, defaults) => Object.fromEntries(PROFILE_ACTIONS.map(action => {
+        const value = stored?.[action];
+        return [action, bindingChoices(action, twoHands).includes(value) ? value : defaults[action]];
+    }));
+
+    return {
+        name: String(profile?.name || 'Custom').trim().slice(0, 40) || 'Custom',
+        cursorHand: profile?.cursorHand === 'Left' ? 'Left' : 'Right',
+        twoHand: bindings(profile?.twoHand, true, base.twoHand),
+        oneHand: bindings(profile?.oneHand, false, base.oneHand)
+    };
+}
+
+/**
+ * @returns {{active: string, profiles: Array}} - Built-ins first, then user profiles
+ */
+export function loadProfiles() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (err) {
+        console.warn('Ignoring unreadable gesture profiles', err);
+    }
+
+    const custom = (Array.isArray(stored?.profiles) ? stored.profiles : [])
+        .map(normalizeProfile)
+        .filter(profile => !isBuiltinProfile(profile.name));
+    const profiles = [...BUILTIN_PROFILES.map(normalizeProfile), ...custom];
+
+    const active = profiles.some(profile => profile.name === stored?.active) ? stored.active : profiles[0].name;
+    return { active, profiles };
+}
+
+/**
+ * Store user profiles and the active profile's name
+ */
+export function saveProfiles({ active, profiles }) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        active,
+        profiles: profiles.filter(profile => !isBuiltinProfile(profile.name))
+    }));
+}
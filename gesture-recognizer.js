@@ -0,0 +1,285 @@
+/* ============================================
+   GESTURE RECOGNIZER - Hand Pose Classification
+   ============================================
+
+   Turns the 21 MediaPipe hand landmarks of each hand
+   into one of a small set of gestures:
+
+       open-palm         all five fingers raised
+       fist              no finger raised
+       point             only the index finger raised
+       pinch             thumb tip on index tip
+       two-finger-pinch  thumb tip on index and middle tips
+       thumbs-up         only the thumb raised, pointing up
+       none              anything else
+
+   and detects swipes: an open palm moved quickly
+   left, right, up or down.
+
+   Raw per-frame measurements flicker, so every decision
+   is filtered twice:
+
+   1. Hysteresis - a finger or pinch needs to cross a
+      stricter threshold to switch on than to stay on.
+   2. Debounce   - a new gesture must be seen for
+      `debounce` ms before it replaces the current one.
+
+   Listeners receive typed events:
+
+       { type: 'start', gesture, hand, time }
+       { type: 'end',   gesture, hand, time, duration }
+       { type: 'hold',  gesture, hand, time }   once per gesture, after `holdTime`
+       { type: 'swipe', direction, hand, time } 'left' | 'right' | 'up' | 'down'
+
+   `hand` is MediaPipe's handedness label ("Left" / "Right").
+   Directions are as seen on screen, see the `mirror` option.
+*/
+
+export const GESTURES = ['open-palm', 'fist', 'point', 'pinch', 'two-finger-pinch', 'thumbs-up', 'none'];
+
+// MediaPipe landmark indices
+const WRIST = 0;
+const THUMB_MCP = 2;
+const THUMB_TIP = 4;
+const INDEX_MCP = 5;
+const INDEX_TIP = 8;
+const MIDDLE_MCP = 9;
+const MIDDLE_TIP = 12;
+
+// [tip, pip] for index, middle, ring, pinky
+const FINGER_JOINTS = [[8, 6], [12, 10], [16, 14], [20, 18]];
+
+const DEFAULTS = {
+    pinchOn: 0.5,           // Thumb-to-tip distance, in palm sizes, that starts a pinch
+    pinchOff: 0.65,         // ...and the distance that ends it
+    pinchReach: 1.1,        // Fingertip must be this much farther from the wrist than its knuckle
+    fingerOn: 1.15,         // Tip/PIP distance-from-wrist ratio that raises a finger
+    fingerOff: 1.0,         // ...and the ratio that lowers it again
+    thumbOn: 0.65,          // Thumb tip to index knuckle, in palm sizes, that raises the thumb
+    thumbOff: 0.5,
+    debounce: 80,           // ms a new gesture must be stable before it is reported
+    holdTime: 700,          // ms before a 'hold' event
+    swipeDistance: 0.2,     // Palm travel (normalized image units) that counts as a swipe
+    swipeTime: 300,         // ...within this many ms
+    swipeCooldown: 500,     // ms between swipes of one hand
+    mirror: true            // The video is shown mirrored, so image left is screen right
+};
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+export class GestureRecognizer {
+    /**
+     * @param {Object} [options] - Overrides for DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.hands = new Map();   // label -> per-hand state
+        this.listeners = new Set();
+    }
+
+    /**
+     * @param {Function} listener - Called with every gesture event
+     * @returns {Function} - Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Change thresholds on the fly (e.g. after calibration)
+     */
+    configure(options) {
+        Object.assign(this.options, options);
+    }
+
+    _emit(event) {
+        this.listeners.forEach(listener => listener(event));
+    }
+
+    /**
+     * Current (debounced) gesture of a hand, 'none' if it isn't tracked
+     */
+    gesture(hand) {
+        return this.hands.get(hand)?.gesture ?? 'none';
+    }
+
+    /**
+     * How long (ms) the current gesture has been held
+     */
+    heldFor(hand, now) {
+        const state = this.hands.get(hand);
+        return state && state.gesture !== 'none' ? now - state.since : 0;
+    }
+
+    /**
+     * Pinching with one or two fingers
+     */
+    isPinching(hand) {
+        const gesture = this.gesture(hand);
+        return gesture === 'pinch' || gesture === 'two-finger-pinch';
+    }
+
+    /**
+     * Raised fingers (thumb included) after hysteresis, 0 to 5
+     */
+    fingerCount(hand) {
+        const state = this.hands.get(hand);
+        if (!state) return 0;
+        return state.fingers.filter(Boolean).length + (state.thumb ? 1 : 0);
+    }
+
+    /**
+     * Feed one frame of a hand
+     * @param {string} hand - Handedness label
+     * @param {Array} landmarks - 21 landmarks
+     * @param {number} now - Timestamp in ms
+     */
+    update(hand, landmarks, now) {
+        if (!landmarks || landmarks.length < 21) return;
+
+        let state = this.hands.get(hand);
+        if (!state) {
+            state = {
+                fingers: [false, false, false, false],
+                thumb: false,
+                indexPinch: false,
+                middlePinch: false,
+                gesture: 'none',
+                since: now,
+                held: false,
+                candidate: 'none',
+                candidateSince: now,
+                trail: [],
+                lastSwipe: -Infinity
+            };
+            this.hands.set(hand, state);
+        }
+
+        this._updateFeatures(state, landmarks);
+        this._updateGesture(hand, state, this._classify(state, landmarks), now);
+        this._updateSwipe(hand, state, landmarks, now);
+    }
+
+    /**
+     * A hand left the frame: end its gesture and forget its state
+     */
+    lose(hand, now) {
+        const state = this.hands.get(hand);
+        if (!state) return;
+
+        if (state.gesture !== 'none') {
+            this._emit({ type: 'end', gesture: state.gesture, hand, time: now, duration: now - state.since });
+        }
+        this.hands.delete(hand);
+    }
+
+    // ============================================
+    // CLASSIFICATION
+    // ============================================
+
+    _updateFeatures(state, landmarks) {
+        const o = this.options;
+        const wrist = landmarks[WRIST];
+
+        // Fingers: tip farther from the wrist than the middle joint
+        FINGER_JOINTS.forEach(([tip, pip], i) => {
+            const ratio = distance(landmarks[tip], wrist) / (distance(landmarks[pip], wrist) || 1e-6);
+            state.fingers[i] = state.fingers[i] ? ratio > o.fingerOff : ratio > o.fingerOn;
+        });
+
+        // Thumb: tip well away from the index knuckle, relative to palm size
+        const palmSize = distance(wrist, landmarks[MIDDLE_MCP]) || 1e-6;
+        const thumbSpread = distance(landmarks[THUMB_TIP], landmarks[INDEX_MCP]) / palmSize;
+        state.thumb = state.thumb ? thumbSpread > o.thumbOff : thumbSpread > o.thumbOn;
+
+        // A pinching fingertip reaches past its knuckle. In a fist the tips
+        // curl back into the palm, right next to the thumb.
+        // Distances are in palm sizes, so they don't change with distance to the camera.
+        const pinch = (tip, mcp, on) => {
+            if (distance(landmarks[tip], wrist) < distance(landmarks[mcp], wrist) * o.pinchReach) return false;
+            const d = distance(landmarks[THUMB_TIP], landmarks[tip]) / palmSize;
+            return on ? d < o.pinchOff : d < o.pinchOn;
+        };
+        state.indexPinch = pinch(INDEX_TIP, INDEX_MCP, state.indexPinch);
+        state.middlePinch = pinch(MIDDLE_TIP, MIDDLE_MCP, state.middlePinch);
+    }
+
+    _classify(state, landmarks) {
+        if (state.indexPinch) return state.middlePinch ? 'two-finger-pinch' : 'pinch';
+
+        const [index, middle, ring, pinky] = state.fingers;
+        const raised = state.fingers.filter(Boolean).length;
+
+        if (raised === 4 && state.thumb) return 'open-palm';
+        if (raised === 0) {
+            if (!state.thumb) return 'fist';
+            // Thumb above its own knuckle and the index knuckle (image y grows downwards)
+            const tip = landmarks[THUMB_TIP];
+            if (tip.y < landmarks[THUMB_MCP].y && tip.y < landmarks[INDEX_MCP].y) return 'thumbs-up';
+            return 'none';
+        }
+        if (index && !middle && !ring && !pinky) return 'point';
+        return 'none';
+    }
+
+    _updateGesture(hand, state, candidate, now) {
+        if (candidate !== state.candidate) {
+            state.candidate = candidate;
+            state.candidateSince = now;
+        }
+
+        if (candidate !== state.gesture && now - state.candidateSince >= this.options.debounce) {
+            if (state.gesture !== 'none') {
+                this._emit({ type: 'end', gesture: state.gesture, hand, time: now, duration: now - state.since });
+            }
+            state.gesture = candidate;
+            state.since = now;
+            state.held = false;
+            if (candidate !== 'none') this._emit({ type: 'start', gesture: candidate, hand, time: now });
+        }
+
+        if (state.gesture !== 'none' && !state.held && now - state.since >= this.options.holdTime) {
+            state.held = true;
+            this._emit({ type: 'hold', gesture: state.gesture, hand, time: now });
+        }
+    }
+
+    // ============================================
+    // SWIPES
+    // ============================================
+
+    _updateSwipe(hand, state, landmarks, now) {
+        const o = this.options;
+
+        // Only an open palm swipes, so moving the pointing cursor never does
+        if (state.candidate !== 'open-palm' || now - state.lastSwipe < o.swipeCooldown) {
+            state.trail.length = 0;
+            return;
+        }
+
+        const palm = landmarks[MIDDLE_MCP];
+        state.trail.push({ x: palm.x, y: palm.y, time: now });
+        while (state.trail.length && now - state.trail[0].time > o.swipeTime) state.trail.shift();
+
+        const first = state.trail[0];
+        let dx = palm.x - first.x;
+        const dy = palm.y - first.y;
+        if (o.mirror) dx = -dx;
+
+        // Mostly along one axis
+        const horizontal = Math.abs(dx) >= Math.abs(dy) * 2;
+        const vertical = Math.abs(dy) >= Math.abs(dx) * 2;
+        let direction = null;
+        if (horizontal && Math.abs(dx) >= o.swipeDistance) direction = dx > 0 ? 'right' : 'left';
+        else if (vertical && Math.abs(dy) >= o.swipeDistance) direction = dy > 0 ? 'down' : 'up';
+
+        if (direction) {
+            state.lastSwipe = now;
+            state.trail.length = 0;
+            this._emit({ type: 'swipe', direction, hand, time: now });
+        }
+    }
+}
@@ -0,0 +1,91 @@
+/* ============================================
+   GHOST GROUP - Multi-Voxel Preview
+   ============================================
+
+   The multi-cell counterpart of the ghost voxel:
+   a translucent preview of many voxels at once
+   (pastes, shapes, ...). One InstancedMesh with a
+   color per instance, so a preview of any size is a
+   single draw call.
+*/
+
+import * as THREE from 'three';
+
+const INITIAL_CAPACITY = 64;
+const DEFAULT_COLOR = 0x00d4ff;
+
+export class GhostGroup {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {Object} options
+     * @param {number} options.voxelSize
+     * @param {number} [options.opacity]
+     */
+    constructor(scene, { voxelSize, opacity = 0.4 }) {
+        this.scene = scene;
+        this.voxelSize = voxelSize;
+        this.geometry = new THREE.BoxGeometry(voxelSize * 0.98, voxelSize * 0.98, voxelSize * 0.98);
+        this.material = new THREE.MeshStandardMaterial({
+            transparent: true,
+            opacity,
+            depthWrite: false,
+            emissive: 0xffffff,
+            emissiveIntensity: 0.15
+        });
+        this.matrix = new THREE.Matrix4();
+        this.color = new THREE.Color();
+        this.mesh = this._createMesh(INITIAL_CAPACITY);
+        scene.add(this.mesh);
+    }
+
+    get visible() {
+        return this.mesh.visible;
+    }
+
+    /**
+     * Show a set of cells
+     * @param {Array} cells - [{ x, y, z, value }] in grid cells; value.color tints the cell
+     * @param {number} [fallbackColor] - For cells without a color
+     */
+    show(cells, fallbackColor = DEFAULT_COLOR) {
+        if (cells.length > this.mesh.instanceMatrix.count) this._resize(cells.length);
+
+        const size = this.voxelSize;
+        cells.forEach((cell, i) => {
+            this.matrix.makeTranslation(
+                cell.x * size + size / 2,
+                cell.y * size + size / 2,
+                cell.z * size + size / 2
+            );
+            this.mesh.setMatrixAt(i, this.matrix);
+            this.mesh.setColorAt(i, this.color.setHex(cell.value?.color ?? fallbackColor));
+        });
+
+        this.mesh.count = cells.length;
+        this.mesh.instanceMatrix.needsUpdate = true;
+        if (this.mesh.instanceColor) this.mesh.instanceColor.needsUpdate = true;
+        this.mesh.visible = cells.length > 0;
+    }
+
+    hide() {
+        this.mesh.visible = false;
+    }
+
+    _createMesh(capacity) {
+        const mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+        mesh.count = 0;
+        mesh.visible = false;
+        mesh.frustumCulled = false;
+        return mesh;
+    }
+
+    _resize(needed) {
+        let capacity = this.mesh.instanceMatrix.count;
+        while (capacity < needed) capacity *= 2;
+
+        this.scene.remove(this.mesh);
+        this.mesh.dispose();
+        this.mesh = this._createMesh(capacity);
+        this.scene.add(this.mesh);
+    }
+}
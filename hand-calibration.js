@@ -0,0 +1,171 @@
+/* ============================================
+   HAND CALIBRATION - Per-User Tracking Settings
+   ============================================
+
+   The calibration wizard records three short poses:
+
+       open     hand relaxed and open   -> thumb-index distance
+       pinch    thumb on index          -> thumb-index distance
+       still    pointing, held still    -> tremor
+
+   Thumb-index distances are divided by palm size (wrist
+   to middle knuckle), so they are the same whether the
+   hand is near the camera or far from it.
+
+   deriveSettings turns the measurements into values for
+   the tracking constants:
+
+       pinchOn / pinchOff   between the pinched and open distances
+       minCutoff            One Euro cutoff for a still hand that
+                            brings the tremor down to TARGET_JITTER
+       ghostMinCutoff       the same for the cursor in world space
+       dwellTime            shorter for steady hands
+       dwellTolerance       wide enough for the leftover jitter
+
+   The result is saved in localStorage as one profile.
+*/
+
+const STORAGE_KEY = 'voxel-hand-calibration';
+
+const TARGET_JITTER = 0.0012;    // Landmark jitter (image units) left after smoothing
+const REFERENCE_TREMOR = 0.004;  // Tremor the default dwell time was tuned for
+const FRAME_TIME = 1 / 30;       // s, typical webcam frame interval
+
+export const CALIBRATION_STEPS = [
+    {
+        key: 'open',
+        prompt: 'Hold your cursor hand up, open and relaxed, fingers apart.',
+        duration: 1500
+    },
+    {
+        key: 'pinch',
+        prompt: 'Now pinch your thumb and index finger together and hold.',
+        duration: 1500
+    },
+    {
+        key: 'still',
+        prompt: 'Point with your index finger and hold it as still as you can.',
+        duration: 3000
+    }
+];
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Thumb-to-index distance in palm sizes
+ * @param {Array} landmarks - 21 raw landmarks
+ */
+function pinchRatio(landmarks) {
+    const palmSize = distance(landmarks[0], landmarks[9]) || 1e-6;
+    return distance(landmarks[4], landmarks[8]) / palmSize;
+}
+
+/**
+ * Per-frame jitter of a point held still. Uses frame-to-frame steps,
+ * so a slow drift of the whole arm does not count as tremor.
+ *
+ * @param {Array} points - [{ x, y }] raw index-tip positions, one per frame
+ * @returns {number} - Standard deviation in image units
+ */
+function measureTremor(points) {
+    if (points.length < 3) return REFERENCE_TREMOR;
+
+    let sum = 0;
+    for (let i = 1; i < points.length; i++) {
+        const dx = points[i].x - points[i - 1].x;
+        const dy = points[i].y - points[i - 1].y;
+        sum += dx * dx + dy * dy;
+    }
+    // A step is the difference of two independent samples: twice the variance, in two axes
+    return Math.sqrt(sum / (points.length - 1) / 4);
+}
+
+/**
+ * Measurement of one step from its frames
+ * @param {string} key - CALIBRATION_STEPS key
+ * @param {Array} frames - Raw landmark arrays of the cursor hand
+ */
+export function summarizeStep(key, frames) {
+    if (key === 'still') return measureTremor(frames.map(landmarks => landmarks[8]));
+    return median(frames.map(pinchRatio));
+}
+
+/**
+ * @param {Object} measured - { open, pinch, still } (still = tremor)
+ * @param {Object} view - { visibleHeight } world units the camera frame spans at the target
+ * @returns {Object} - Settings, or { error }
+ */
+export function deriveSettings({ open, pinch, still: tremor }, { visibleHeight }) {
+    if (!(open - pinch > 0.15)) {
+        return { error: 'Open and pinched hands looked too alike - spread your fingers more' };
+    }
+
+    const pinchOn = pinch + (open - pinch) * 0.4;
+    const pinchOff = pinch + (open - pinch) * 0.6;
+
+    // A still hand sees the filter as an EMA, which keeps
+    // alpha / (2 - alpha) of white-noise variance
+    const ratio = Math.min(1, (TARGET_JITTER / Math.max(tremor, 1e-6)) ** 2);
+    const smoothingAlpha = clamp((2 * ratio) / (1 + ratio), 0.08, 0.5);
+    const minCutoff = clamp(alphaToCutoff(smoothingAlpha), 0.3, 4);
+    const ghostMinCutoff = clamp(minCutoff * 1.2, 0.3, 5);
+
+    const steadiness = Math.sqrt(tremor / REFERENCE_TREMOR);
+    const dwellTime = clamp(Math.round((1500 * steadiness) / 100) * 100, 800, 2500);
+
+    // Jitter left after smoothing, in world units, with some headroom
+    const residual = tremor * Math.sqrt(smoothingAlpha / (2 - smoothingAlpha)) * visibleHeight;
+    const dwellTolerance = clamp(0.5 + residual * 3, 0.5, 1.5);
+
+    return {
+        pinchOn: round(pinchOn),
+        pinchOff: round(pinchOff),
+        minCutoff: round(minCutoff),
+        ghostMinCutoff: round(ghostMinCutoff),
+        dwellTime,
+        dwellTolerance: round(dwellTolerance)
+    };
+}
+
+/**
+ * Cutoff (Hz) of a low-pass filter that weighs each new frame by alpha
+ */
+function alphaToCutoff(alpha) {
+    return alpha / ((1 - alpha) * 2 * Math.PI * FRAME_TIME);
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * @returns {Object|null} - { settings, measured, createdAt } or null
+ */
+export function loadCalibration() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return stored && stored.settings ? stored : null;
+    } catch (err) {
+        console.warn('Ignoring unreadable hand calibration', err);
+        return null;
+    }
+}
+
+export function saveCalibration(settings, measured) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ settings, measured, createdAt: Date.now() }));
+}
+
+export function clearCalibration() {
+    localStorage.removeItem(STORAGE_KEY);
+}
@@ -0,0 +1,203 @@
+/* ============================================
+   HAND RECORDING - Record and Replay Tracking
+   ============================================
+
+   HandRecorder stores what MediaPipe reported on every
+   webcam frame; ReplaySource plays it back in the same
+   shape, so the editor's hand pipeline can't tell a
+   recording from a live camera.
+
+   File (.handrec.json):
+
+       {
+           format: 'voxelflow-hand-recording',
+           version: 1,
+           createdAt,                      ISO date
+           camera: { position, target },   [x, y, z] each
+           settings: {                     optional, editor settings in use
+               controls,                   control profile
+               tracking,                   pinch, filter and dwell values
+               depthCursor, depthRange
+           },
+           frames: [
+               { t, hands: [{ label, score, landmarks }] }
+           ]
+       }
+
+   t is ms since the recording started. landmarks is a
+   flat [x, y, z, x, y, z, ...] list of the 21 points.
+   Frames without hands are kept: losing a hand matters
+   to gestures and dwell as much as finding one.
+
+   Replay never skips frames and hands the pipeline the
+   recorded timestamps, so it runs the same way on a slow
+   machine as on a fast one. The editor applies `settings`
+   for the length of the replay, so it doesn't depend on
+   how the replaying browser is set up.
+*/
+
+export const RECORDING_FORMAT = 'voxelflow-hand-recording';
+export const RECORDING_VERSION = 1;
+export const RECORDING_EXTENSION = '.handrec.json';
+
+const LANDMARK_COUNT = 21;
+
+// 5 decimals is ~0.01 px on a 640 px frame
+function round(value) {
+    return Math.round(value * 1e5) / 1e5;
+}
+
+export class HandRecorder {
+    constructor() {
+        this.frames = null;
+        this.startTime = 0;
+        this.meta = {};
+    }
+
+    get active() {
+        return this.frames !== null;
+    }
+
+    /**
+     * @param {Object} [meta] - Stored with the recording, e.g. { camera, settings }
+     * @param {number} now - Start time in ms
+     */
+    start(meta = {}, now = performance.now()) {
+        this.frames = [];
+        this.startTime = now;
+        this.meta = meta;
+    }
+
+    /**
+     * @param {Object} results - HandLandmarker result ({ landmarks, handedness })
+     * @param {number} time - Frame time in ms
+     */
+    record(results, time) {
+        if (!this.frames) return;
+
+        const hands = (results.landmarks || []).map((landmarks, i) => {
+            const category = results.handedness[i][0];
+            return {
+                label: category.categoryName,
+                score: round(category.score),
+                landmarks: landmarks.flatMap(point => [round(point.x), round(point.y), round(point.z)])
+            };
+        });
+        this.frames.push({ t: Math.round(time - this.startTime), hands });
+    }
+
+    /**
+     * @returns {Object} - The recording document
+     */
+    stop() {
+        const recording = {
+            format: RECORDING_FORMAT,
+            version: RECORDING_VERSION,
+            createdAt: new Date().toISOString(),
+            ...this.meta,
+            frames: this.frames || []
+        };
+        this.frames = null;
+        return recording;
+    }
+}
+
+/**
+ * Check a parsed recording file
+ * @throws {Error} - If it isn't a recording this editor can play
+ */
+export function validateRecording(data) {
+    if (!data || data.format !== RECORDING_FORMAT || !Array.isArray(data.frames)) {
+        throw new Error('Not a hand recording');
+    }
+    if (data.version > RECORDING_VERSION) {
+        throw new Error(`Recording version ${data.version} is newer than this editor supports`);
+    }
+    if (data.settings !== undefined && (typeof data.settings !== 'object' || data.settings === null)) {
+        throw new Error('Recording settings are malformed');
+    }
+
+    let last = -Infinity;
+    data.frames.forEach((frame, i) => {
+        if (!(frame.t >= last) || !Array.isArray(frame.hands)) {
+            throw new Error(`Recording frame ${i} is out of order or malformed`);
+        }
+        last = frame.t;
+        frame.hands.forEach(hand => {
+            if (!Array.isArray(hand.landmarks) || hand.landmarks.length !== LANDMARK_COUNT * 3) {
+                throw new Error(`Recording frame ${i} has an incomplete hand`);
+            }
+        });
+    });
+    return data;
+}
+
+/**
+ * One recorded frame in HandLandmarker's result shape
+ */
+export function frameToResults(frame) {
+    const landmarks = [];
+    const handedness = [];
+
+    frame.hands.forEach(hand => {
+        const points = [];
+        for (let i = 0; i < hand.landmarks.length; i += 3) {
+            points.push({ x: hand.landmarks[i], y: hand.landmarks[i + 1], z: hand.landmarks[i + 2] });
+        }
+        landmarks.push(points);
+        handedness.push([{ categoryName: hand.label, score: hand.score ?? 1 }]);
+    });
+
+    return { landmarks, handedness };
+}
+
+export class ReplaySource {
+    /**
+     * @param {Object} recording - Validated recording document
+     * @param {Object} [options] - { loop }
+     */
+    constructor(recording, { loop = false } = {}) {
+        this.recording = recording;
+        this.loop = loop;
+        this.index = 0;
+        this.offset = 0;
+        this.startTime = null;
+    }
+
+    get done() {
+        return !this.loop && this.index >= this.recording.frames.length;
+    }
+
+    /**
+     * Share of the recording played, 0 to 1
+     */
+    get progress() {
+        const count = this.recording.frames.length;
+        return count ? Math.min(1, this.index / count) : 1;
+    }
+
+    /**
+     * The next frame, once playback has reached its time
+     * @param {number} now - Current time in ms
+     * @returns {{results: Object, time: number}|null} - null while waiting or when done
+     */
+    poll(now) {
+        const frames = this.recording.frames;
+        if (frames.length === 0 || this.done) return null;
+        if (this.startTime === null) this.startTime = now - frames[0].t;
+
+        if (this.index >= frames.length) {
+            // Loop: continue one frame interval after the last frame
+            const last = frames[frames.length - 1].t;
+            this.offset += last - frames[0].t + (frames.length > 1 ? last - frames[frames.length - 2].t : 33);
+            this.index = 0;
+        }
+
+        const frame = frames[this.index];
+        const time = this.startTime + this.offset + frame.t;
+        if (now < time) return null;
+
+        this.index++;
+        return { results: frameToResults(frame), time };
+    }
+}
@@ -0,0 +1,195 @@
+/* ============================================
+   HISTORY - Undo / Redo Stack
+   ============================================
+
+   Every edit is stored as a cell-level diff:
+
+       { x, y, z, before, after }
+
+   x, y, z are integer grid cells (see voxel-grid.js);
+
+   `before` / `after` are voxel data objects
+   (e.g. { color }) or null for an empty cell.
+
+   An entry that also changed one palette slot carries
+
+       palette: { before, after }
+
+   with the slot's old and new color.
+
+   Undo writes every `before` back into the scene,
+   redo writes every `after`. Because an entry is only
+   data, the whole stack serializes to JSON and can be
+   saved next to the voxel map.
+*/
+
+import { cellKey } from './voxel-grid.js';
+
+const DEFAULT_LIMIT = 100;
+
+// Bumped when the shape of a stored change changes.
+// Version 1 entries used integer cells; earlier ones used world positions.
+export const HISTORY_VERSION = 1;
+
+function changeKey(change) {
+    return cellKey(change.x, change.y, change.z);
+}
+
+function sameValue(a, b) {
+    if (a === b) return true;
+    if (!a || !b) return false;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Merge a list of changes into an existing list.
+ * For each cell the earliest `before` and the latest `after` win,
+ * so the merged entry still undoes in a single step.
+ * Cells that end up unchanged are dropped.
+ */
+function mergeChanges(existing, incoming) {
+    const byKey = new Map();
+    existing.forEach(change => byKey.set(changeKey(change), { ...change }));
+
+    incoming.forEach(change => {
+        const key = changeKey(change);
+        const prev = byKey.get(key);
+        if (prev) {
+            prev.after = change.after;
+        } else {
+            byKey.set(key, { ...change });
+        }
+    });
+
+    return [...byKey.values()].filter(change => !sameValue(change.before, change.after));
+}
+
+export class HistoryManager {
+    /**
+     * @param {Object} options
+     * @param {Function} options.apply - (changes, direction) => void, writes cell states into the scene.
+     *                                   direction is 'undo' or 'redo'
+     * @param {Function} [options.applyPalette] - (from, to) => void, swaps a palette color
+     *                                          for entries that carry `palette`
+     * @param {Function} [options.onChange] - Called whenever the stacks change
+     * @param {number} [options.limit] - Maximum number of undo entries kept
+     */
+    constructor({ apply, applyPalette = null, onChange = null, limit = DEFAULT_LIMIT }) {
+        this.apply = apply;
+        this.applyPalette = applyPalette;
+        this.onChange = onChange;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Whether the top undo entry can still absorb follow-up changes
+        // (e.g. blocks falling under gravity after a removal)
+        this.amendable = false;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Record a new entry. Clears the redo stack.
+     * @param {string} label - Human readable name ("Place", "Remove", ...)
+     * @param {Array} changes - Cell diffs
+     * @param {Object} [palette] - { before, after } colors of the palette slot the edit changed
+     */
+    record(label, changes, palette = null) {
+        const cleaned = mergeChanges([], changes);
+        if (cleaned.length === 0 && !palette) return;
+
+        this.undoStack.push(palette ? { label, changes: cleaned, palette } : { label, changes: cleaned });
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack.length = 0;
+        this.amendable = true;
+
+        this._notify();
+    }
+
+    /**
+     * Fold follow-up changes into the most recent entry so that
+     * they undo together with it. If the top entry was sealed,
+     * a new entry is recorded with `fallbackLabel` instead.
+     */
+    amend(changes, fallbackLabel) {
+        const top = this.undoStack[this.undoStack.length - 1];
+        if (!top || !this.amendable) {
+            this.record(fallbackLabel, changes);
+            return;
+        }
+
+        top.changes = mergeChanges(top.changes, changes);
+        if (top.changes.length === 0 && !top.palette) this.undoStack.pop();
+        this._notify();
+    }
+
+    /**
+     * Stop the top entry from absorbing further amendments.
+     */
+    seal() {
+        this.amendable = false;
+    }
+
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        this.apply(entry.changes.map(c => ({ x: c.x, y: c.y, z: c.z, value: c.before })), 'undo');
+        if (entry.palette && this.applyPalette) this.applyPalette(entry.palette.after, entry.palette.before);
+        this.redoStack.push(entry);
+        this.amendable = false;
+
+        this._notify();
+        return entry;
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        this.apply(entry.changes.map(c => ({ x: c.x, y: c.y, z: c.z, value: c.after })), 'redo');
+        if (entry.palette && this.applyPalette) this.applyPalette(entry.palette.before, entry.palette.after);
+        this.undoStack.push(entry);
+        this.amendable = false;
+
+        this._notify();
+        return entry;
+    }
+
+    clear() {
+        this.undoStack.length = 0;
+        this.redoStack.length = 0;
+        this.amendable = false;
+        this._notify();
+    }
+
+    toJSON() {
+        return {
+            version: HISTORY_VERSION,
+            undo: this.undoStack,
+            redo: this.redoStack
+        };
+    }
+
+    /**
+     * Restore stacks previously produced by toJSON()
+     */
+    load(data) {
+        // Both stacks pop from the end; keep the steps nearest the current state
+        this.undoStack = Array.isArray(data?.undo) ? data.undo.slice(-this.limit) : [];
+        this.redoStack = Array.isArray(data?.redo) ? data.redo.slice(-this.limit) : [];
+        this.amendable = false;
+        this._notify();
+    }
+
+    _notify() {
+        if (this.onChange) this.onChange(this);
+    }
+}
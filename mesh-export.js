@@ -0,0 +1,485 @@
+/* ============================================
+   MESH EXPORT - Greedy Meshing + GLB / OBJ / STL
+   ============================================
+
+   Greedy Meshing:
+   ---------------
+   For each axis we sweep a plane through the grid.
+   A face exists between two neighbouring cells when
+   exactly one of them is filled (hidden faces are culled).
+   The faces of one plane form a 2D mask, and rectangles
+   of equal color + direction in it are merged into
+   a single quad.
+
+   The sweep runs over a dense grid, so voxels are meshed
+   in CHUNK_SIZE blocks counted from the lowest corner of
+   the build; only blocks holding voxels are visited, and
+   voxels far apart never share a grid. Neighbours across
+   a block border come from a sparse lookup, and a face on
+   the border belongs to the block of its filled cell.
+   Quads don't merge across borders.
+
+   Merging creates T-junctions where a large quad meets
+   several small ones. Renderers don't mind, but slicers
+   want a watertight surface, so STL export meshes with
+   `merge: false` (one quad per visible voxel face, so
+   quads meet edge to edge). Voxels that touch only along
+   an edge or at a corner still share that edge or vertex
+   between four faces of two shells, which is not strictly
+   manifold; most slicers handle it.
+
+   The optional floor slab is a separate box whose top face
+   lies on the bottom faces of the lowest voxels. That's fine
+   to look at, but two shells touching like that aren't a
+   printable solid, so STL export leaves the floor out.
+*/
+
+import { cellKey } from './voxel-grid.js';
+
+const FLOOR_THICKNESS = 0.1;  // In voxels
+const CHUNK_SIZE = 64;        // Cells per side of one dense meshing block
+
+// ============================================
+// MESHING
+// ============================================
+
+/**
+ * Build a quad mesh from editor voxels
+ *
+ * @param {Array<{x, y, z, color}>} voxels - World-space cell centers
+ * @param {Object} options
+ * @param {number} options.voxelSize - CONFIG.VOXEL_SIZE
+ * @param {number} [options.scale] - Output units per world unit
+ * @param {boolean} [options.merge] - Merge coplanar faces of the same color
+ * @param {Object} [options.floor] - { min: [x, z], max: [x, z], color } adds a floor slab under the grid
+ *                                  (touches the voxels, so not for STL)
+ * @returns {Array<{normal, color, vertices}>} - Quads, vertices counter-clockwise
+ */
+export function buildMesh(voxels, { voxelSize, scale = 1, merge = true, floor = null }) {
+    const quads = [];
+
+    if (voxels.length > 0) {
+        greedyMesh(voxels, voxelSize, merge).forEach(q => quads.push(q));
+    }
+
+    if (floor) {
+        const depth = FLOOR_THICKNESS * voxelSize;
+        const lo = [floor.min[0], -depth, floor.min[1]];
+        const hi = [floor.max[0], 0, floor.max[1]];
+        boxQuads(lo, hi, floor.color).forEach(q => quads.push(q));
+    }
+
+    if (scale !== 1) {
+        quads.forEach(q => {
+            q.vertices = q.vertices.map(v => v.map(c => c * scale));
+        });
+    }
+
+    return quads;
+}
+
+function greedyMesh(voxels, voxelSize, merge) {
+    // World centers -> integer cells
+    const cells = voxels.map(v => [
+        Math.floor(v.x / voxelSize),
+        Math.floor(v.y / voxelSize),
+        Math.floor(v.z / voxelSize),
+        v.color
+    ]);
+
+    // color + 1 by cell, for neighbours in other blocks
+    const filled = new Map();
+    const origin = [Infinity, Infinity, Infinity];
+    cells.forEach(c => {
+        filled.set(cellKey(c[0], c[1], c[2]), c[3] + 1);
+        for (let i = 0; i < 3; i++) origin[i] = Math.min(origin[i], c[i]);
+    });
+
+    const chunks = new Map();
+    cells.forEach(c => {
+        const key = cellKey(...[0, 1, 2].map(i => Math.floor((c[i] - origin[i]) / CHUNK_SIZE)));
+        if (!chunks.has(key)) chunks.set(key, []);
+        chunks.get(key).push(c);
+    });
+
+    const quads = [];
+    chunks.forEach(chunk => meshChunk(chunk, filled, voxelSize, merge, quads));
+    return quads;
+}
+
+/**
+ * Greedy-mesh the cells of one block into `quads`
+ */
+function meshChunk(cells, filled, voxelSize, merge, quads) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    cells.forEach(c => {
+        for (let i = 0; i < 3; i++) {
+            min[i] = Math.min(min[i], c[i]);
+            max[i] = Math.max(max[i], c[i]);
+        }
+    });
+    const dims = [max[0] - min[0] + 1, max[1] - min[1] + 1, max[2] - min[2] + 1];
+
+    // Dense grid: 0 = empty, color + 1 otherwise
+    const grid = new Int32Array(dims[0] * dims[1] * dims[2]);
+    const index = (x, y, z) => (x * dims[1] + y) * dims[2] + z;
+    cells.forEach(([x, y, z, color]) => {
+        grid[index(x - min[0], y - min[1], z - min[2])] = color + 1;
+    });
+    const get = (p) => {
+        if (p[0] < 0 || p[1] < 0 || p[2] < 0 || p[0] >= dims[0] || p[1] >= dims[1] || p[2] >= dims[2]) {
+            return filled.get(cellKey(p[0] + min[0], p[1] + min[1], p[2] + min[2])) || 0;
+        }
+        return grid[index(p[0], p[1], p[2])];
+    };
+
+    for (let d = 0; d < 3; d++) {
+        const u = (d + 1) % 3;
+        const v = (d + 2) % 3;
+        const mask = new Int32Array(dims[u] * dims[v]);
+        const p = [0, 0, 0];
+
+        // Plane s sits between cell s - 1 and cell s along axis d
+        for (let s = 0; s <= dims[d]; s++) {
+            // 1. Build the face mask for this plane (sign = facing direction)
+            let n = 0;
+            for (p[v] = 0; p[v] < dims[v]; p[v]++) {
+                for (p[u] = 0; p[u] < dims[u]; p[u]++, n++) {
+                    p[d] = s - 1;
+                    const a = get(p);
+                    p[d] = s;
+                    const b = get(p);
+
+                    // Faces on the block's sides belong to the block of their filled cell
+                    if (a && !b && s > 0) mask[n] = a;                 // Face points +d
+                    else if (b && !a && s < dims[d]) mask[n] = -b;     // Face points -d
+                    else mask[n] = 0;
+                }
+            }
+
+            // 2. Merge equal rectangles
+            n = 0;
+            for (let j = 0; j < dims[v]; j++) {
+                for (let i = 0; i < dims[u];) {
+                    const value = mask[n];
+                    if (!value) {
+                        i++;
+                        n++;
+                        continue;
+                    }
+
+                    let w = 1;
+                    let h = 1;
+                    if (merge) {
+                        while (i + w < dims[u] && mask[n + w] === value) w++;
+
+                        grow: while (j + h < dims[v]) {
+                            for (let k = 0; k < w; k++) {
+                                if (mask[n + k + h * dims[u]] !== value) break grow;
+                            }
+                            h++;
+                        }
+                    }
+
+                    quads.push(makeQuad(d, u, v, s, i, j, w, h, value, min, voxelSize));
+
+                    for (let l = 0; l < h; l++) {
+                        for (let k = 0; k < w; k++) mask[n + k + l * dims[u]] = 0;
+                    }
+                    i += w;
+                    n += w;
+                }
+            }
+        }
+    }
+}
+
+function makeQuad(d, u, v, s, i, j, w, h, value, min, voxelSize) {
+    const dir = value > 0 ? 1 : -1;
+    const color = Math.abs(value) - 1;
+
+    const corner = (du, dv) => {
+        const p = [0, 0, 0];
+        p[d] = (min[d] + s) * voxelSize;
+        p[u] = (min[u] + i + du) * voxelSize;
+        p[v] = (min[v] + j + dv) * voxelSize;
+        return p;
+    };
+
+    // (u, v, d) is right-handed, so this order is CCW seen from +d
+    let vertices = [corner(0, 0), corner(w, 0), corner(w, h), corner(0, h)];
+    if (dir < 0) vertices = vertices.reverse();
+
+    const normal = [0, 0, 0];
+    normal[d] = dir;
+    return { normal, color, vertices };
+}
+
+function boxQuads(lo, hi, color) {
+    const quads = [];
+    for (let d = 0; d < 3; d++) {
+        const u = (d + 1) % 3;
+        const v = (d + 2) % 3;
+        [-1, 1].forEach(dir => {
+            const corner = (cu, cv) => {
+                const p = [0, 0, 0];
+                p[d] = dir > 0 ? hi[d] : lo[d];
+                p[u] = cu ? hi[u] : lo[u];
+                p[v] = cv ? hi[v] : lo[v];
+                return p;
+            };
+            let vertices = [corner(0, 0), corner(1, 0), corner(1, 1), corner(0, 1)];
+            if (dir < 0) vertices = vertices.reverse();
+            const normal = [0, 0, 0];
+            normal[d] = dir;
+            quads.push({ normal, color, vertices });
+        });
+    }
+    return quads;
+}
+
+function groupByColor(quads) {
+    const groups = new Map();
+    quads.forEach(q => {
+        if (!groups.has(q.color)) groups.set(q.color, []);
+        groups.get(q.color).push(q);
+    });
+    return groups;
+}
+
+function srgbToLinear(c) {
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function colorToRGB(color) {
+    return [(color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff].map(c => c / 255);
+}
+
+function colorName(color) {
+    return 'c_' + color.toString(16).padStart(6, '0');
+}
+
+// ============================================
+// GLB (binary glTF 2.0)
+// ============================================
+
+/**
+ * @param {Array} quads - From buildMesh()
+ * @param {Object} [options]
+ * @param {boolean} [options.vertexColors] - One primitive with COLOR_0,
+ *                                           otherwise one primitive + material per color
+ * @returns {ArrayBuffer}
+ */
+export function encodeGLB(quads, { vertexColors = true, name = 'VoxelFlow Scene' } = {}) {
+    if (quads.length === 0) throw new Error('Nothing to export');
+
+    const gltf = {
+        asset: { version: '2.0', generator: 'VoxelFlow' },
+        scene: 0,
+        scenes: [{ nodes: [0] }],
+        nodes: [{ mesh: 0, name }],
+        meshes: [{ name, primitives: [] }],
+        materials: [],
+        accessors: [],
+        bufferViews: [],
+        buffers: [{ byteLength: 0 }]
+    };
+    const chunks = [];
+    let byteLength = 0;
+
+    const addAccessor = (array, type, componentType, target, withBounds = false) => {
+        gltf.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: array.byteLength, target });
+        chunks.push(array);
+        byteLength += array.byteLength;   // Float32 / Uint32 keep 4-byte alignment
+
+        const size = type === 'SCALAR' ? 1 : 3;
+        const accessor = {
+            bufferView: gltf.bufferViews.length - 1,
+            componentType,
+            count: array.length / size,
+            type
+        };
+        if (withBounds) {
+            accessor.min = [Infinity, Infinity, Infinity];
+            accessor.max = [-Infinity, -Infinity, -Infinity];
+            for (let i = 0; i < array.length; i += 3) {
+                for (let k = 0; k < 3; k++) {
+                    accessor.min[k] = Math.min(accessor.min[k], array[i + k]);
+                    accessor.max[k] = Math.max(accessor.max[k], array[i + k]);
+                }
+            }
+        }
+        gltf.accessors.push(accessor);
+        return gltf.accessors.length - 1;
+    };
+
+    const FLOAT = 5126, UINT = 5125, ARRAY_BUFFER = 34962, ELEMENT_ARRAY_BUFFER = 34963;
+
+    const addPrimitive = (primQuads, material, withColors) => {
+        const positions = new Float32Array(primQuads.length * 12);
+        const normals = new Float32Array(primQuads.length * 12);
+        const colors = withColors ? new Float32Array(primQuads.length * 12) : null;
+        const indices = new Uint32Array(primQuads.length * 6);
+
+        primQuads.forEach((q, qi) => {
+            const rgb = colorToRGB(q.color).map(srgbToLinear);
+            q.vertices.forEach((vertex, vi) => {
+                const o = (qi * 4 + vi) * 3;
+                positions.set(vertex, o);
+                normals.set(q.normal, o);
+                if (colors) colors.set(rgb, o);
+            });
+            const base = qi * 4;
+            indices.set([base, base + 1, base + 2, base, base + 2, base + 3], qi * 6);
+        });
+
+        const attributes = {
+            POSITION: addAccessor(positions, 'VEC3', FLOAT, ARRAY_BUFFER, true),
+            NORMAL: addAccessor(normals, 'VEC3', FLOAT, ARRAY_BUFFER)
+        };
+        if (colors) attributes.COLOR_0 = addAccessor(colors, 'VEC3', FLOAT, ARRAY_BUFFER);
+
+        gltf.meshes[0].primitives.push({
+            attributes,
+            indices: addAccessor(indices, 'SCALAR', UINT, ELEMENT_ARRAY_BUFFER),
+            material
+        });
+    };
+
+    // Same look as the editor's MeshStandardMaterial
+    const material = (baseColorFactor, materialName) => {
+        gltf.materials.push({
+            name: materialName,
+            pbrMetallicRoughness: { baseColorFactor, metallicFactor: 0.1, roughnessFactor: 0.4 }
+        });
+        return gltf.materials.length - 1;
+    };
+
+    if (vertexColors) {
+        addPrimitive(quads, material([1, 1, 1, 1], 'voxel'), true);
+    } else {
+        groupByColor(quads).forEach((group, color) => {
+            const factor = [...colorToRGB(color).map(srgbToLinear), 1];
+            addPrimitive(group, material(factor, colorName(color)), false);
+        });
+    }
+
+    gltf.buffers[0].byteLength = byteLength;
+
+    // Chunks are padded to 4 bytes: JSON with spaces, BIN with zeros
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(gltf));
+    const jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+    const binLength = Math.ceil(byteLength / 4) * 4;
+    const total = 12 + 8 + jsonLength + 8 + binLength;
+
+    const buffer = new ArrayBuffer(total);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    view.setUint32(0, 0x46546C67, true);  // "glTF"
+    view.setUint32(4, 2, true);
+    view.setUint32(8, total, true);
+
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, 0x4E4F534A, true); // "JSON"
+    bytes.fill(0x20, 20, 20 + jsonLength);
+    bytes.set(jsonBytes, 20);
+
+    let offset = 20 + jsonLength;
+    view.setUint32(offset, binLength, true);
+    view.setUint32(offset + 4, 0x004E4942, true); // "BIN"
+    offset += 8;
+    chunks.forEach(array => {
+        bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), offset);
+        offset += array.byteLength;
+    });
+
+    return buffer;
+}
+
+// ============================================
+// OBJ + MTL
+// ============================================
+
+/**
+ * @param {Array} quads - From buildMesh()
+ * @param {Object} options
+ * @param {string} options.mtlName - File name of the companion .mtl
+ * @returns {{ obj: string, mtl: string }}
+ */
+export function encodeOBJ(quads, { mtlName }) {
+    const obj = ['# VoxelFlow export', `mtllib ${mtlName}`, 'o voxels'];
+    const mtl = ['# VoxelFlow export'];
+    const normalIndex = new Map();
+    const faces = [];
+    let vertexCount = 0;
+
+    groupByColor(quads).forEach((group, color) => {
+        const [r, g, b] = colorToRGB(color);
+        mtl.push('', `newmtl ${colorName(color)}`, `Kd ${r.toFixed(4)} ${g.toFixed(4)} ${b.toFixed(4)}`, 'Ka 0 0 0', 'illum 1');
+
+        faces.push(`usemtl ${colorName(color)}`);
+        group.forEach(q => {
+            const nKey = q.normal.join(' ');
+            if (!normalIndex.has(nKey)) {
+                normalIndex.set(nKey, normalIndex.size + 1);
+                obj.push(`vn ${nKey}`);
+            }
+            const n = normalIndex.get(nKey);
+
+            const refs = q.vertices.map(v => {
+                obj.push(`v ${v.map(c => +c.toFixed(5)).join(' ')}`);
+                return `${++vertexCount}//${n}`;
+            });
+            faces.push(`f ${refs.join(' ')}`);
+        });
+    });
+
+    return {
+        obj: obj.concat(faces).join('\n') + '\n',
+        mtl: mtl.join('\n') + '\n'
+    };
+}
+
+// ============================================
+// STL (binary)
+// ============================================
+
+/**
+ * Written Z-up, which is what slicers expect:
+ *     stl (x, y, z) = editor (x, -z, y)
+ *
+ * @param {Array} quads - From buildMesh(), ideally with `merge: false`
+ * @returns {ArrayBuffer}
+ */
+export function encodeSTL(quads) {
+    const toZUp = ([x, y, z]) => [x, -z, y];
+    const triangles = quads.length * 2;
+    const buffer = new ArrayBuffer(84 + triangles * 50);
+    const view = new DataView(buffer);
+
+    const header = 'VoxelFlow STL export';
+    for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i));
+    view.setUint32(80, triangles, true);
+
+    let offset = 84;
+    const writeVec = (vec) => {
+        vec.forEach(c => {
+            view.setFloat32(offset, c, true);
+            offset += 4;
+        });
+    };
+
+    quads.forEach(q => {
+        const [a, b, c, d] = q.vertices;
+        [[a, b, c], [a, c, d]].forEach(tri => {
+            writeVec(toZUp(q.normal));
+            tri.map(toZUp).forEach(writeVec);
+            view.setUint16(offset, 0, true);
+            offset += 2;
+        });
+    });
+
+    return buffer;
+}
@@ -0,0 +1,144 @@
+/* ============================================
+   ONE EURO FILTER - Adaptive Jitter Smoothing
+   ============================================
+
+   Casiez et al., "1€ Filter: A Simple Speed-based
+   Low-pass Filter for Noisy Input in Interactive Systems"
+   (CHI 2012).
+
+   A low-pass filter whose cutoff frequency follows the
+   signal's speed:
+
+       cutoff = minCutoff + beta × |speed|
+
+   A still hand gets heavy smoothing (no jitter), a fast
+   one light smoothing (no lag). Tuning:
+
+   1. Hold still, lower minCutoff until the jitter is gone
+   2. Move fast, raise beta until the lag is gone
+
+   OneEuroFilter  one number
+   PointFilter    { x, y, z }, one filter per axis
+   LandmarkFilter a hand: one PointFilter per landmark
+
+   Times are in milliseconds (performance.now()).
+*/
+
+const DEFAULTS = {
+    minCutoff: 1.0,   // Hz
+    beta: 0,          // Cutoff increase per unit/s of speed
+    dCutoff: 1.0      // Hz, for the speed estimate itself
+};
+
+/**
+ * Weight of the new sample for an exponential smoother with this cutoff
+ */
+function smoothingFactor(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+export class OneEuroFilter {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.reset();
+    }
+
+    configure(options) {
+        Object.assign(this.options, options);
+    }
+
+    /**
+     * Forget the signal (e.g. the hand left the frame)
+     */
+    reset() {
+        this.value = null;
+        this.speed = 0;
+        this.time = 0;
+        this.cutoff = this.options.minCutoff;
+    }
+
+    /**
+     * @param {number} value - New raw sample
+     * @param {number} time - Sample time in ms
+     * @returns {number} - Filtered value
+     */
+    filter(value, time) {
+        if (this.value === null) {
+            this.value = value;
+            this.time = time;
+            return value;
+        }
+
+        const { minCutoff, beta, dCutoff } = this.options;
+        const dt = Math.max(1e-3, (time - this.time) / 1000);
+        this.time = time;
+
+        const rawSpeed = (value - this.value) / dt;
+        this.speed += smoothingFactor(dCutoff, dt) * (rawSpeed - this.speed);
+
+        this.cutoff = minCutoff + beta * Math.abs(this.speed);
+        this.value += smoothingFactor(this.cutoff, dt) * (value - this.value);
+        return this.value;
+    }
+}
+
+export class PointFilter {
+    constructor(options = {}) {
+        this.axes = { x: new OneEuroFilter(options), y: new OneEuroFilter(options), z: new OneEuroFilter(options) };
+    }
+
+    configure(options) {
+        Object.values(this.axes).forEach(axis => axis.configure(options));
+    }
+
+    reset() {
+        Object.values(this.axes).forEach(axis => axis.reset());
+    }
+
+    /**
+     * Highest cutoff of the three axes, for debugging
+     */
+    get cutoff() {
+        return Math.max(this.axes.x.cutoff, this.axes.y.cutoff, this.axes.z.cutoff);
+    }
+
+    /**
+     * @param {{x, y, z}} point - Missing z counts as 0
+     * @returns {{x, y, z}}
+     */
+    filter(point, time) {
+        return {
+            x: this.axes.x.filter(point.x, time),
+            y: this.axes.y.filter(point.y, time),
+            z: this.axes.z.filter(point.z ?? 0, time)
+        };
+    }
+}
+
+export class LandmarkFilter {
+    constructor(options = {}) {
+        this.options = { ...options };
+        this.points = [];
+    }
+
+    configure(options) {
+        Object.assign(this.options, options);
+        this.points.forEach(point => point.configure(options));
+    }
+
+    reset() {
+        this.points.forEach(point => point.reset());
+    }
+
+    /**
+     * @param {Array} landmarks - Raw landmarks of one hand
+     * @returns {Array} - Filtered copies
+     */
+    filter(landmarks, time) {
+        return landmarks.map((landmark, i) => {
+            if (!this.points[i]) this.points[i] = new PointFilter(this.options);
+            return this.points[i].filter(landmark, time);
+        });
+    }
+}
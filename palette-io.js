@@ -0,0 +1,124 @@
+/* ============================================
+   PALETTE IO - Palette Files & Color Math
+   ============================================
+
+   Palettes are plain arrays of 0xRRGGBB integers, the
+   same values voxels store in `color`.
+
+   Supported files:
+       .gpl   GIMP palette (text)
+       .hex   one RRGGBB per line (Lospec style)
+       .png   palette strip - decoded by the caller into
+              RGBA pixels, see colorsFromPixels
+
+   Parsers drop duplicates and keep file order.
+*/
+
+import { colorToHex, hexToColor } from './scene-format.js';
+
+function unique(colors) {
+    return [...new Set(colors)];
+}
+
+/**
+ * GIMP palette: "GIMP Palette" header, optional Name/Columns lines,
+ * '#' comments, then "R G B [name]" rows
+ */
+export function parseGPL(text) {
+    const lines = text.split(/\r?\n/);
+    if (!lines[0] || !lines[0].trim().startsWith('GIMP Palette')) {
+        throw new Error('Not a GIMP palette');
+    }
+
+    const colors = [];
+    lines.slice(1).forEach(line => {
+        const match = line.trim().match(/^(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})/);
+        if (!match) return;
+        const [r, g, b] = match.slice(1, 4).map(v => Math.min(255, Number(v)));
+        colors.push((r << 16) | (g << 8) | b);
+    });
+    return unique(colors);
+}
+
+export function formatGPL(colors, name = 'VoxelFlow') {
+    const rows = colors.map(color => {
+        const r = (color >> 16) & 0xff, g = (color >> 8) & 0xff, b = color & 0xff;
+        const rgb = [r, g, b].map(v => String(v).padStart(3)).join(' ');
+        return `${rgb}\t${colorToHex(color)}`;
+    });
+    return ['GIMP Palette', `Name: ${name}`, 'Columns: 8', '#', ...rows, ''].join('\n');
+}
+
+/**
+ * One hex color per line, with or without '#'
+ */
+export function parseHex(text) {
+    const colors = [];
+    text.split(/\r?\n/).forEach(line => {
+        const match = line.trim().match(/^#?([0-9a-f]{6})$/i);
+        if (match) colors.push(hexToColor(match[1]));
+    });
+    if (colors.length === 0) throw new Error('No colors found');
+    return unique(colors);
+}
+
+export function formatHex(colors) {
+    return colors.map(color => colorToHex(color).slice(1)).join('\n') + '\n';
+}
+
+/**
+ * Colors of an image, in reading order. Works for 1 px strips as well
+ * as scaled-up swatch images. Transparent pixels are skipped.
+ *
+ * @param {Uint8ClampedArray} data - RGBA pixels (ImageData.data)
+ */
+export function colorsFromPixels(data) {
+    const colors = [];
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 128) continue;
+        colors.push((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
+    }
+    if (colors.length === 0) throw new Error('No colors found');
+    return unique(colors);
+}
+
+// ============================================
+// HSV
+// ============================================
+
+/**
+ * @param {number} h - Hue, 0..360
+ * @param {number} s - Saturation, 0..1
+ * @param {number} v - Value, 0..1
+ * @returns {number} - 0xRRGGBB
+ */
+export function hsvToColor(h, s, v) {
+    const f = n => {
+        const k = (n + h / 60) % 6;
+        return v - v * s * Math.max(0, Math.min(k, 4 - k, 1));
+    };
+    const [r, g, b] = [f(5), f(3), f(1)].map(c => Math.round(c * 255));
+    return (r << 16) | (g << 8) | b;
+}
+
+/**
+ * @returns {{h: number, s: number, v: number}} - h in 0..360, s and v in 0..1
+ */
+export function colorToHsv(color) {
+    const r = ((color >> 16) & 0xff) / 255;
+    const g = ((color >> 8) & 0xff) / 255;
+    const b = (color & 0xff) / 255;
+
+    const max = Math.max(r, g, b);
+    const delta = max - Math.min(r, g, b);
+
+    let h = 0;
+    if (delta > 0) {
+        if (max === r) h = 60 * (((g - b) / delta) % 6);
+        else if (max === g) h = 60 * ((b - r) / delta + 2);
+        else h = 60 * ((r - g) / delta + 4);
+    }
+    if (h < 0) h += 360;
+
+    return { h, s: max === 0 ? 0 : delta / max, v: max };
+}
@@ -0,0 +1,209 @@
+/* ============================================
+   PROJECT STORE - IndexedDB persistence
+   ============================================
+
+   Each project is one record in the "projects" object store:
+
+       {
+           id, name,
+           scene,               // .voxelflow document (see FORMAT.md)
+           history: { undo, redo },
+           thumbnail,           // JPEG data URL
+           voxelCount,
+           createdAt, updatedAt
+       }
+
+   The "meta" store mirrors the fields the project panel
+   shows (id, name, thumbnail, voxelCount, createdAt,
+   updatedAt), so listing projects never reads scenes or
+   history. put() and delete() write both stores in one
+   transaction.
+
+   IndexedDB has a much larger quota than localStorage,
+   so big builds and their history fit comfortably. Where
+   it can't be opened (disabled storage, some private
+   windows) the store keeps projects in memory instead and
+   `persistent` is false; nothing survives a reload then.
+*/
+
+import { migrateScene } from './scene-format.js';
+
+const DB_NAME = 'voxelflow';
+const DB_VERSION = 2;
+const STORE = 'projects';
+const META_STORE = 'meta';
+
+const META_FIELDS = ['id', 'name', 'thumbnail', 'voxelCount', 'createdAt', 'updatedAt'];
+
+// Legacy single-slot localStorage keys
+const LEGACY_MAP_KEY = 'voxel-map';
+const LEGACY_HISTORY_KEY = 'voxel-history';
+
+/**
+ * Wrap an IDBRequest in a Promise
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolve once a transaction has committed
+ */
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function metaOf(project) {
+    return Object.fromEntries(META_FIELDS.map(field => [field, project[field]]));
+}
+
+function byUpdatedAt(a, b) {
+    return b.updatedAt - a.updatedAt;
+}
+
+function generateId() {
+    if (crypto.randomUUID) return crypto.randomUUID();
+    return Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
+export class ProjectStore {
+    constructor() {
+        this.db = null;
+        this.memory = null;       // id -> project, when IndexedDB is unavailable
+        this.persistent = true;
+    }
+
+    async open() {
+        try {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE)) {
+                    db.createObjectStore(STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(META_STORE)) {
+                    const meta = db.createObjectStore(META_STORE, { keyPath: 'id' });
+                    // Version 1 databases: index the projects they already hold
+                    if (event.oldVersion >= 1) {
+                        request.transaction.objectStore(STORE).getAll().onsuccess = (e) => {
+                            e.target.result.forEach(project => meta.put(metaOf(project)));
+                        };
+                    }
+                }
+            };
+            this.db = await promisify(request);
+        } catch (e) {
+            console.warn('IndexedDB unavailable, keeping projects in memory', e);
+            this.memory = new Map();
+            this.persistent = false;
+        }
+        return this;
+    }
+
+    _store(name, mode) {
+        return this.db.transaction(name, mode).objectStore(name);
+    }
+
+    /**
+     * Metadata of all projects (see META_FIELDS), most recently edited first
+     */
+    async list() {
+        const entries = this.memory
+            ? [...this.memory.values()].map(metaOf)
+            : await promisify(this._store(META_STORE, 'readonly').getAll());
+        return entries.sort(byUpdatedAt);
+    }
+
+    async get(id) {
+        if (this.memory) return this.memory.has(id) ? structuredClone(this.memory.get(id)) : undefined;
+        return promisify(this._store(STORE, 'readonly').get(id));
+    }
+
+    async put(project) {
+        project.updatedAt = Date.now();
+        if (this.memory) {
+            this.memory.set(project.id, structuredClone(project));
+            return project;
+        }
+
+        const tx = this.db.transaction([STORE, META_STORE], 'readwrite');
+        tx.objectStore(STORE).put(project);
+        tx.objectStore(META_STORE).put(metaOf(project));
+        await transactionDone(tx);
+        return project;
+    }
+
+    async delete(id) {
+        if (this.memory) {
+            this.memory.delete(id);
+            return;
+        }
+
+        const tx = this.db.transaction([STORE, META_STORE], 'readwrite');
+        tx.objectStore(STORE).delete(id);
+        tx.objectStore(META_STORE).delete(id);
+        await transactionDone(tx);
+    }
+
+    async create(name, fields = {}) {
+        const now = Date.now();
+        return this.put({
+            id: generateId(),
+            name,
+            scene: null,
+            history: null,
+            thumbnail: null,
+            voxelCount: 0,
+            createdAt: now,
+            ...fields
+        });
+    }
+
+    async duplicate(id) {
+        const source = await this.get(id);
+        if (!source) return null;
+
+        const { id: _id, name, createdAt, ...rest } = structuredClone(source);
+        return this.create(`${name} (copy)`, rest);
+    }
+
+    async rename(id, name) {
+        const project = await this.get(id);
+        if (!project) return null;
+        project.name = name;
+        return this.put(project);
+    }
+
+    /**
+     * Move the old single `voxel-map` localStorage save into a project.
+     * Returns the new project, or null if there was nothing to migrate.
+     */
+    async migrateLegacy() {
+        const json = localStorage.getItem(LEGACY_MAP_KEY);
+        if (!json) return null;
+
+        try {
+            const voxels = JSON.parse(json);
+            const historyJson = localStorage.getItem(LEGACY_HISTORY_KEY);
+            const project = await this.create('My Scene', {
+                scene: migrateScene(voxels),
+                voxelCount: voxels.length,
+                history: historyJson ? JSON.parse(historyJson) : null
+            });
+
+            localStorage.removeItem(LEGACY_MAP_KEY);
+            localStorage.removeItem(LEGACY_HISTORY_KEY);
+            return project;
+        } catch (e) {
+            console.error('Failed to migrate legacy map', e);
+            return null;
+        }
+    }
+}
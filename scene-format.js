@@ -0,0 +1,403 @@
+/* ============================================
+   SCENE FORMAT - .voxelflow files
+   ============================================
+
+   Versioned JSON document with run-length encoded
+   voxel data. See FORMAT.md for the full spec.
+
+   Voxels are passed in and out as world-space cell
+   centers ({ x, y, z, color, material }). In the file
+   they are stored as integer cells inside a bounding
+   box:
+
+       cell = floor(world / voxelSize)
+       world = cell * voxelSize + voxelSize / 2
+*/
+
+export const FORMAT_NAME = 'voxelflow';
+export const FORMAT_VERSION = 3;
+export const FILE_EXTENSION = '.voxelflow';
+
+// Used for payloads that predate the format (legacy `voxel-map`)
+const LEGACY_WORLD = { width: 10, depth: 10, height: 10, mode: 'fixed', voxelSize: 1 };
+
+// Version 1 only stored a square grid size; its height was hard-coded
+const V1_HEIGHT = 10;
+
+// Limits for untrusted files. Decoding never allocates the bounding
+// box, so the bounds cap only turns away nonsense sizes
+const MAX_BOUNDS_CELLS = 2 ** 40;
+const MAX_VOXELS = 16 * 1024 * 1024;
+
+// Voxels without a material id (and every voxel before version 3)
+const DEFAULT_MATERIAL = 'matte';
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+export function colorToHex(color) {
+    return '#' + color.toString(16).padStart(6, '0');
+}
+
+export function hexToColor(hex) {
+    return parseInt(hex.replace('#', ''), 16);
+}
+
+/**
+ * Encode editor voxels into a .voxelflow document
+ *
+ * @param {Object} scene
+ * @param {string} scene.name
+ * @param {Array} scene.voxels - [{ x, y, z, color, material? }] in world space
+ * @param {Object} scene.world - { width, depth, height, mode, voxelSize }
+ * @param {Array<number>} [scene.palette] - Editor palette; scene colors missing from it are appended
+ * @param {Object} [scene.timelapse] - Build log, see timelapse.js
+ * @returns {Object} - Plain JSON-serializable document
+ */
+export function encodeScene({ name, voxels, world, palette = [], timelapse = null }) {
+    const size = world.voxelSize;
+    const colors = [...palette];
+    const colorIndex = new Map(colors.map((c, i) => [c, i]));
+    const materials = [];
+
+    // World centers -> integer cells
+    const cells = voxels.map(v => {
+        if (!colorIndex.has(v.color)) {
+            colorIndex.set(v.color, colors.length);
+            colors.push(v.color);
+        }
+
+        let material = 0;   // 0 = default
+        if (v.material && v.material !== DEFAULT_MATERIAL) {
+            if (!materials.includes(v.material)) materials.push(v.material);
+            material = materials.indexOf(v.material) + 1;
+        }
+
+        return {
+            x: Math.floor(v.x / size),
+            y: Math.floor(v.y / size),
+            z: Math.floor(v.z / size),
+            value: colorIndex.get(v.color) + 1,   // 0 = empty
+            material
+        };
+    });
+
+    const doc = {
+        format: FORMAT_NAME,
+        version: FORMAT_VERSION,
+        name,
+        world: {
+            width: world.width,
+            depth: world.depth,
+            height: world.height,
+            mode: world.mode,
+            voxelSize: size
+        },
+        palette: colors.map(colorToHex),
+        materials,
+        bounds: { min: [0, 0, 0], size: [0, 0, 0] },
+        voxels: { encoding: 'rle', data: [] },
+        voxelMaterials: { encoding: 'rle', data: [] }
+    };
+    if (timelapse) doc.timelapse = encodeTimelapse(timelapse);
+
+    if (cells.length === 0) return doc;
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    cells.forEach(c => {
+        [c.x, c.y, c.z].forEach((v, i) => {
+            min[i] = Math.min(min[i], v);
+            max[i] = Math.max(max[i], v);
+        });
+    });
+
+    // Only occupied cells are visited; the empty space between them
+    // becomes zero runs without the box ever being allocated
+    const [w, h, d] = [max[0] - min[0] + 1, max[1] - min[1] + 1, max[2] - min[2] + 1];
+    cells.forEach(c => {
+        c.index = cellIndex(c.x - min[0], c.y - min[1], c.z - min[2], w, d);
+    });
+    cells.sort((a, b) => a.index - b.index);
+
+    doc.bounds = { min, size: [w, h, d] };
+    doc.voxels.data = runLengthEncodeCells(cells, w * h * d, 'value');
+    doc.voxelMaterials.data = runLengthEncodeCells(cells, w * h * d, 'material');
+    return doc;
+}
+
+/**
+ * Decode a .voxelflow document (any supported version) back into editor voxels
+ *
+ * @param {Object|Array} data - Parsed file contents
+ * @returns {{ name: string, world: Object, palette: Array<number>, voxels: Array, timelapse: Object|null }}
+ */
+export function decodeScene(data) {
+    const doc = migrateScene(data);
+    checkFields(doc);
+    const size = doc.world.voxelSize;
+    const palette = doc.palette.map(hexToColor);
+    const materials = doc.materials || [];
+    const [w, h, d] = checkBounds(doc.bounds);
+    const [minX, minY, minZ] = doc.bounds.min;
+    const total = w * h * d;
+
+    const voxelRuns = checkRuns(doc.voxels?.data, total, palette.length, 'Voxel');
+    const materialRuns = doc.voxelMaterials
+        ? checkRuns(doc.voxelMaterials.data, total, materials.length, 'Material')
+        : [total, 0];
+
+    // Walk the runs instead of expanding them: only occupied cells cost anything.
+    // Material runs are followed alongside, as both lists cover the same cells.
+    const voxels = [];
+    let materialRun = 0;
+    let materialEnd = materialRuns[0] || 0;
+    let offset = 0;
+    for (let i = 0; i < voxelRuns.length; i += 2) {
+        const count = voxelRuns[i];
+        const value = voxelRuns[i + 1];
+        if (value !== 0) {
+            if (voxels.length + count > MAX_VOXELS) {
+                throw new Error(`Scene holds more than ${MAX_VOXELS} voxels`);
+            }
+            for (let index = offset; index < offset + count; index++) {
+                while (index >= materialEnd) {
+                    materialRun += 2;
+                    materialEnd += materialRuns[materialRun];
+                }
+                const material = materialRuns[materialRun + 1];
+                const x = index % w;
+                const z = Math.floor(index / w) % d;
+                const y = Math.floor(index / (w * d));
+                voxels.push({
+                    x: (x + minX) * size + size / 2,
+                    y: (y + minY) * size + size / 2,
+                    z: (z + minZ) * size + size / 2,
+                    color: palette[value - 1],
+                    material: material === 0 ? DEFAULT_MATERIAL : materials[material - 1]
+                });
+            }
+        }
+        offset += count;
+    }
+
+    const timelapse = doc.timelapse ? decodeTimelapse(doc.timelapse) : null;
+    return { name: doc.name, world: doc.world, palette, voxels, timelapse };
+}
+
+// Timelapse cells are stored with their own color and material
+// rather than palette indices, so removed colors don't end up
+// back in the scene's palette
+
+function encodeCellValue(value) {
+    const out = [colorToHex(value.color)];
+    if (value.material && value.material !== DEFAULT_MATERIAL) out.push(value.material);
+    return out;
+}
+
+function decodeCellValue([hex, material]) {
+    return material ? { color: hexToColor(hex), material } : { color: hexToColor(hex) };
+}
+
+/**
+ * Build log -> { startedAt, base: [[x, y, z, color, material?]], steps }
+ * Steps are [t, cells] or [t] for a clear; cells are [x, y, z, color, material?],
+ * or [x, y, z] for a removal.
+ */
+function encodeTimelapse({ startedAt, base, steps }) {
+    return {
+        startedAt: new Date(startedAt).toISOString(),
+        base: base.map(({ x, y, z, value }) => [x, y, z, ...encodeCellValue(value)]),
+        steps: steps.map(step => step.clear ? [step.t] : [step.t, step.cells.map(({ x, y, z, value }) =>
+            value ? [x, y, z, ...encodeCellValue(value)] : [x, y, z])])
+    };
+}
+
+/**
+ * @throws {Error} - If the log or any of its cells is malformed
+ */
+function decodeTimelapse(log) {
+    const { startedAt, base = [], steps = [] } = log;
+    if (!Array.isArray(base) || !Array.isArray(steps)) throw new Error('Timelapse is malformed');
+
+    return {
+        startedAt: Date.parse(startedAt) || 0,
+        base: base.map(cell => decodeLoggedCell(cell, false)),
+        steps: steps.map((step, i) => {
+            const valid = Array.isArray(step) && Number.isFinite(step[0]) && step[0] >= 0 &&
+                (step.length === 1 || (step.length === 2 && Array.isArray(step[1])));
+            if (!valid) throw new Error(`Timelapse step ${i} is malformed`);
+
+            const [t, cells] = step;
+            if (cells === undefined) return { t, clear: true };
+            return { t, cells: cells.map(cell => decodeLoggedCell(cell, true)) };
+        })
+    };
+}
+
+/**
+ * [x, y, z, color, material?], or [x, y, z] for a removal where allowed
+ */
+function decodeLoggedCell(cell, allowRemoval) {
+    const valid = Array.isArray(cell) && cell.length >= 3 && cell.length <= 5 &&
+        cell.slice(0, 3).every(Number.isInteger) &&
+        (cell.length === 3 ? allowRemoval : HEX_COLOR.test(cell[3])) &&
+        (cell.length < 5 || typeof cell[4] === 'string');
+    if (!valid) throw new Error('Timelapse cell is malformed');
+
+    const [x, y, z, ...value] = cell;
+    return { x, y, z, value: value.length ? decodeCellValue(value) : null };
+}
+
+/**
+ * Upgrade any known payload to the current document version.
+ * Throws for anything that isn't a scene.
+ */
+export function migrateScene(data) {
+    // Version 0: the bare `voxel-map` array of { x, y, z, color }
+    if (Array.isArray(data)) {
+        const valid = data.every(item => item && [item.x, item.y, item.z].every(Number.isFinite) &&
+            Number.isInteger(item.color));
+        if (!valid) throw new Error('Legacy scene holds malformed voxels');
+        return encodeScene({ name: 'Imported Scene', voxels: data, world: LEGACY_WORLD });
+    }
+
+    if (!data || data.format !== FORMAT_NAME) {
+        throw new Error('Not a VoxelFlow scene');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('Scene has no valid version');
+    }
+    if (data.version > FORMAT_VERSION) {
+        throw new Error(`Scene version ${data.version} is newer than this editor supports`);
+    }
+
+    // Version 1: square `grid: { size, voxelSize }`
+    if (data.version === 1) {
+        const { grid, ...rest } = data;
+        if (!grid || typeof grid !== 'object') throw new Error('Scene grid is missing');
+        return migrateScene({
+            ...rest,
+            version: 2,
+            world: {
+                width: grid.size,
+                depth: grid.size,
+                height: V1_HEIGHT,
+                mode: 'fixed',
+                voxelSize: grid.voxelSize
+            }
+        });
+    }
+
+    // Version 2: no materials - every voxel is the default
+    if (data.version === 2) {
+        return {
+            ...data,
+            version: FORMAT_VERSION,
+            materials: [],
+            voxelMaterials: { encoding: 'rle', data: runLengthEncodeCells([], countCells(data), 'material') }
+        };
+    }
+
+    return data;
+}
+
+function countCells(doc) {
+    const [w, h, d] = checkBounds(doc.bounds);
+    return w * h * d;
+}
+
+/**
+ * Everything but the voxel data, which checkBounds and checkRuns cover
+ * @throws {Error} - Naming the first field that is missing or malformed
+ */
+function checkFields(doc) {
+    if (typeof doc.name !== 'string') throw new Error('Scene name is missing');
+
+    const world = doc.world;
+    if (!world || typeof world !== 'object') throw new Error('Scene world is missing');
+    if (!(Number.isFinite(world.voxelSize) && world.voxelSize > 0)) {
+        throw new Error('Scene voxel size is missing or invalid');
+    }
+
+    if (!Array.isArray(doc.palette) || !doc.palette.every(color => HEX_COLOR.test(color))) {
+        throw new Error('Scene palette is malformed');
+    }
+    if (doc.materials !== undefined &&
+        (!Array.isArray(doc.materials) || !doc.materials.every(id => typeof id === 'string'))) {
+        throw new Error('Scene materials are malformed');
+    }
+    if (doc.timelapse !== undefined && doc.timelapse !== null && typeof doc.timelapse !== 'object') {
+        throw new Error('Timelapse is malformed');
+    }
+}
+
+// Layer (y) major, then rows (z), then x
+function cellIndex(x, y, z, w, d) {
+    return (y * d + z) * w + x;
+}
+
+/**
+ * [count, value, count, value, ...] over `total` cells, where only the
+ * listed cells (sorted by index) hold a value and every other one is 0
+ * @param {Array} cells - [{ index, ... }]
+ * @param {number} total - Cells in the bounding box
+ * @param {string} field - Cell property to encode
+ */
+function runLengthEncodeCells(cells, total, field) {
+    const runs = [];
+    const push = (count, value) => {
+        if (runs.length > 0 && runs[runs.length - 1] === value) runs[runs.length - 2] += count;
+        else runs.push(count, value);
+    };
+
+    let next = 0;
+    cells.forEach(cell => {
+        if (cell.index > next) push(cell.index - next, 0);
+        push(1, cell[field]);
+        next = cell.index + 1;
+    });
+    if (total > next) push(total - next, 0);
+    return runs;
+}
+
+/**
+ * @returns {number[]} - [width, height, depth]
+ * @throws {Error} - If the box isn't made of whole cells or is absurdly large
+ */
+function checkBounds(bounds) {
+    const valid = bounds && Array.isArray(bounds.size) && bounds.size.length === 3 &&
+        Array.isArray(bounds.min) && bounds.min.length === 3 &&
+        bounds.size.every(n => Number.isInteger(n) && n >= 0) &&
+        bounds.min.every(Number.isInteger);
+    if (!valid) throw new Error('Scene bounds are malformed');
+
+    const [w, h, d] = bounds.size;
+    if (w * h * d > MAX_BOUNDS_CELLS) throw new Error(`Scene bounds ${w}×${h}×${d} are too large`);
+    return [w, h, d];
+}
+
+/**
+ * @param {Array} runs - [count, value, ...]
+ * @param {number} length - Cells the runs must cover
+ * @param {number} maxValue - Largest valid value (0 is always valid)
+ * @param {string} what - For error messages
+ * @throws {Error} - If a run is malformed or the counts don't add up to length
+ */
+function checkRuns(runs, length, maxValue, what) {
+    if (!Array.isArray(runs) || runs.length % 2 !== 0) throw new Error(`${what} data is malformed`);
+
+    let covered = 0;
+    for (let i = 0; i < runs.length; i += 2) {
+        const count = runs[i];
+        const value = runs[i + 1];
+        if (!Number.isInteger(count) || count <= 0) throw new Error(`${what} data has an invalid run length`);
+        if (!Number.isInteger(value) || value < 0 || value > maxValue) {
+            throw new Error(`${what} data refers to entry ${value}, but the scene only has ${maxValue}`);
+        }
+        covered += count;
+    }
+    if (covered !== length) {
+        throw new Error(`${what} data covers ${covered} cells, but the scene bounds hold ${length}`);
+    }
+    return runs;
+}
@@ -14,14 +14,52 @@
    
    Smoothing:
    ----------
-   EMA (Exponential Moving Average) reduces hand jitter:
-   smoothed = α × current + (1 - α) × previous
-   where α = 0.4 (lower = more smoothing)
+   One Euro filters (one-euro-filter.js) reduce hand jitter:
+   heavy smoothing while the hand is still, little lag while
+   it moves fast. Landmarks are filtered per hand, the cursor
+   again in world space.
 */
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { HandLandmarker, FilesetResolver } from 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.18/vision_bundle.mjs';
+import { HistoryManager, HISTORY_VERSION } from './history.js';
+import { ProjectStore } from './project-store.js';
+import { encodeScene, decodeScene, migrateScene, FILE_EXTENSION, colorToHex } from './scene-format.js';
+import { encodeVox, decodeVox } from './vox-format.js';
+import { buildMesh, encodeGLB, encodeOBJ, encodeSTL } from './mesh-export.js';
+import { VoxelRenderer } from './voxel-renderer.js';
+import { raycastVoxels } from './voxel-picking.js';
+import { VoxelGrid, cellKey, FACE_OFFSETS } from './voxel-grid.js';
+import {
+    boxFromCorners, boxSize, moveBox, clipboardBox, copyRegion,
+    rotateClipboardY, mirrorClipboard, placeClipboard
+} from './voxel-selection.js';
+import { GhostGroup } from './ghost-group.js';
+import {
+    parseGPL, formatGPL, parseHex, formatHex, colorsFromPixels,
+    hsvToColor, colorToHsv
+} from './palette-io.js';
+import { SHAPE_TOOLS, shapeBounds, shapeCells, floodRecolor, floodFillEnclosed } from './voxel-shapes.js';
+import { planFalls } from './voxel-physics.js';
+import { CollabClient, DEFAULT_RELAY_PORT } from './collab-client.js';
+import { TimelapseLog, TimelapsePlayer } from './timelapse.js';
+import { ZipWriter } from './zip-writer.js';
+import {
+    MATERIALS, DEFAULT_MATERIAL, ATLAS_URL, ATLAS_TILES, getMaterialDef, setMaterialEnvironment
+} from './voxel-materials.js';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
+import { GestureRecognizer } from './gesture-recognizer.js';
+import { LandmarkFilter, PointFilter } from './one-euro-filter.js';
+import { HandRecorder, ReplaySource, validateRecording, RECORDING_EXTENSION } from './hand-recording.js';
+import {
+    CALIBRATION_STEPS, summarizeStep, deriveSettings,
+    loadCalibration, saveCalibration, clearCalibration
+} from './hand-calibration.js';
+import {
+    PROFILE_ACTIONS, bindingChoices, parseBinding, isBuiltinProfile,
+    normalizeProfile, loadProfiles, saveProfiles
+} from './gesture-profiles.js';
 
 // ============================================
 // CONFIGURATION
@@ -29,34 +67,101 @@ import { HandLandmarker, FilesetResolver } from 'https://cdn.jsdelivr.net/npm/@m
 
 const CONFIG = {
     // Grid settings
-    GRID_SIZE: 10,           // 10x10 grid
+    GRID_SIZE: 10,           // Default world width/depth (10x10 grid)
+    MAX_HEIGHT: 10,          // Default world height in layers
+    WORLD_MAX_SIZE: 1024,    // Largest world width / depth / height (the grid draws a line per cell)
     VOXEL_SIZE: 1,           // Size of each voxel
-
-    // Hand tracking - TUNED FOR STABILITY
-    SMOOTHING_ALPHA: 0.15,   // EMA for landmarks - lower = more stable (was 0.25)
-    GHOST_SMOOTHING: 0.12,   // Ghost voxel lerp speed - lower = smoother (was 0.3)
-    PINCH_THRESHOLD: 0.09,   // Easiesr pinch detection (was 0.06)
-
-    // DWELL-TO-PLACE: Hold in same spot to auto-place
-    DWELL_TIME: 1500,        // Milliseconds to hold before auto-place (was 800)
-    DWELL_TOLERANCE: 0.5,    // Movement tolerance during dwell (was 0.1)
+    FLOOR_COLOR: 0x1a1a2e,
+    EXPAND_MARGIN: 5,        // Expanding worlds keep this many free cells around the build
+
+    // Hand tracking - defaults until the user calibrates (see hand-calibration.js)
+    FILTER_MIN_CUTOFF: 0.8,  // Hz, landmarks held still - lower = more stable
+    FILTER_BETA: 8,          // Cutoff rise per image-width/s of speed - higher = less lag
+    GHOST_MIN_CUTOFF: 1.0,   // Hz, cursor in world space held still
+    GHOST_BETA: 0.3,         // Cutoff rise per voxel/s of cursor speed
+    PINCH_THRESHOLD: 0.5,    // Thumb-index distance, in palm sizes, that starts a pinch
+    PINCH_RELEASE: 0.65,     // Pinch ends above this distance (hysteresis)
+    GESTURE_DEBOUNCE: 80,    // ms a new gesture must be stable before it counts
+    GESTURE_HOLD: 700,       // ms before a held gesture fires its 'hold' binding
+
+    // DWELL-TO-PLACE: Hold in same spot to auto-place (also calibrated)
+    DWELL_TIME: 1500,        // Milliseconds to hold before auto-place
+    DWELL_TOLERANCE: 0.5,    // Movement tolerance during dwell
+    CALIBRATION_WAIT: 2000,  // ms to get into each calibration pose before sampling
 
     // Ghost voxel
     GHOST_OPACITY: 0.4,
     GHOST_COLOR: 0x00d4ff,
 
-    // Placed voxels
+    // Placed voxels (default palette for new scenes)
     VOXEL_COLORS: [
         0x00ff88, 0xff6b6b, 0x00d4ff, 0xffd93d,
         0xff7eb3, 0x6bcb77, 0xc9b1ff, 0xffa45b
     ],
+    PALETTE_PAGE_SIZE: 8,    // Swatches shown in the toolbar at once
+    PALETTE_MAX: 256,
 
     // Placement plane (Z depth where voxels are placed)
     PLACEMENT_DEPTH: 0,
 
+    // Picking
+    PICK_DISTANCE: 200,      // Max ray length for voxel picking
+
+    // Depth cursor
+    DEPTH_RANGE: [0.4, 1.6], // Cursor distance along the ray, in multiples of the camera-target distance
+    DEPTH_Z_WEIGHT: 0.5,     // How much index-tip z adds to apparent palm size
+    DEPTH_SMOOTHING: 0.15,   // EMA for the depth signal
+    DEPTH_CALIBRATION_WAIT: 2000,   // ms to get into position before each calibration step
+    DEPTH_CALIBRATION_SAMPLE: 1000, // ms of samples per step
+
+    // Region selection
+    SELECTION_COLOR: 0xffd93d,
+    CLICK_TOLERANCE: 5,      // Pixels a mouse may move and still count as a click
+    TOUCH_TOLERANCE: 12,     // ...and a finger, for taps
+    LONG_PRESS: 500,         // ms a touch must be held to remove instead of place
+
+    // Shape tools
+    SHAPE_MAX_CELLS: 20000,  // Largest shape / flood fill committed in one go
+
+    // Edit modes
+    MODE_GESTURE_HOLD: 700,  // ms a finger count must be held to switch modes
+
+    // Hand navigation
+    NAV_TOGGLE_HOLD: 1000,   // ms both palms must be held open to enter / leave navigation
+    NAV_ROTATE_SPEED: 5,     // Radians per frame width of two-fist movement
+    NAV_PAN_SPEED: 1,        // Visible widths panned per frame width of fist movement
+
     // Interaction settings
     GRAVITY_ENABLED: false,  // Toggled by user
-    GRAVITY_RATE: 5          // Apply gravity every N frames
+    GRAVITY_RATE: 5,         // Apply gravity every N frames
+    GRAVITY_MODE: 'column',  // 'column': each voxel drops a cell at a time; 'structural': see voxel-physics.js
+    SUPPORT_STRENGTH: 3,     // Structural: cells a voxel may stick out sideways before it breaks off
+    FALL_ACCELERATION: 40,   // Structural: cells/s² for falling clusters
+    FALL_BOUNCE: 0.15,       // Cells a landing cluster bounces back up (at most)
+    FALL_BOUNCE_TIME: 150,   // ms of that bounce
+
+    // Shared sessions
+    COLLAB_CURSOR_INTERVAL: 66,  // ms between cursor updates sent to the relay
+
+    // Timelapse
+    TIMELAPSE_MAX_GAP: 1000,     // ms, longer pauses between edits are cut to this in playback
+    TIMELAPSE_SPEED: 5,          // Default playback speed
+    TIMELAPSE_FPS: 30,           // WebM export frame rate
+    TIMELAPSE_END_HOLD: 1500,    // ms the finished build stays on screen at the end of a WebM
+    TIMELAPSE_MAX_STEPS: 5000,   // Edits kept; older ones are folded into the log's starting scene
+
+    // Capture
+    CAPTURE_FPS: 30,             // Turntable frames per second
+    CAPTURE_MAX_SIZE: 8192,      // px, largest capture width / height
+    CAPTURE_MAX_SECONDS: 60,     // Longest turntable orbit
+
+    // Undo / redo
+    HISTORY_LIMIT: 100,      // Max undo steps kept (and saved)
+
+    // Projects
+    SAVE_DELAY: 500,         // Debounce (ms) for IndexedDB writes
+    THUMBNAIL_WIDTH: 160,
+    THUMBNAIL_HEIGHT: 100
 };
 
 // ============================================
@@ -66,26 +171,88 @@ const CONFIG = {
 let scene, camera, renderer, controls;
 let handLandmarker = null;
 let webcamElement, lastVideoTime = -1;
+let handRecorder = null;       // HandRecorder, active while ⏺️ is on
+let replaySource = null;       // ReplaySource fed to the pipeline instead of the webcam
+let replayRestore = null;      // Settings a replay replaced, put back when it stops
+
+// Shared session
+let collab = null;             // { client, room, name, color, peers, ready, queued }, see joinCollab
+let applyingRemote = false;    // Grid changes from the relay aren't sent back to it
+let collabOutgoing = null;     // Local changes batched until the current task ends
+let collabCursorSent = { key: null, time: 0 };
 
 // Hand state
 let handDetected = false;
 let detectedHandCount = 0;
-let smoothers = { 'Left': null, 'Right': null }; // Stores EMA state for hands by label
-let debugPinchState = { 'Left': false, 'Right': false }; // For UI debugging
+let landmarkFilters = {};      // One Euro state per hand label, see applySmoothing
+let ghostFilter = null;        // One Euro filter for the cursor in world space
+let filterDebug = null;        // Cursor paths while the filter overlay is on, see toggleFilterDebug
+let gestures = null;           // GestureRecognizer, fed every frame
+let cursorLabel = null;        // Handedness label of the cursor hand
+let triggerLabel = null;       // ...and of the trigger hand (two-hand mode only)
+let gestureQueue = [];         // Events since the last frame, run once the cursor is known
+let gestureProfiles = null;    // { active, profiles } - see gesture-profiles.js
+let controlProfile = null;     // Active profile: cursor hand + action bindings
+
+// Hand navigation
+let navigating = false;        // Hands move the camera instead of editing
+let navToggleLatched = false;  // Toggle pose still held since it last fired
+let navGrab = null;            // { mid, spread } of the previous two-fist frame
+let navPan = null;             // { hand, x, y } of the previous one-fist frame
+
+// Depth cursor
+let depthCursor = false;       // Hand distance pushes the cursor along its ray
+let depthRange = null;         // { near, far } hand nearness, see loadDepthCalibration
+let depthSignal = null;        // Smoothed hand nearness
+let depthCalibration = null;   // { step, startedAt, samples, result } while calibrating
+let depthGuide = null;         // Line from the cursor down to the floor
+
+// Hand calibration wizard
+let calibrationRun = null;     // { step, startedAt, frames, measured } while measuring
+let calibrationResult = null;  // { settings, measured } waiting to be saved
 let isPinching = false;
-let wasPinching = false;       // Previous frame's pinch state
-let blockPlacedThisPinch = false;  // Prevent spam on hold
 
 // Toolbar State
 let activeColor = CONFIG.VOXEL_COLORS[0]; // Default color
+let palette = [...CONFIG.VOXEL_COLORS];   // Saved with each scene
+let palettePage = 0;
+let pickerHsv = colorToHsv(activeColor);  // Palette editor's HSV picker
+let activeMaterial = DEFAULT_MATERIAL;    // See voxel-materials.js
 
 // Ghost voxel (placement preview)
 let ghostVoxel = null;
 let ghostPosition = new THREE.Vector3();
 
+// Region selection
+let selection = null;            // { min, max } in grid cells
+let selectionHelper = null;      // Box outline around the selection
+let selectToolActive = false;    // Mouse drags / two-hand pinches draw selection boxes
+let selectionDrag = null;        // { start } while a box is dragged with the mouse
+let pointerDownAt = null;        // Tells clicks from orbit drags
+let inputMode = 'hand';          // 'hand' or 'pointer' (mouse, keyboard, touch), see setInputMode
+let keyboardCursor = null;       // Cell the arrow / WASD keys moved the cursor to
+let touchPress = null;           // Finger down that may become a tap or a long press
+const activeTouches = new Set(); // Pointer ids of fingers on the canvas
+let clipboard = null;            // See voxel-selection.js
+let pasteActive = false;         // Clipboard follows the cursor until committed
+let pasteOrigin = null;          // Min corner of the pending paste
+let ghostGroup = null;           // Paste preview
+
+// Shape tools
+let activeTool = 'voxel';        // 'voxel', one of SHAPE_TOOLS, 'fill' or 'recolor'
+let toolAnchor = null;           // First corner of a two-point shape
+let toolGhost = null;            // Shape / fill preview
+let toolPreview = null;          // { key, label, changes } for the cursor's current cell
+let cursorNDC = null;            // Where the cursor points on screen (for fill rays)
+
+// Edit modes
+let editMode = 'build';          // 'build', 'erase', 'paint' or 'eyedropper'
+let modeBeforeEyedropper = 'build';
+let modeGesture = null;          // { mode, since } while a finger count is held
+
 // Voxel storage
-const voxels = [];
-const voxelMap = new Map(); // Key: "x,y,z" -> voxel mesh for O(1) lookup
+const voxelGrid = new VoxelGrid(); // Integer cells -> { color, material? }, the source of truth
+let voxelRenderer = null;          // Instanced meshes, subscribed to voxelGrid
 
 // UI elements
 let handStatusEl, pinchStatusEl, fpsDisplayEl, voxelCountEl;
@@ -99,6 +266,16 @@ const reusableRaycaster = new THREE.Raycaster();
 const reusableNDC = new THREE.Vector2();
 const floorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);  // y=0 plane
 let floor = null;  // Reference to floor mesh for raycasting
+let gridLines = null;
+let sunLight = null;  // Main shadow-casting light
+
+// World dimensions (saved with each scene)
+let world = defaultWorld();
+let floorBounds = null;    // Cell range covered by floor + grid
+let floorDirty = false;    // Expanding world outgrew its floor
+let highestCellY = -1;     // Upper bound of occupied layers
+let structureDirty = true; // Grid changed since structural gravity last looked
+let fallingBodies = [];    // Clusters animating down to their landing cells, see applyStructuralGravity
 
 // Ghost position smoothing
 let smoothedGhostPosition = new THREE.Vector3(0, 0.5, 0);
@@ -114,6 +291,20 @@ let dwellRing = null;   // Visual indicator
 // SYSTEMS
 let audioManager = null;
 let particleSystem = null;
+let history = null;
+
+// Projects
+let projectStore = null;
+let currentProject = null;   // Record currently open in the editor
+let saveTimeout = null;
+let thumbnailCanvas = null;
+let renamingProject = false; // A name in the project list is being edited
+
+// Timelapse
+let timelapseLog = null;     // Every grid change of the open scene, saved with it
+let timelapse = null;        // Playback state while the timelapse bar is open, see openTimelapse
+let applyingGravity = false; // Falls join the edit that caused them in the log
+let captureRun = null;       // { cancelled } while a turntable renders
 
 // ============================================
 // AUDIO & PARTICLES
@@ -239,6 +430,11 @@ async function init() {
 
     // Systems
     audioManager = new AudioManager();
+    setupGestures();
+    ghostFilter = new PointFilter({ minCutoff: CONFIG.GHOST_MIN_CUTOFF, beta: CONFIG.GHOST_BETA });
+    depthRange = loadDepthCalibration();
+    const calibration = loadCalibration();
+    if (calibration) applyTrackingSettings(calibration.settings);
 
     // Setup Three.js scene
     setupScene();
@@ -246,11 +442,54 @@ async function init() {
     // Init particles
     particleSystem = new ParticleSystem(scene);
 
-    // Load saved map
-    loadMap();
+    // Instanced voxel meshes
+    voxelRenderer = new VoxelRenderer(scene, { voxelSize: CONFIG.VOXEL_SIZE });
+    voxelRenderer.attach(voxelGrid);
+    voxelGrid.subscribe(onGridChange);
+
+    // Region selection + paste preview
+    createSelectionHelper();
+    setupPointerSelection();
+    setupPointerInput();
+    toolGhost = new GhostGroup(scene, {
+        voxelSize: CONFIG.VOXEL_SIZE,
+        opacity: CONFIG.GHOST_OPACITY
+    });
 
-    // Setup MediaPipe hand tracking
-    await setupHandTracking();
+    // Undo / redo
+    history = new HistoryManager({
+        apply: applyHistoryChanges,
+        applyPalette: applyHistoryPalette,
+        onChange: updateHistoryButtons,
+        limit: CONFIG.HISTORY_LIMIT
+    });
+    setupKeyboardShortcuts();
+
+    // Open saved projects (migrates the old single-slot save)
+    await setupProjects();
+    setupWorldDialog();
+    setupControlsDialog();
+    setupCalibrationDialog();
+    setupFilterDebug();
+    setupCollab();
+    setupTimelapse();
+    setupCaptureDialog();
+
+    // ?replay=<url> plays a recording instead of the webcam (headless tests, bug reports)
+    const replayUrl = new URLSearchParams(window.location.search).get('replay');
+    if (replayUrl) {
+        openScratchScene();
+        await loadReplayFromUrl(replayUrl);
+    } else {
+        // Setup MediaPipe hand tracking
+        try {
+            await setupHandTracking();
+        } catch (error) {
+            // No camera or no model: the editor still works without hands
+            setInputMode('pointer');
+            showToast(`Hand tracking unavailable (${error.message}) - using mouse, keyboard and touch`, true);
+        }
+    }
 
     // Hide loading overlay
     document.getElementById('loading-overlay').classList.add('hidden');
@@ -286,7 +525,8 @@ function setupScene() {
     camera.lookAt(0, 0, 0);
 
     // Renderer
-    renderer = new THREE.WebGLRenderer({ antialias: true });
+    // Alpha: captures can have a transparent background
+    renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
     renderer.shadowMap.enabled = true;
@@ -319,19 +559,15 @@ function setupLighting() {
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.4);
     scene.add(ambientLight);
 
-    // Main directional light
+    // Main directional light (shadow camera is sized by fitWorldView)
     const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
     directionalLight.position.set(10, 15, 10);
     directionalLight.castShadow = true;
     directionalLight.shadow.mapSize.width = 2048;
     directionalLight.shadow.mapSize.height = 2048;
     directionalLight.shadow.camera.near = 0.5;
-    directionalLight.shadow.camera.far = 50;
-    directionalLight.shadow.camera.left = -15;
-    directionalLight.shadow.camera.right = 15;
-    directionalLight.shadow.camera.top = 15;
-    directionalLight.shadow.camera.bottom = -15;
     scene.add(directionalLight);
+    sunLight = directionalLight;
 
     // Fill light
     const fillLight = new THREE.DirectionalLight(0x00d4ff, 0.3);
@@ -341,31 +577,107 @@ function setupLighting() {
     // Hemisphere light for natural feel
     const hemiLight = new THREE.HemisphereLight(0x00d4ff, 0x1a1a2e, 0.3);
     scene.add(hemiLight);
+
+    // Reflections for metal and glass blocks (not used as scene lighting)
+    const pmrem = new THREE.PMREMGenerator(renderer);
+    setMaterialEnvironment(pmrem.fromScene(new RoomEnvironment(), 0.04).texture);
+    pmrem.dispose();
 }
 
 function createGrid() {
-    const gridSize = CONFIG.GRID_SIZE;
-    const halfSize = gridSize / 2;
+    floorBounds = computeFloorBounds();
+
+    const size = CONFIG.VOXEL_SIZE;
+    const x0 = floorBounds.minX * size;
+    const x1 = (floorBounds.maxX + 1) * size;
+    const z0 = floorBounds.minZ * size;
+    const z1 = (floorBounds.maxZ + 1) * size;
+
+    // Grid lines (like GridHelper, but the world need not be square)
+    const positions = [];
+    const colors = [];
+    const centerColor = new THREE.Color(0x444466);
+    const lineColor = new THREE.Color(0x222244);
+    const pushLine = (a, b, isCenter) => {
+        positions.push(...a, ...b);
+        const c = isCenter ? centerColor : lineColor;
+        colors.push(c.r, c.g, c.b, c.r, c.g, c.b);
+    };
+    for (let i = floorBounds.minX; i <= floorBounds.maxX + 1; i++) {
+        pushLine([i * size, 0, z0], [i * size, 0, z1], i === 0);
+    }
+    for (let i = floorBounds.minZ; i <= floorBounds.maxZ + 1; i++) {
+        pushLine([x0, 0, i * size], [x1, 0, i * size], i === 0);
+    }
 
-    // Grid helper
-    const gridHelper = new THREE.GridHelper(gridSize, gridSize, 0x444466, 0x222244);
-    gridHelper.position.y = 0;
-    scene.add(gridHelper);
+    const gridGeometry = new THREE.BufferGeometry();
+    gridGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    gridGeometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    gridLines = new THREE.LineSegments(
+        gridGeometry,
+        new THREE.LineBasicMaterial({ vertexColors: true, toneMapped: false })
+    );
+    gridLines.position.y = 0;
+    scene.add(gridLines);
 
     // Floor plane (for raycasting)
-    const floorGeometry = new THREE.PlaneGeometry(gridSize, gridSize);
+    const floorGeometry = new THREE.PlaneGeometry(x1 - x0, z1 - z0);
     const floorMaterial = new THREE.MeshStandardMaterial({
-        color: 0x1a1a2e,
+        color: CONFIG.FLOOR_COLOR,
         transparent: true,
         opacity: 0.5,
         side: THREE.DoubleSide
     });
     floor = new THREE.Mesh(floorGeometry, floorMaterial);
     floor.rotation.x = -Math.PI / 2;
-    floor.position.y = 0;
+    floor.position.set((x0 + x1) / 2, 0, (z0 + z1) / 2);
     floor.receiveShadow = true;
     floor.name = 'floor';
     scene.add(floor);
+
+    fitWorldView();
+}
+
+/**
+ * Replace floor + grid after the world (or an expanding build) changed size
+ */
+function rebuildGrid() {
+    [gridLines, floor].forEach(obj => {
+        if (!obj) return;
+        scene.remove(obj);
+        obj.geometry.dispose();
+        obj.material.dispose();
+    });
+    createGrid();
+    floorDirty = false;
+}
+
+/**
+ * Size the shadow camera, fog and zoom range to the floor
+ */
+function fitWorldView() {
+    const size = CONFIG.VOXEL_SIZE;
+    const extent = Math.max(
+        Math.abs(floorBounds.minX), Math.abs(floorBounds.maxX + 1),
+        Math.abs(floorBounds.minZ), Math.abs(floorBounds.maxZ + 1)
+    ) * size;
+    const height = (world.mode === 'fixed' ? world.height : highestCellY + 1) * size;
+    const radius = Math.max(15, Math.hypot(extent, height) * 1.2);
+
+    // Keep the light's direction, push it out far enough to see everything
+    const distance = Math.max(20, radius * 1.5);
+    sunLight.position.normalize().multiplyScalar(distance);
+    const shadowCamera = sunLight.shadow.camera;
+    shadowCamera.left = -radius;
+    shadowCamera.right = radius;
+    shadowCamera.top = radius;
+    shadowCamera.bottom = -radius;
+    shadowCamera.far = distance + radius * 2;
+    shadowCamera.updateProjectionMatrix();
+
+    scene.fog.near = Math.max(15, radius);
+    scene.fog.far = Math.max(40, radius * 3);
+    controls.maxDistance = Math.max(50, radius * 3);
 }
 
 function createGhostVoxel() {
@@ -396,39 +708,34 @@ function createGhostVoxel() {
 
     // Create dwell progress ring
     createDwellIndicator();
+    createDepthGuide();
 }
 
 function setupToolbar() {
-    // 1. Color Palette
-    const paletteContainer = document.getElementById('color-palette');
-    CONFIG.VOXEL_COLORS.forEach((color, index) => {
-        const hexColor = '#' + color.toString(16).padStart(6, '0');
-        const btn = document.createElement('div');
-        btn.className = 'color-swatch' + (index === 0 ? ' active' : '');
-        btn.style.backgroundColor = hexColor;
-        btn.style.color = hexColor; // Store for effect reference
-
-        btn.addEventListener('click', () => {
-            activeColor = color;
-            // Visual update
-            document.querySelectorAll('.color-swatch').forEach(s => s.classList.remove('active'));
-            btn.classList.add('active');
-            // Change ghost color to match
-            // CONFIG.GHOST_COLOR = color; // Optional: change ghost color?
-            // Let's keep ghost blue for visibility or match active?
-            // To match active:
-            ghostVoxel.material.emissive.setHex(color);
-        });
-
-        paletteContainer.appendChild(btn);
-    });
+    // 1. Color Palette (paged, full list in the palette editor)
+    renderPalette();
+    document.getElementById('btn-palette-prev').addEventListener('click', () => showPalettePage(palettePage - 1));
+    document.getElementById('btn-palette-next').addEventListener('click', () => showPalettePage(palettePage + 1));
+    setupPaletteEditor();
+    renderMaterialPicker();
+
+    document.getElementById('btn-navigate').addEventListener('click', () => setNavigating(!navigating));
+    document.getElementById('btn-depth').addEventListener('click', () => setDepthCursor(!depthCursor));
+    document.getElementById('btn-depth-calibrate').addEventListener('click', startDepthCalibration);
+    document.getElementById('btn-calibrate').addEventListener('click', openCalibrationDialog);
+    setupRecording();
 
     // 2. Gravity Toggle
     const toggle = document.getElementById('gravity-toggle');
     toggle.addEventListener('change', (e) => {
         CONFIG.GRAVITY_ENABLED = e.target.checked;
+        // Falls caused by switching gravity on are their own undo step
+        if (history) history.seal();
+        if (!CONFIG.GRAVITY_ENABLED) settleFallingBodies();
+        structureDirty = true;
         console.log('Gravity:', CONFIG.GRAVITY_ENABLED ? 'ON' : 'OFF');
     });
+    setupGravitySettings();
 
     // 3. Reset Button (Double click to confirm logic)
     const resetBtn = document.getElementById('btn-reset');
@@ -458,6 +765,67 @@ function setupToolbar() {
     } else {
         console.error('Reset button not found!');
     }
+
+    // 4. Undo / Redo
+    document.getElementById('btn-undo').addEventListener('click', undo);
+    document.getElementById('btn-redo').addEventListener('click', redo);
+
+    // 5. Edit modes
+    document.querySelectorAll('#edit-modes [data-mode]').forEach(btn => {
+        btn.addEventListener('click', () => setEditMode(btn.dataset.mode));
+    });
+    document.getElementById('btn-replace').addEventListener('click', toggleReplacePopover);
+
+    // 6. Shape tools
+    document.querySelectorAll('#shape-tools [data-tool]').forEach(btn => {
+        btn.addEventListener('click', () => setActiveTool(btn.dataset.tool));
+    });
+
+    // 7. Selection
+    document.getElementById('btn-select').addEventListener('click', () => setSelectTool(!selectToolActive));
+    document.getElementById('btn-copy').addEventListener('click', copySelection);
+    document.getElementById('btn-cut').addEventListener('click', cutSelection);
+    document.getElementById('btn-paste').addEventListener('click', startPaste);
+    document.getElementById('btn-rotate').addEventListener('click', rotateSelection);
+    document.getElementById('btn-mirror').addEventListener('click', () => mirrorSelection('x'));
+}
+
+function setupKeyboardShortcuts() {
+    window.addEventListener('keydown', (e) => {
+        if (e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement) return;
+
+        // Nothing edits while the timelapse plays
+        if (timelapse) {
+            if (handleTimelapseKey(e)) e.preventDefault();
+            return;
+        }
+
+        if (!(e.ctrlKey || e.metaKey)) {
+            if (handleToolKey(e) || handleModeKey(e) || handleSelectionKey(e) ||
+                handlePointerKey(e) || handleNavigationKey(e) || handleDepthKey(e) || handleFilterDebugKey(e)) {
+                e.preventDefault();
+            }
+            return;
+        }
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
+        } else if (key === 'c') {
+            e.preventDefault();
+            copySelection();
+        } else if (key === 'x') {
+            e.preventDefault();
+            cutSelection();
+        } else if (key === 'v') {
+            e.preventDefault();
+            startPaste();
+        }
+    });
 }
 
 function createDwellIndicator() {
@@ -557,35 +925,55 @@ async function setupHandTracking() {
  * @returns {THREE.Vector3} - World position snapped to grid
  */
 function landmarkToWorld(landmark) {
+    const ndc = landmarkToNDC(landmark);
+    return screenToWorld(ndc.x, ndc.y);
+}
+
+/**
+ * Mirror a landmark and convert it to NDC [-1, 1] (steps 2 and 3 above)
+ */
+function landmarkToNDC(landmark) {
     // Mirror X for intuitive control (webcam is mirrored in CSS)
     const mirroredX = 1 - landmark.x;
 
-    // Convert normalized [0,1] to NDC [-1,1]
-    const ndcX = mirroredX * 2 - 1;
-    const ndcY = -(landmark.y * 2 - 1);  // Flip Y axis
+    return {
+        x: mirroredX * 2 - 1,
+        y: -(landmark.y * 2 - 1)  // Flip Y axis
+    };
+}
+
+/**
+ * Placement position under a screen point: next to the voxel face it
+ * points at, or on the floor (step 4 above)
+ */
+function screenToWorld(ndcX, ndcY) {
     // PERFORMANCE: Reuse raycaster instead of creating new one each frame
     reusableNDC.set(ndcX, ndcY);
     reusableRaycaster.setFromCamera(reusableNDC, camera);
 
     // STACKING PRIORITY: Check direct voxel hits first
-    if (voxels.length > 0) {
-        const voxelIntersects = reusableRaycaster.intersectObjects(voxels);
-        if (voxelIntersects.length > 0) {
-            const hit = voxelIntersects[0];
-            let normal = hit.face.normal.clone();
-            normal.transformDirection(hit.object.matrixWorld);
+    // PERFORMANCE: Walk the grid along the ray instead of raycasting meshes
+    if (voxelGrid.size > 0) {
+        const size = CONFIG.VOXEL_SIZE;
+        const hit = raycastVoxels(reusableRaycaster.ray.origin, reusableRaycaster.ray.direction, {
+            voxelSize: size,
+            maxDistance: CONFIG.PICK_DISTANCE,
+            isFilled: (cx, cy, cz) => voxelGrid.has(cx, cy, cz)
+        });
+
+        if (hit) {
+            const normal = new THREE.Vector3(...hit.normal);
+            const hitCenter = cellCenter(...hit.cell);
 
             // TOP EDGE MAGNETISM: If hitting side face near the top, snap to UP
             // This makes building UP much easier
-            const localY = hit.object.worldToLocal(hit.point.clone()).y; // approx -0.5 to 0.5
+            const localY = (hit.point[1] - hitCenter.y) / size; // approx -0.5 to 0.5
             // If we are in top 20% (y > 0.3) and not already hitting top/bottom
             if (Math.abs(normal.y) < 0.9 && localY > 0.3) {
                 normal.set(0, 1, 0); // Force UP direction
             }
 
-            const newPos = hit.object.position.clone();
-            newPos.add(normal.multiplyScalar(CONFIG.VOXEL_SIZE));
-            return newPos;
+            return hitCenter.add(normal.multiplyScalar(size));
         }
     }
 
@@ -596,27 +984,15 @@ function landmarkToWorld(landmark) {
     if (floorHit) {
         // SMART STACKING: If we hit the floor, check if we are "inside" a column
         const size = CONFIG.VOXEL_SIZE;
-        const gx = Math.floor(intersection.x / size) * size + size / 2;
-        const gz = Math.floor(intersection.z / size) * size + size / 2;
+        const cx = Math.floor(intersection.x / size);
+        const cz = Math.floor(intersection.z / size);
 
         // Check if this column has blocks
-        let highestBlockY = -1;
-
-        // Simple search 0..10
-        for (let i = 0; i < 15; i++) {
-            const checkY = (i * size) + size / 2;
-            const key = `${gx.toFixed(2)},${checkY.toFixed(2)},${gz.toFixed(2)}`;
-            if (voxelMap.has(key)) {
-                highestBlockY = checkY;
-            }
-        }
+        const topY = voxelGrid.columnTop(cx, cz);
 
-        if (highestBlockY !== -1) {
+        if (topY !== -1) {
             // Found a stack! Snap to top of it
-            intersection.x = gx;
-            intersection.z = gz;
-            intersection.y = highestBlockY + size;
-            return intersection;
+            return cellCenter(cx, topY + 1, cz);
         }
 
         // Empty column, place at ground
@@ -632,366 +1008,4638 @@ function landmarkToWorld(landmark) {
 }
 
 /**
- * Apply Exponential Moving Average (EMA) smoothing
- * 
- * MATH: smoothed = α × current + (1 - α) × previous
- * 
- * - α = 0.4: Moderate responsiveness with good smoothing
- * - Higher α = more responsive but more jittery
- * - Lower α = smoother but more laggy
- * 
+ * Filter a hand's landmarks with its One Euro filter
+ *
+ * Each landmark coordinate has its own filter whose cutoff rises
+ * with its speed (see one-euro-filter.js):
+ * - still hand: cutoff near FILTER_MIN_CUTOFF, jitter removed
+ * - fast hand: cutoff raised by FILTER_BETA, little lag
+ *
  * @param {Array} currentLandmarks - Current frame's raw landmarks
+ * @param {string} label - Handedness; each hand keeps its own state
+ * @param {number} time - Frame time in ms
  * @returns {Array} - Smoothed landmarks
  */
-function applySmoothing(currentLandmarks, label) {
-    const alpha = CONFIG.SMOOTHING_ALPHA;
-
-    if (!smoothers[label]) {
-        // First frame: no previous data, use current as-is
-        smoothers[label] = currentLandmarks.map(lm => ({ ...lm }));
-        return smoothers[label];
+function applySmoothing(currentLandmarks, label, time) {
+    if (!landmarkFilters[label]) {
+        landmarkFilters[label] = new LandmarkFilter({
+            minCutoff: CONFIG.FILTER_MIN_CUTOFF,
+            beta: CONFIG.FILTER_BETA
+        });
     }
-
-    // Apply EMA to each landmark
-    smoothers[label] = currentLandmarks.map((lm, i) => {
-        const prev = smoothers[label][i];
-        return {
-            x: alpha * lm.x + (1 - alpha) * prev.x,
-            y: alpha * lm.y + (1 - alpha) * prev.y,
-            z: alpha * lm.z + (1 - alpha) * prev.z
-        };
-    });
-
-    return smoothers[label];
+    return landmarkFilters[label].filter(currentLandmarks, time);
 }
 
 /**
- * Snap position to discrete grid
- * 
- * MATH: snapped = floor(pos / size) * size + size/2
- * 
- * This centers the voxel in the grid cell
+ * Hand left the frame: start fresh when it comes back, instead of
+ * sliding in from where it was lost
  */
-function snapToGrid(position) {
-    const size = CONFIG.VOXEL_SIZE;
-    const halfGrid = CONFIG.GRID_SIZE / 2;
-    const maxHeight = 10;  // Maximum building height
-
-    // Snap to grid - now includes Y axis for stacking!
-    let x = Math.floor(position.x / size) * size + size / 2;
-    let y = Math.floor(position.y / size) * size + size / 2;  // Stack vertically
-    let z = Math.floor(position.z / size) * size + size / 2;
-
-    // Clamp to grid bounds
-    x = Math.max(-halfGrid + size / 2, Math.min(halfGrid - size / 2, x));
-    y = Math.max(size / 2, Math.min(maxHeight * size - size / 2, y));  // Min y=0.5, max based on height
-    z = Math.max(-halfGrid + size / 2, Math.min(halfGrid - size / 2, z));
-
-    return new THREE.Vector3(x, y, z);
+function resetSmoothing(label) {
+    if (landmarkFilters[label]) landmarkFilters[label].reset();
 }
 
 // ============================================
-// GESTURE DETECTION
+// FILTER DEBUG OVERLAY
 // ============================================
 
+/*
+   Press O to plot the cursor path over the scene: raw index
+   tip in red, filtered in green. Sliders tune the landmark
+   filter live; the readout shows the cutoff it is running at.
+
+   Tuning: hold still and lower the min cutoff until the green
+   path stops shaking, then sweep fast and raise beta until it
+   keeps up with the red one.
+*/
+
+const FILTER_DEBUG_POINTS = 90;   // ~3 s of webcam frames
+
 /**
- * Detect pinch gesture (thumb tip to index finger tip)
- * 
- * MediaPipe landmark indices:
- * - 4 = THUMB_TIP
- * - 8 = INDEX_FINGER_TIP
- * 
- * @param {Array} landmarks - Smoothed hand landmarks
- * @returns {boolean} - True if pinching
+ * Push CONFIG filter values into the running filters
  */
-function detectPinch(landmarks) {
-    if (!landmarks || landmarks.length < 21) return false;
-
-    const thumbTip = landmarks[4];
-    const indexTip = landmarks[8];
+function configureFilters() {
+    const options = { minCutoff: CONFIG.FILTER_MIN_CUTOFF, beta: CONFIG.FILTER_BETA };
+    Object.values(landmarkFilters).forEach(filter => filter.configure(options));
+    if (ghostFilter) ghostFilter.configure({ minCutoff: CONFIG.GHOST_MIN_CUTOFF, beta: CONFIG.GHOST_BETA });
+}
 
-    // Calculate 2D distance (we ignore Z for pinch detection)
-    const dx = thumbTip.x - indexTip.x;
-    const dy = thumbTip.y - indexTip.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
+function setupFilterDebug() {
+    const panel = document.getElementById('filter-debug-panel');
+    const sliders = {
+        FILTER_MIN_CUTOFF: panel.querySelector('#filter-min-cutoff'),
+        FILTER_BETA: panel.querySelector('#filter-beta')
+    };
 
-    return distance < CONFIG.PINCH_THRESHOLD;
+    Object.entries(sliders).forEach(([key, slider]) => {
+        slider.addEventListener('input', () => {
+            CONFIG[key] = parseFloat(slider.value);
+            configureFilters();
+            renderFilterDebugValues();
+        });
+    });
+    window.addEventListener('resize', resizeFilterDebug);
 }
 
 /**
- * Get pinch midpoint (center between thumb and index tips)
- * Used as the "cursor" position for voxel placement
+ * @returns {boolean} - Whether the key was handled
  */
-function getPinchMidpoint(landmarks) {
-    const thumbTip = landmarks[4];
-    const indexTip = landmarks[8];
+function handleFilterDebugKey(e) {
+    if (e.key.toLowerCase() !== 'o') return false;
+    toggleFilterDebug();
+    return true;
+}
 
-    return {
-        x: (thumbTip.x + indexTip.x) / 2,
-        y: (thumbTip.y + indexTip.y) / 2,
-        z: (thumbTip.z + indexTip.z) / 2
-    };
+function toggleFilterDebug() {
+    filterDebug = filterDebug ? null : { raw: [], filtered: [] };
+
+    document.getElementById('filter-debug').hidden = !filterDebug;
+    document.getElementById('filter-debug-panel').hidden = !filterDebug;
+    if (filterDebug) {
+        document.getElementById('filter-min-cutoff').value = CONFIG.FILTER_MIN_CUTOFF;
+        document.getElementById('filter-beta').value = CONFIG.FILTER_BETA;
+        resizeFilterDebug();
+        renderFilterDebugValues();
+    }
+    console.log(`📈 Filter overlay ${filterDebug ? 'ON' : 'OFF'}`);
 }
 
-// ============================================
-// VOXEL MANAGEMENT
-// ============================================
+function resizeFilterDebug() {
+    const canvas = document.getElementById('filter-debug');
+    canvas.width = window.innerWidth;
+    canvas.height = window.innerHeight;
+}
 
-/**
- * Create a position key for the voxel map
- */
-function getVoxelKey(position) {
-    return `${position.x.toFixed(2)},${position.y.toFixed(2)},${position.z.toFixed(2)}`;
+function renderFilterDebugValues() {
+    const filter = landmarkFilters[cursorLabel]?.points[8];
+    document.getElementById('filter-min-cutoff-value').textContent = CONFIG.FILTER_MIN_CUTOFF.toFixed(2);
+    document.getElementById('filter-beta-value').textContent = CONFIG.FILTER_BETA.toFixed(1);
+    document.getElementById('filter-cutoff').textContent = filter ? `${filter.cutoff.toFixed(2)} Hz` : '—';
 }
 
 /**
- * Check if a voxel exists at position
+ * Add one frame of the cursor to the plotted paths and redraw
+ * @param {Object} raw - Unfiltered index tip landmark
+ * @param {Object} filtered - The same landmark after its One Euro filter
  */
-function getVoxelAt(position) {
-    const key = getVoxelKey(position);
-    return voxelMap.get(key);
+function recordFilterDebug(raw, filtered) {
+    const toScreen = (landmark) => {
+        const ndc = landmarkToNDC(landmark);
+        return { x: (ndc.x + 1) / 2 * window.innerWidth, y: (1 - ndc.y) / 2 * window.innerHeight };
+    };
+
+    filterDebug.raw.push(toScreen(raw));
+    filterDebug.filtered.push(toScreen(filtered));
+    if (filterDebug.raw.length > FILTER_DEBUG_POINTS) {
+        filterDebug.raw.shift();
+        filterDebug.filtered.shift();
+    }
+
+    const canvas = document.getElementById('filter-debug');
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    drawFilterPath(ctx, filterDebug.raw, '#ff6b6b');
+    drawFilterPath(ctx, filterDebug.filtered, '#00ff88');
+    renderFilterDebugValues();
+}
+
+function drawFilterPath(ctx, points, color) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    points.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+    ctx.stroke();
+
+    const last = points[points.length - 1];
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(last.x, last.y, 4, 0, Math.PI * 2);
+    ctx.fill();
 }
 
 /**
- * Place a new voxel at position
- */
-/**
- * Place a new voxel at position - UPDATED
+ * Snap position to discrete grid
+ * 
+ * MATH: snapped = floor(pos / size) * size + size/2
+ * 
+ * This centers the voxel in the grid cell
  */
-function placeVoxel(position) {
-    const key = getVoxelKey(position);
+function snapToGrid(position) {
+    const size = CONFIG.VOXEL_SIZE;
 
-    // Don't place if one already exists here
-    if (voxelMap.has(key)) return;
+    // Snap to grid - now includes Y axis for stacking!
+    let cx = Math.floor(position.x / size);
+    let cy = Math.max(0, Math.floor(position.y / size));  // Stack vertically, never below floor
+    let cz = Math.floor(position.z / size);
+
+    // Clamp to world bounds (expanding worlds have none)
+    const bounds = worldCellBounds();
+    if (bounds) {
+        cx = Math.max(bounds.minX, Math.min(bounds.maxX, cx));
+        cy = Math.min(bounds.maxY, cy);
+        cz = Math.max(bounds.minZ, Math.min(bounds.maxZ, cz));
+    }
 
-    // Use selected color
-    const color = activeColor;
+    return cellCenter(cx, cy, cz);
+}
 
-    // Create visual mesh
-    createVoxelMesh(position, color);
+// ============================================
+// DEPTH CURSOR
+// ============================================
 
-    // EFFECTS
-    if (audioManager) audioManager.playPlace();
-    if (particleSystem) particleSystem.spawn(position, color, 4); // Fewer particles for placement
+/*
+   Optional: instead of stopping at the first voxel or the
+   floor, the cursor floats along its ray. Reaching toward
+   the screen pushes it away from the camera, pulling back
+   brings it closer.
+
+   The hand's nearness to the webcam is its apparent palm
+   size (wrist to middle knuckle) plus how far the index tip
+   leans toward the camera (landmark z). Calibration records
+   it with the hand pulled back (near) and at arm's length
+   (far); DEPTH_RANGE maps that span onto the ray.
+*/
 
-    // SAVE
-    saveMap();
+const DEPTH_STORAGE_KEY = 'voxel-depth-calibration';
+const DEFAULT_DEPTH_RANGE = { near: 0.1, far: 0.2 };
 
-    // Update UI
-    voxelCountEl.textContent = voxels.length;
+const DEPTH_STEPS = [
+    { key: 'near', prompt: 'Depth calibration 1/2: pull your hand back toward you and hold still' },
+    { key: 'far', prompt: 'Depth calibration 2/2: reach toward the screen at arm\'s length and hold still' }
+];
+
+function loadDepthCalibration() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(DEPTH_STORAGE_KEY));
+        if (stored && Number.isFinite(stored.near) && Number.isFinite(stored.far) && stored.near !== stored.far) {
+            return stored;
+        }
+    } catch (err) {
+        console.warn('Ignoring unreadable depth calibration', err);
+    }
+    return { ...DEFAULT_DEPTH_RANGE };
+}
 
-    console.log(`📦 Placed voxel at (${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)})`);
+/**
+ * How close the hand is to the webcam, unitless (bigger = closer)
+ */
+function handNearness(landmarks) {
+    const palmSize = Math.hypot(landmarks[0].x - landmarks[9].x, landmarks[0].y - landmarks[9].y);
+    // z is relative to the wrist and negative toward the camera
+    return palmSize - landmarks[8].z * CONFIG.DEPTH_Z_WEIGHT;
 }
 
 /**
- * Update the dwell progress indicator ring
+ * Cursor position along the index-tip ray at the hand's depth
+ * @param {Array} landmarks - Smoothed cursor hand landmarks
  */
-function updateDwellIndicator(position, progress) {
-    if (!dwellRing) return;
+function landmarkToDepthWorld(landmarks) {
+    const nearness = handNearness(landmarks);
+    depthSignal = depthSignal === null
+        ? nearness
+        : depthSignal + (nearness - depthSignal) * CONFIG.DEPTH_SMOOTHING;
+
+    const t = THREE.MathUtils.clamp((depthSignal - depthRange.near) / (depthRange.far - depthRange.near), 0, 1);
+    const [minScale, maxScale] = CONFIG.DEPTH_RANGE;
+    const distance = camera.position.distanceTo(controls.target) * THREE.MathUtils.lerp(minScale, maxScale, t);
+
+    const ndc = landmarkToNDC(landmarks[8]);
+    reusableNDC.set(ndc.x, ndc.y);
+    reusableRaycaster.setFromCamera(reusableNDC, camera);
 
-    // Position ring above ghost voxel, facing camera
-    dwellRing.position.copy(position);
-    dwellRing.position.y += 0.8;
-    dwellRing.lookAt(camera.position);
-    dwellRing.visible = progress > 0.05;
+    const point = reusableRaycaster.ray.at(distance, new THREE.Vector3());
+    point.y = Math.max(point.y, CONFIG.VOXEL_SIZE / 2);  // Never below the floor
+    return point;
+}
 
-    // Scale ring based on progress (grows larger as it fills)
-    const scale = 0.5 + progress * 0.5;
-    dwellRing.scale.set(scale, scale, 1);
+function setDepthCursor(on) {
+    depthCursor = on;
+    depthSignal = null;
+    document.getElementById('btn-depth').classList.toggle('active', on);
+    console.log(`📏 Depth cursor ${on ? 'ON' : 'OFF'}`);
+}
 
-    // Change color as progress increases (cyan -> green)
-    const r = 0;
-    const g = 0.7 + progress * 0.3;
-    const b = 1 - progress * 0.5;
-    dwellRing.material.color.setRGB(r, g, b);
+/**
+ * @returns {boolean} - Whether the key was handled
+ */
+function handleDepthKey(e) {
+    if (e.key.toLowerCase() !== 'd') return false;
+    setDepthCursor(!depthCursor);
+    return true;
+}
 
-    // Pulsing opacity
-    dwellRing.material.opacity = 0.6 + Math.sin(performance.now() / 100) * 0.2;
+function startDepthCalibration() {
+    depthCalibration = { step: 0, startedAt: performance.now(), samples: [], result: {} };
+    showToast(DEPTH_STEPS[0].prompt);
 }
 
 /**
- * Remove a voxel at position - UPDATED
+ * Collect nearness samples for the current step, then move on
+ * @param {Array|null} hand - Cursor hand landmarks
  */
-function removeVoxel(position) {
-    const key = getVoxelKey(position);
-    const voxel = voxelMap.get(key);
+function updateDepthCalibration(hand, now) {
+    const calibration = depthCalibration;
+    const elapsed = now - calibration.startedAt;
+    if (elapsed < CONFIG.DEPTH_CALIBRATION_WAIT) return;
 
-    if (!voxel) return;
+    if (hand) calibration.samples.push(handNearness(hand));
+    if (elapsed < CONFIG.DEPTH_CALIBRATION_WAIT + CONFIG.DEPTH_CALIBRATION_SAMPLE) return;
 
-    // Spawn particles before removing (use voxel color)
-    if (particleSystem) {
-        particleSystem.spawn(voxel.position, voxel.material.color.getHex());
+    if (calibration.samples.length === 0) {
+        depthCalibration = null;
+        showToast('No hand seen - depth calibration cancelled', true);
+        return;
     }
 
-    // Play sound
-    if (audioManager) audioManager.playRemove();
+    // Median: robust against a few bad frames
+    const sorted = calibration.samples.sort((a, b) => a - b);
+    calibration.result[DEPTH_STEPS[calibration.step].key] = sorted[Math.floor(sorted.length / 2)];
 
-    scene.remove(voxel);
-    voxel.geometry.dispose();
-    voxel.material.dispose();
+    calibration.step++;
+    if (calibration.step < DEPTH_STEPS.length) {
+        calibration.startedAt = now;
+        calibration.samples = [];
+        showToast(DEPTH_STEPS[calibration.step].prompt);
+        return;
+    }
 
-    const index = voxels.indexOf(voxel);
-    if (index > -1) voxels.splice(index, 1);
+    depthCalibration = null;
+    const { near, far } = calibration.result;
+    if (Math.abs(far - near) < 0.01) {
+        showToast('Near and far were too similar - try reaching further', true);
+        return;
+    }
 
-    voxelMap.delete(key);
+    depthRange = { near, far };
+    localStorage.setItem(DEPTH_STORAGE_KEY, JSON.stringify(depthRange));
+    showToast('Depth calibrated');
+    console.log(`📏 Depth range: near ${near.toFixed(3)}, far ${far.toFixed(3)}`);
+}
 
-    // Update UI
-    voxelCountEl.textContent = voxels.length;
+function createDepthGuide() {
+    const geometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]);
+    const line = new THREE.Line(geometry, new THREE.LineDashedMaterial({
+        color: CONFIG.GHOST_COLOR,
+        dashSize: 0.2,
+        gapSize: 0.15,
+        transparent: true,
+        opacity: 0.8
+    }));
 
-    console.log(`🗑️ Removed voxel at (${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)})`);
+    // Where the cursor would land on the floor
+    const marker = new THREE.Mesh(
+        new THREE.RingGeometry(0.3, 0.4, 24),
+        new THREE.MeshBasicMaterial({ color: CONFIG.GHOST_COLOR, transparent: true, opacity: 0.6, side: THREE.DoubleSide })
+    );
+    marker.rotation.x = -Math.PI / 2;
 
-    // Save
-    saveMap();
+    depthGuide = new THREE.Group();
+    depthGuide.add(line, marker);
+    depthGuide.userData = { line, marker };
+    depthGuide.visible = false;
+    scene.add(depthGuide);
+}
+
+/**
+ * Drop a line from the depth cursor to the floor so its height reads at a glance
+ */
+function updateDepthGuide() {
+    depthGuide.visible = depthCursor && handDetected && !navigating;
+    if (!depthGuide.visible) return;
+
+    const { line, marker } = depthGuide.userData;
+    const top = ghostPosition;
+    const floorY = 0.01;  // Just above the floor, no z-fighting
+
+    const points = line.geometry.attributes.position;
+    points.setXYZ(0, top.x, top.y, top.z);
+    points.setXYZ(1, top.x, floorY, top.z);
+    points.needsUpdate = true;
+    line.geometry.computeBoundingSphere();
+    line.computeLineDistances();
+    marker.position.set(top.x, floorY, top.z);
 }
 
 // ============================================
-// SAVING & LOADING
+// HAND CALIBRATION
 // ============================================
 
-function saveMap() {
-    const data = voxels.map(v => ({
-        x: v.position.x,
-        y: v.position.y,
-        z: v.position.z,
-        color: v.material.color.getHex()
-    }));
-    localStorage.setItem('voxel-map', JSON.stringify(data));
-}
-
-function loadMap() {
-    const json = localStorage.getItem('voxel-map');
-    if (!json) return;
+// Built-in values, restored by "Reset to defaults"
+const TRACKING_DEFAULTS = {
+    pinchOn: CONFIG.PINCH_THRESHOLD,
+    pinchOff: CONFIG.PINCH_RELEASE,
+    minCutoff: CONFIG.FILTER_MIN_CUTOFF,
+    ghostMinCutoff: CONFIG.GHOST_MIN_CUTOFF,
+    dwellTime: CONFIG.DWELL_TIME,
+    dwellTolerance: CONFIG.DWELL_TOLERANCE
+};
 
-    try {
-        const data = JSON.parse(json);
-        // Clear existing first (soft clear, don't delete save)
-        voxels.forEach(v => {
-            scene.remove(v);
-            v.geometry.dispose();
-            v.material.dispose();
-        });
-        voxels.length = 0;
-        voxelMap.clear();
-
-        // Rebuild
-        data.forEach(item => {
-            const pos = new THREE.Vector3(item.x, item.y, item.z);
-            // Use internal create logic but skip save/sound
-            createVoxelMesh(pos, item.color);
-        });
+const TRACKING_LABELS = {
+    pinchOn: 'Pinch starts below (palm sizes)',
+    pinchOff: 'Pinch ends above (palm sizes)',
+    minCutoff: 'Hand filter cutoff (Hz)',
+    ghostMinCutoff: 'Cursor filter cutoff (Hz)',
+    dwellTime: 'Dwell time (ms)',
+    dwellTolerance: 'Dwell tolerance'
+};
 
-        voxelCountEl.textContent = voxels.length;
-        console.log(`📂 Loaded ${data.length} voxels`);
-    } catch (e) {
-        console.error('Failed to load map', e);
-    }
+function currentTrackingSettings() {
+    return {
+        pinchOn: CONFIG.PINCH_THRESHOLD,
+        pinchOff: CONFIG.PINCH_RELEASE,
+        minCutoff: CONFIG.FILTER_MIN_CUTOFF,
+        ghostMinCutoff: CONFIG.GHOST_MIN_CUTOFF,
+        dwellTime: CONFIG.DWELL_TIME,
+        dwellTolerance: CONFIG.DWELL_TOLERANCE
+    };
 }
 
-function clearScene(skipConfirm = false) {
-    // Deprecated native confirm - relying on UI double-tap 
-    // if (!skipConfirm && !confirm('Clear all blocks?')) return;
-
-    voxels.forEach(v => {
-        scene.remove(v);
-        v.geometry.dispose();
-        v.material.dispose();
-    });
-    voxels.length = 0;
-    voxelMap.clear();
-    voxelCountEl.textContent = 0;
-    saveMap(); // Save empty state
+function applyTrackingSettings(settings) {
+    const values = { ...TRACKING_DEFAULTS, ...settings };
+    CONFIG.PINCH_THRESHOLD = values.pinchOn;
+    CONFIG.PINCH_RELEASE = values.pinchOff;
+    CONFIG.FILTER_MIN_CUTOFF = values.minCutoff;
+    CONFIG.GHOST_MIN_CUTOFF = values.ghostMinCutoff;
+    CONFIG.DWELL_TIME = values.dwellTime;
+    CONFIG.DWELL_TOLERANCE = values.dwellTolerance;
+    gestures.configure({ pinchOn: values.pinchOn, pinchOff: values.pinchOff });
+    configureFilters();
+}
 
-    if (audioManager) audioManager.playRemove();
+function openCalibrationDialog() {
+    calibrationRun = null;
+    calibrationResult = null;
+    renderCalibration('Three short poses with your cursor hand measure your pinch and how steady you hold it. Stay in view of the camera.');
+    document.getElementById('calibration-dialog').classList.remove('hidden');
 }
 
-// Helper to create mesh without side effects
-function createVoxelMesh(position, color) {
-    const geometry = new THREE.BoxGeometry(
-        CONFIG.VOXEL_SIZE * 0.98,
-        CONFIG.VOXEL_SIZE * 0.98,
-        CONFIG.VOXEL_SIZE * 0.98
-    );
+function setupCalibrationDialog() {
+    const dialog = document.getElementById('calibration-dialog');
 
-    const material = new THREE.MeshStandardMaterial({
-        color: color,
-        roughness: 0.4,
-        metalness: 0.1
+    document.getElementById('btn-calibration-start').addEventListener('click', () => {
+        calibrationResult = null;
+        calibrationRun = { step: 0, startedAt: performance.now(), frames: [], measured: {} };
+        renderCalibration();
+    });
+
+    document.getElementById('btn-calibration-save').addEventListener('click', () => {
+        if (!calibrationResult) return;
+        applyTrackingSettings(calibrationResult.settings);
+        saveCalibration(calibrationResult.settings, calibrationResult.measured);
+        dialog.classList.add('hidden');
+        calibrationResult = null;
+        showToast('Hand calibration saved');
+        console.log('🎚️ Calibrated:', currentTrackingSettings());
     });
 
-    const voxel = new THREE.Mesh(geometry, material);
-    voxel.position.copy(position);
-    voxel.castShadow = true;
-    voxel.receiveShadow = true;
+    document.getElementById('btn-calibration-reset').addEventListener('click', () => {
+        clearCalibration();
+        applyTrackingSettings(TRACKING_DEFAULTS);
+        calibrationRun = null;
+        calibrationResult = null;
+        renderCalibration('Back to the default settings.');
+    });
 
-    scene.add(voxel);
-    voxels.push(voxel);
-    voxelMap.set(getVoxelKey(position), voxel);
+    document.getElementById('btn-calibration-cancel').addEventListener('click', () => {
+        calibrationRun = null;
+        calibrationResult = null;
+        dialog.classList.add('hidden');
+    });
 }
 
 /**
- * Update Gravity - Makes unsupported blocks fall
+ * Feed one frame to the running wizard step
+ * @param {Array|undefined} hand - Raw (unsmoothed) cursor hand landmarks
  */
-function applyGravity() {
-    if (!CONFIG.GRAVITY_ENABLED) return;
-
-    // Sort voxels by Y (ascending) to process bottom-up
-    // This ensures we drop the lowest unsupported block first
-    // (Actually, if we drop bottom blocks, top ones might float for 1 frame, which is fine)
-    // Wait, if we process bottom-up:
-    // Y=2 unsupported. Y=3 supported by Y=2.
-    // If we move Y=2 down to Y=1... Y=3 becomes unsupported next frame.
-    // This creates a cascade over frames. Good.
+function updateCalibrationRun(hand, now) {
+    const run = calibrationRun;
+    const step = CALIBRATION_STEPS[run.step];
+    const elapsed = now - run.startedAt - CONFIG.CALIBRATION_WAIT;
+
+    if (elapsed >= 0 && hand) run.frames.push(hand);
+    if (elapsed < step.duration) {
+        renderCalibration();
+        return;
+    }
 
+    if (run.frames.length < 5) {
+        calibrationRun = null;
+        renderCalibration('Your hand went out of view. Press Start to try again.');
+        return;
+    }
+
+    run.measured[step.key] = summarizeStep(step.key, run.frames);
+    run.step++;
+    run.startedAt = now;
+    run.frames = [];
+
+    if (run.step < CALIBRATION_STEPS.length) {
+        renderCalibration();
+        return;
+    }
+
+    // All poses measured
+    calibrationRun = null;
+    const distance = camera.position.distanceTo(controls.target);
+    const visibleHeight = 2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+    const settings = deriveSettings(run.measured, { visibleHeight });
+
+    if (settings.error) {
+        renderCalibration(`${settings.error}. Press Start to try again.`);
+        return;
+    }
+    calibrationResult = { settings, measured: run.measured };
+    renderCalibration('Done! Compare the values and save them to use them from now on.');
+}
+
+/**
+ * Prompt, progress bar and results table for the wizard's state
+ * @param {string} [message] - Shown when no step is running
+ */
+function renderCalibration(message) {
+    const prompt = document.getElementById('calibration-prompt');
+    const bar = document.getElementById('calibration-bar');
+    const results = document.getElementById('calibration-results');
+    const running = !!calibrationRun;
+
+    if (running) {
+        const step = CALIBRATION_STEPS[calibrationRun.step];
+        const elapsed = performance.now() - calibrationRun.startedAt - CONFIG.CALIBRATION_WAIT;
+        const label = `Step ${calibrationRun.step + 1} of ${CALIBRATION_STEPS.length}: ${step.prompt}`;
+        prompt.textContent = elapsed < 0 ? `${label} (get ready…)` : label;
+        bar.style.width = `${Math.max(0, Math.min(1, elapsed / step.duration)) * 100}%`;
+    } else {
+        if (message !== undefined) prompt.textContent = message;
+        bar.style.width = calibrationResult ? '100%' : '0%';
+    }
+
+    document.getElementById('btn-calibration-start').disabled = running;
+    document.getElementById('btn-calibration-start').textContent = calibrationResult ? 'Redo' : 'Start';
+    document.getElementById('btn-calibration-save').hidden = !calibrationResult;
+
+    results.hidden = !calibrationResult;
+    if (calibrationResult && !running) {
+        const current = currentTrackingSettings();
+        const rows = results.querySelector('tbody');
+        rows.innerHTML = '';
+        Object.entries(TRACKING_LABELS).forEach(([key, label]) => {
+            const row = document.createElement('tr');
+            [label, current[key], calibrationResult.settings[key]].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            rows.appendChild(row);
+        });
+    }
+}
+
+// ============================================
+// WORLD SIZE
+// ============================================
+
+function defaultWorld() {
+    return {
+        width: CONFIG.GRID_SIZE,
+        depth: CONFIG.GRID_SIZE,
+        height: CONFIG.MAX_HEIGHT,
+        mode: 'fixed'
+    };
+}
+
+/**
+ * World settings from the dialog or a file, made safe to build:
+ * whole sizes in 1..WORLD_MAX_SIZE and a known mode
+ * @param {Object} settings - { mode, width, depth, height }, any of them missing or bad
+ * @param {Object} [fallback] - Used for whatever isn't usable
+ */
+function normalizeWorld(settings, fallback = defaultWorld()) {
+    const size = (value, fallbackSize) => {
+        const cells = Math.round(Number(value));
+        return Number.isFinite(cells) && cells >= 1 ? Math.min(cells, CONFIG.WORLD_MAX_SIZE) : fallbackSize;
+    };
+    return {
+        mode: ['fixed', 'expanding'].includes(settings?.mode) ? settings.mode : fallback.mode,
+        width: size(settings?.width, fallback.width),
+        depth: size(settings?.depth, fallback.depth),
+        height: size(settings?.height, fallback.height)
+    };
+}
+
+/**
+ * Buildable cell range of a fixed world, centered on the origin.
+ * Returns null for expanding worlds, which are unbounded.
+ */
+function worldCellBounds() {
+    if (world.mode !== 'fixed') return null;
+
+    const minX = -Math.floor(world.width / 2);
+    const minZ = -Math.floor(world.depth / 2);
+    return {
+        minX, maxX: minX + world.width - 1,
+        minZ, maxZ: minZ + world.depth - 1,
+        maxY: world.height - 1
+    };
+}
+
+/**
+ * Cell range the floor should cover: the world bounds, or for an
+ * expanding world its base footprint grown to fit the build
+ */
+function computeFloorBounds() {
+    const bounds = worldCellBounds();
+    if (bounds) return bounds;
+
+    const minX = -Math.floor(world.width / 2);
+    const minZ = -Math.floor(world.depth / 2);
+    const fit = { minX, maxX: minX + world.width - 1, minZ, maxZ: minZ + world.depth - 1 };
+    voxelGrid.forEach((value, x, y, z) => growFloorBounds(fit, x, z));
+    return fit;
+}
+
+/**
+ * Extend bounds to keep EXPAND_MARGIN free cells around column (cx, cz).
+ * Returns true if the bounds changed.
+ */
+function growFloorBounds(bounds, cx, cz) {
+    const margin = CONFIG.EXPAND_MARGIN;
+
+    const changed = cx - margin < bounds.minX || cx + margin > bounds.maxX ||
+        cz - margin < bounds.minZ || cz + margin > bounds.maxZ;
+
+    bounds.minX = Math.min(bounds.minX, cx - margin);
+    bounds.maxX = Math.max(bounds.maxX, cx + margin);
+    bounds.minZ = Math.min(bounds.minZ, cz - margin);
+    bounds.maxZ = Math.max(bounds.maxZ, cz + margin);
+    return changed;
+}
+
+/**
+ * Count voxels outside the current fixed bounds
+ */
+function countVoxelsOutsideWorld() {
+    const bounds = worldCellBounds();
+    if (!bounds) return 0;
+
+    let outside = 0;
+    voxelGrid.forEach((value, cx, cy, cz) => {
+        if (cx < bounds.minX || cx > bounds.maxX || cz < bounds.minZ || cz > bounds.maxZ || cy > bounds.maxY) {
+            outside++;
+        }
+    });
+    return outside;
+}
+
+/**
+ * @param {Object} settings - From the dialog, a file or the relay; see normalizeWorld
+ */
+function applyWorld(settings) {
+    world = normalizeWorld(settings);
+    rebuildGrid();
+}
+
+function setupWorldDialog() {
+    const dialog = document.getElementById('world-dialog');
+    const modeInput = document.getElementById('world-mode');
+    const widthInput = document.getElementById('world-width');
+    const depthInput = document.getElementById('world-depth');
+    const heightInput = document.getElementById('world-height');
+
+    const syncInputs = () => {
+        // Expanding worlds have no ceiling; width/depth are the starting floor
+        heightInput.disabled = modeInput.value !== 'fixed';
+    };
+
+    document.getElementById('btn-world').addEventListener('click', () => {
+        modeInput.value = world.mode;
+        widthInput.value = world.width;
+        depthInput.value = world.depth;
+        heightInput.value = world.height;
+        syncInputs();
+        dialog.classList.remove('hidden');
+    });
+
+    modeInput.addEventListener('change', syncInputs);
+
+    document.getElementById('btn-world-cancel').addEventListener('click', () => {
+        dialog.classList.add('hidden');
+    });
+
+    document.getElementById('btn-world-apply').addEventListener('click', () => {
+        // Empty or unusable fields keep their current size
+        applyWorld(normalizeWorld({
+            mode: modeInput.value,
+            width: widthInput.value,
+            depth: depthInput.value,
+            height: heightInput.value
+        }, world));
+        dialog.classList.add('hidden');
+        saveMap();
+
+        const outside = countVoxelsOutsideWorld();
+        if (outside > 0) {
+            showToast(`${outside} voxel${outside === 1 ? ' is' : 's are'} outside the new world bounds`, true);
+        }
+        console.log(`🌐 World: ${world.mode} ${world.width}×${world.depth}×${world.height}`);
+    });
+}
+
+// ============================================
+// GESTURE DETECTION
+// ============================================
+
+// Fixed gesture events -> editor actions. `role` limits a binding to the
+// cursor or trigger hand, `hands` to one- or two-hand mode. Place, remove,
+// paint and undo come from the active control profile and win over these.
+const GESTURE_BINDINGS = [
+    { type: 'start', gesture: 'two-finger-pinch', role: 'cursor', hands: 2, action: 'redo' },
+    { type: 'swipe', direction: 'left', action: 'previous-color' },
+    { type: 'swipe', direction: 'right', action: 'next-color' },
+    { type: 'swipe', direction: 'up', action: 'next-mode' },
+    { type: 'swipe', direction: 'down', action: 'previous-mode' }
+];
+
+// Actions get the frame's cursor: { position, targetCell, isOverExisting }
+const GESTURE_ACTIONS = {
+    'place': frame => triggerPlace(frame),
+    'remove': frame => {
+        if (frame.isOverExisting) removeVoxel(frame.position.clone());
+    },
+    'paint': frame => {
+        const cell = frame.targetCell || pickTargetVoxel();
+        if (cell) paintVoxel(cell);
+    },
+    'undo': () => undo(),
+    'redo': () => redo(),
+    'previous-color': () => cycleActiveColor(-1),
+    'next-color': () => cycleActiveColor(1),
+    'previous-mode': () => cycleEditMode(-1),
+    'next-mode': () => cycleEditMode(1)
+};
+
+// Actions that edit at the cursor; the select tool blocks them
+const EDIT_ACTIONS = ['place', 'remove', 'paint'];
+
+// Status bar icon per gesture
+const GESTURE_ICONS = {
+    'open-palm': '✋',
+    'fist': '✊',
+    'point': '☝️',
+    'pinch': '🤏',
+    'two-finger-pinch': '🤌',
+    'thumbs-up': '👍',
+    'none': '…'
+};
+
+function setupGestures() {
+    gestures = new GestureRecognizer({
+        pinchOn: CONFIG.PINCH_THRESHOLD,
+        pinchOff: CONFIG.PINCH_RELEASE,
+        debounce: CONFIG.GESTURE_DEBOUNCE,
+        holdTime: CONFIG.GESTURE_HOLD
+    });
+    // Queued: actions need the cursor, which is computed after classification
+    gestures.subscribe(event => gestureQueue.push(event));
+
+    gestureProfiles = loadProfiles();
+    setControlProfile(gestureProfiles.active);
+}
+
+function handRole(label) {
+    if (label === cursorLabel) return 'cursor';
+    if (label === triggerLabel) return 'trigger';
+    return null;
+}
+
+/**
+ * Place / remove / paint / undo bindings of the active profile
+ * @param {number} handCount - 1 or 2
+ */
+function profileBindings(handCount) {
+    const bindings = handCount === 2 ? controlProfile.twoHand : controlProfile.oneHand;
+    return PROFILE_ACTIONS
+        .map(action => ({ type: 'start', action, ...parseBinding(bindings[action]) }))
+        .filter(binding => binding.gesture);
+}
+
+/**
+ * Run the actions bound to this frame's gesture events
+ */
+function runGestureEvents(frame) {
+    const events = gestureQueue;
+    gestureQueue = [];
+
+    const handCount = triggerLabel ? 2 : 1;
+    const selecting = selectToolActive && !pasteActive;
+
+    events.forEach(event => {
+        const role = handRole(event.hand);
+        const matches = binding =>
+            binding.type === event.type &&
+            (!binding.gesture || binding.gesture === event.gesture) &&
+            (!binding.direction || binding.direction === event.direction) &&
+            (!binding.role || binding.role === role) &&
+            (!binding.hands || binding.hands === handCount) &&
+            // The select tool draws with two-hand pinches and never edits
+            !(selecting && (EDIT_ACTIONS.includes(binding.action) || binding.gesture?.includes('pinch')));
+
+        let actions = profileBindings(handCount).filter(matches).map(binding => binding.action);
+        if (actions.length === 0) actions = GESTURE_BINDINGS.filter(matches).map(binding => binding.action);
+
+        // Place and remove on the same gesture toggle on what's under the cursor
+        if (actions.includes('place') && actions.includes('remove')) {
+            const remove = frame.isOverExisting && editMode === 'build';
+            actions = actions.filter(action => action !== (remove ? 'place' : 'remove'));
+        }
+
+        actions.forEach(action => {
+            console.log(`🖐️ Gesture ${event.type} ${event.gesture || event.direction} -> ${action}`);
+            GESTURE_ACTIONS[action](frame);
+        });
+    });
+}
+
+/**
+ * The place trigger: commit a paste, apply the edit mode, use the
+ * active tool or place a single voxel
+ */
+function triggerPlace(frame) {
+    if (pasteActive) {
+        commitPaste();
+    } else if (editMode !== 'build') {
+        if (frame.targetCell) applyEditMode(frame.targetCell);
+    } else if (activeTool !== 'voxel') {
+        useTool(frame.position);
+    } else if (!frame.isOverExisting) {
+        placeVoxel(frame.position.clone());
+    }
+}
+
+/**
+ * Dwell-to-place for profiles that bind place to 'dwell'
+ */
+function updateDwellPlacement(frame, now) {
+    if (editMode !== 'build' && !pasteActive) {
+        // Erase / Paint / Eyedropper: dwell on the targeted voxel
+        const cell = frame.targetCell;
+        if (cell) {
+            if (updateDwell(cellCenter(cell.x, cell.y, cell.z), now)) applyEditMode(cell);
+            return;
+        }
+    } else if (!frame.isOverExisting) {
+        if (updateDwell(frame.position, now)) triggerPlace(frame);
+        return;
+    }
+
+    isDwelling = false;
+    dwellRing.visible = false;
+}
+
+// ----- Control Profiles -----
+
+const ACTION_LABELS = { place: 'Place', remove: 'Remove', paint: 'Paint', undo: 'Undo' };
+
+function setControlProfile(name) {
+    controlProfile = gestureProfiles.profiles.find(profile => profile.name === name) || gestureProfiles.profiles[0];
+    gestureProfiles.active = controlProfile.name;
+    saveProfiles(gestureProfiles);
+    console.log(`🖐️ Controls: ${controlProfile.name} (cursor: ${controlProfile.cursorHand} hand)`);
+}
+
+function bindingLabel(binding) {
+    if (binding === 'none') return '—';
+    if (binding === 'dwell') return '⏳ Hold still';
+    const { role, gesture } = parseBinding(binding);
+    return `${GESTURE_ICONS[gesture]} ${role === 'cursor' ? 'Cursor' : 'Trigger'} hand ${gesture.replace(/-/g, ' ')}`;
+}
+
+function setupControlsDialog() {
+    const dialog = document.getElementById('controls-dialog');
+    const profileInput = document.getElementById('controls-profile');
+    const cursorInput = document.getElementById('controls-cursor-hand');
+    const nameInput = document.getElementById('controls-name');
+    const deleteBtn = document.getElementById('btn-controls-delete');
+    const rows = document.querySelector('#controls-bindings tbody');
+
+    const bindingSelect = (action, twoHands, value) => {
+        const select = document.createElement('select');
+        select.dataset.action = action;
+        select.dataset.hands = twoHands ? '2' : '1';
+        bindingChoices(action, twoHands).forEach(choice => {
+            select.appendChild(new Option(bindingLabel(choice), choice, false, choice === value));
+        });
+        return select;
+    };
+
+    // Form shows the active profile
+    const render = () => {
+        profileInput.innerHTML = '';
+        gestureProfiles.profiles.forEach(profile => {
+            const label = isBuiltinProfile(profile.name) ? `${profile.name} (built-in)` : profile.name;
+            profileInput.appendChild(new Option(label, profile.name, false, profile === controlProfile));
+        });
+
+        cursorInput.value = controlProfile.cursorHand;
+        nameInput.value = isBuiltinProfile(controlProfile.name) ? '' : controlProfile.name;
+        deleteBtn.disabled = isBuiltinProfile(controlProfile.name);
+
+        rows.innerHTML = '';
+        PROFILE_ACTIONS.forEach(action => {
+            const row = document.createElement('tr');
+            const label = document.createElement('td');
+            label.textContent = ACTION_LABELS[action];
+            const two = document.createElement('td');
+            two.appendChild(bindingSelect(action, true, controlProfile.twoHand[action]));
+            const one = document.createElement('td');
+            one.appendChild(bindingSelect(action, false, controlProfile.oneHand[action]));
+            row.append(label, two, one);
+            rows.appendChild(row);
+        });
+    };
+
+    document.getElementById('btn-controls').addEventListener('click', () => {
+        render();
+        dialog.classList.remove('hidden');
+    });
+
+    document.getElementById('btn-controls-close').addEventListener('click', () => {
+        dialog.classList.add('hidden');
+    });
+
+    profileInput.addEventListener('change', () => {
+        setControlProfile(profileInput.value);
+        render();
+    });
+
+    document.getElementById('btn-controls-save').addEventListener('click', () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+            showToast('Name the profile to save it', true);
+            return;
+        }
+        if (isBuiltinProfile(name)) {
+            showToast('Built-in profiles can\'t be changed - pick another name', true);
+            return;
+        }
+
+        const profile = { name, cursorHand: cursorInput.value, twoHand: {}, oneHand: {} };
+        rows.querySelectorAll('select').forEach(select => {
+            profile[select.dataset.hands === '2' ? 'twoHand' : 'oneHand'][select.dataset.action] = select.value;
+        });
+
+        const normalized = normalizeProfile(profile);
+        const others = gestureProfiles.profiles.filter(existing => existing.name !== normalized.name);
+        gestureProfiles.profiles = [...others, normalized];
+        setControlProfile(normalized.name);
+        render();
+        showToast(`Saved controls "${normalized.name}"`);
+    });
+
+    deleteBtn.addEventListener('click', () => {
+        if (isBuiltinProfile(controlProfile.name)) return;
+        gestureProfiles.profiles = gestureProfiles.profiles.filter(profile => profile !== controlProfile);
+        setControlProfile(gestureProfiles.profiles[0].name);
+        render();
+    });
+}
+
+/**
+ * Get pinch midpoint (center between thumb and index tips)
+ * Used as the "cursor" position for voxel placement
+ */
+function getPinchMidpoint(landmarks) {
+    const thumbTip = landmarks[4];
+    const indexTip = landmarks[8];
+
+    return {
+        x: (thumbTip.x + indexTip.x) / 2,
+        y: (thumbTip.y + indexTip.y) / 2,
+        z: (thumbTip.z + indexTip.z) / 2
+    };
+}
+
+// ============================================
+// HAND NAVIGATION
+// ============================================
+
+/*
+   While navigating, hands steer the camera around controls.target:
+
+       both fists, moved together   orbit
+       both fists, apart / together zoom in / out
+       one fist                     pan (drag the world)
+
+   Both palms held open for NAV_TOGGLE_HOLD enter and leave
+   navigation (or N / 🧭). No edit gesture runs meanwhile.
+*/
+
+const PALM_CENTER = 9;  // MIDDLE_FINGER_MCP, steady in a fist
+
+function setNavigating(on) {
+    navigating = on;
+    navGrab = navPan = null;
+    isDwelling = false;
+    dwellRing.visible = false;
+    if (on) ghostVoxel.visible = false;
+
+    document.getElementById('btn-navigate').classList.toggle('active', on);
+    showToast(on
+        ? '🧭 Navigation: two fists orbit and zoom, one fist pans. Open both palms to exit'
+        : 'Navigation off');
+    console.log(`🧭 Navigation ${on ? 'ON' : 'OFF'}`);
+}
+
+/**
+ * @returns {boolean} - Whether the key was handled
+ */
+function handleNavigationKey(e) {
+    if (e.key.toLowerCase() !== 'n') return false;
+    setNavigating(!navigating);
+    return true;
+}
+
+/**
+ * Both palms open and held: toggle navigation. The pose has to be
+ * released before it can toggle again.
+ */
+function updateNavigationToggle(now) {
+    const palmsOpen = ['Left', 'Right'].every(label =>
+        gestures.gesture(label) === 'open-palm' && gestures.heldFor(label, now) >= CONFIG.NAV_TOGGLE_HOLD);
+
+    if (palmsOpen && !navToggleLatched) setNavigating(!navigating);
+    navToggleLatched = palmsOpen;
+}
+
+/**
+ * Move the camera from this frame's fists
+ * @param {Object} hands - Landmarks by handedness label
+ */
+function updateNavigation(hands) {
+    const fists = ['Left', 'Right'].filter(label => hands[label] && gestures.gesture(label) === 'fist');
+    isPinching = fists.length > 0; // Update UI state
+
+    if (fists.length === 2) {
+        const a = hands['Left'][PALM_CENTER];
+        const b = hands['Right'][PALM_CENTER];
+        const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        const spread = Math.max(0.01, Math.hypot(a.x - b.x, a.y - b.y));
+
+        if (navGrab) orbitCamera(mid.x - navGrab.mid.x, mid.y - navGrab.mid.y, navGrab.spread / spread);
+        navGrab = { mid, spread };
+        navPan = null;
+    } else if (fists.length === 1) {
+        const palm = hands[fists[0]][PALM_CENTER];
+
+        if (navPan && navPan.hand === fists[0]) panCamera(palm.x - navPan.x, palm.y - navPan.y);
+        navPan = { hand: fists[0], x: palm.x, y: palm.y };
+        navGrab = null;
+    } else {
+        navGrab = navPan = null;
+    }
+}
+
+/**
+ * Rotate around controls.target and scale the distance to it
+ * @param {number} dx - Hand movement in landmark units (image x, mirrored on screen)
+ * @param {number} dy - Hand movement in landmark units (image y grows downwards)
+ * @param {number} zoom - Distance factor, < 1 moves closer
+ */
+function orbitCamera(dx, dy, zoom) {
+    const offset = camera.position.clone().sub(controls.target);
+    const spherical = new THREE.Spherical().setFromVector3(offset);
+
+    // Same directions as a mouse drag: moving right turns the scene right
+    spherical.theta += dx * CONFIG.NAV_ROTATE_SPEED;
+    spherical.phi = THREE.MathUtils.clamp(
+        spherical.phi - dy * CONFIG.NAV_ROTATE_SPEED,
+        controls.minPolarAngle,
+        controls.maxPolarAngle
+    );
+    spherical.radius = THREE.MathUtils.clamp(spherical.radius * zoom, controls.minDistance, controls.maxDistance);
+    spherical.makeSafe();
+
+    offset.setFromSpherical(spherical);
+    camera.position.copy(controls.target).add(offset);
+    camera.lookAt(controls.target);
+}
+
+/**
+ * Slide camera and target together, so the world follows the fist
+ */
+function panCamera(dx, dy) {
+    const distance = camera.position.distanceTo(controls.target);
+    const visibleHeight = 2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+
+    const right = new THREE.Vector3().setFromMatrixColumn(camera.matrix, 0);
+    const up = new THREE.Vector3().setFromMatrixColumn(camera.matrix, 1);
+
+    // Image x is mirrored on screen and image y grows downwards
+    const move = right.multiplyScalar(dx * visibleHeight * camera.aspect * CONFIG.NAV_PAN_SPEED)
+        .add(up.multiplyScalar(dy * visibleHeight * CONFIG.NAV_PAN_SPEED));
+
+    camera.position.add(move);
+    controls.target.add(move);
+}
+
+// ============================================
+// VOXEL MANAGEMENT
+// ============================================
+
+/**
+ * Integer grid cell containing a world position
+ */
+function worldToCell(position) {
+    const size = CONFIG.VOXEL_SIZE;
+    return {
+        x: Math.floor(position.x / size),
+        y: Math.floor(position.y / size),
+        z: Math.floor(position.z / size)
+    };
+}
+
+/**
+ * World-space center of an integer grid cell
+ */
+function cellCenter(cx, cy, cz) {
+    const size = CONFIG.VOXEL_SIZE;
+    return new THREE.Vector3(
+        cx * size + size / 2,
+        cy * size + size / 2,
+        cz * size + size / 2
+    );
+}
+
+/**
+ * Voxel value ({ color, material? }) at a world position, or null
+ */
+function getVoxelAt(position) {
+    const { x, y, z } = worldToCell(position);
+    return voxelGrid.get(x, y, z);
+}
+
+/**
+ * Grid value for a new voxel. Matte is the default and is not stored,
+ * so plain { color } values stay valid.
+ */
+function voxelValue(color, material = activeMaterial) {
+    return material && material !== DEFAULT_MATERIAL ? { color, material } : { color };
+}
+
+/**
+ * Place a new voxel at position
+ */
+function placeVoxel(position) {
+    const { x, y, z } = worldToCell(position);
+
+    // Don't place if one already exists here
+    if (voxelGrid.has(x, y, z)) return;
+
+    // Use selected color and material
+    const value = voxelValue(activeColor);
+    voxelGrid.set(x, y, z, value);
+
+    history.record('Place', [{ x, y, z, before: null, after: value }]);
+
+    // EFFECTS
+    if (audioManager) audioManager.playPlace();
+    if (particleSystem) particleSystem.spawn(position, value.color, 4); // Fewer particles for placement
+
+    // SAVE
+    saveMap();
+
+    console.log(`📦 Placed voxel at (${x}, ${y}, ${z})`);
+}
+
+/**
+ * Update the dwell progress indicator ring
+ */
+function updateDwellIndicator(position, progress) {
+    if (!dwellRing) return;
+
+    // Position ring above ghost voxel, facing camera
+    dwellRing.position.copy(position);
+    dwellRing.position.y += 0.8;
+    dwellRing.lookAt(camera.position);
+    dwellRing.visible = progress > 0.05;
+
+    // Scale ring based on progress (grows larger as it fills)
+    const scale = 0.5 + progress * 0.5;
+    dwellRing.scale.set(scale, scale, 1);
+
+    // Change color as progress increases (cyan -> green)
+    const r = 0;
+    const g = 0.7 + progress * 0.3;
+    const b = 1 - progress * 0.5;
+    dwellRing.material.color.setRGB(r, g, b);
+
+    // Pulsing opacity
+    dwellRing.material.opacity = 0.6 + Math.sin(performance.now() / 100) * 0.2;
+}
+
+/**
+ * Advance dwell-to-place for a cursor resting at position
+ * @returns {boolean} - True once it has been held still for DWELL_TIME
+ */
+function updateDwell(position, now) {
+    const positionStable = position.distanceTo(dwellPosition) < CONFIG.DWELL_TOLERANCE;
+
+    if (positionStable && isDwelling) {
+        const elapsed = now - dwellStartTime;
+        dwellProgress = Math.min(1, elapsed / CONFIG.DWELL_TIME);
+        updateDwellIndicator(position, dwellProgress);
+
+        if (dwellProgress >= 1) {
+            isDwelling = false;
+            dwellProgress = 0;
+            dwellRing.visible = false;
+            dwellPosition.set(9999, 9999, 9999);
+            return true;
+        }
+    } else if (positionStable && !isDwelling) {
+        isDwelling = true;
+        dwellStartTime = now;
+        dwellPosition.copy(position);
+        dwellProgress = 0;
+    } else {
+        isDwelling = false;
+        dwellProgress = 0;
+        dwellPosition.copy(position);
+        dwellRing.visible = false;
+    }
+    return false;
+}
+
+/**
+ * Remove a voxel at position - UPDATED
+ */
+function removeVoxel(position) {
+    const { x, y, z } = worldToCell(position);
+    const value = voxelGrid.get(x, y, z);
+
+    if (!value) return;
+
+    // Spawn particles before removing (use voxel color)
+    if (particleSystem) {
+        particleSystem.spawn(cellCenter(x, y, z), value.color);
+    }
+
+    // Play sound
+    if (audioManager) audioManager.playRemove();
+
+    voxelGrid.delete(x, y, z);
+
+    history.record('Remove', [{ x, y, z, before: value, after: null }]);
+
+    console.log(`🗑️ Removed voxel at (${x}, ${y}, ${z})`);
+
+    // Save
+    saveMap();
+}
+
+/**
+ * Write a batch of cell changes into the grid as one undo step
+ * @param {string} label - History label
+ * @param {Array} changes - [{ x, y, z, before, after }]; for a cell listed
+ *                          twice, the first `before` and the last `after` win
+ * @param {Object} [palette] - { before, after } when the edit also changed a palette slot
+ */
+function commitEdit(label, changes, palette = null) {
+    if (changes.length === 0 && !palette) return;
+
+    const finalState = new Map();
+    changes.forEach(change => finalState.set(cellKey(change.x, change.y, change.z), change));
+    finalState.forEach(({ x, y, z, after }) => voxelGrid.set(x, y, z, after));
+
+    history.record(label, changes, palette);
+    saveMap();
+}
+
+/**
+ * Whether a cell can hold a voxel in the current world
+ */
+function isCellInWorld({ x, y, z }) {
+    if (y < 0) return false;
+
+    const bounds = worldCellBounds();
+    return !bounds || (
+        x >= bounds.minX && x <= bounds.maxX &&
+        z >= bounds.minZ && z <= bounds.maxZ &&
+        y <= bounds.maxY
+    );
+}
+
+// ============================================
+// REGION SELECTION
+// ============================================
+
+function createSelectionHelper() {
+    selectionHelper = new THREE.Box3Helper(new THREE.Box3(), CONFIG.SELECTION_COLOR);
+    selectionHelper.visible = false;
+    scene.add(selectionHelper);
+
+    ghostGroup = new GhostGroup(scene, {
+        voxelSize: CONFIG.VOXEL_SIZE,
+        opacity: CONFIG.GHOST_OPACITY
+    });
+}
+
+function setSelection(box) {
+    selection = box;
+
+    if (selection) {
+        const size = CONFIG.VOXEL_SIZE;
+        const { min, max } = selection;
+        selectionHelper.box.min.set(min.x * size, min.y * size, min.z * size);
+        selectionHelper.box.max.set((max.x + 1) * size, (max.y + 1) * size, (max.z + 1) * size);
+    }
+    selectionHelper.visible = !!selection;
+
+    updateSelectionButtons();
+}
+
+function clearSelection() {
+    cancelPaste();
+    setSelection(null);
+}
+
+/**
+ * Selection box between two picked cells. The box reaches up to the
+ * top of whatever stands on its footprint, so dragging across the
+ * floor selects whole structures.
+ */
+function selectionFromCorners(a, b) {
+    const box = boxFromCorners(a, b);
+    voxelGrid.region(box.min, { x: box.max.x, y: Infinity, z: box.max.z }).forEach(cell => {
+        box.max.y = Math.max(box.max.y, cell.y);
+    });
+    return box;
+}
+
+function boxInWorld(box) {
+    return isCellInWorld(box.min) && isCellInWorld(box.max);
+}
+
+/**
+ * Cell under a screen point: the voxel it hits, or the floor cell (y = 0)
+ */
+function pickSurfaceCell(ndcX, ndcY) {
+    reusableNDC.set(ndcX, ndcY);
+    reusableRaycaster.setFromCamera(reusableNDC, camera);
+    const { origin, direction } = reusableRaycaster.ray;
+
+    if (voxelGrid.size > 0) {
+        const hit = raycastVoxels(origin, direction, {
+            voxelSize: CONFIG.VOXEL_SIZE,
+            maxDistance: CONFIG.PICK_DISTANCE,
+            isFilled: (cx, cy, cz) => voxelGrid.has(cx, cy, cz)
+        });
+        if (hit) {
+            const [x, y, z] = hit.cell;
+            return { x, y, z };
+        }
+    }
+
+    const point = new THREE.Vector3();
+    if (!reusableRaycaster.ray.intersectPlane(floorPlane, point)) return null;
+    return worldToCell(snapToGrid(point));
+}
+
+/**
+ * Replace the selected voxels with `content` placed at `box`,
+ * then select `box`. Used by move, rotate and mirror.
+ */
+function replaceSelection(label, content, box) {
+    if (!boxInWorld(box)) {
+        showToast('Selection would leave the world', true);
+        return;
+    }
+
+    const changes = voxelGrid.region(selection.min, selection.max).map(({ x, y, z, value }) => ({
+        x, y, z,
+        before: value,
+        after: null
+    }));
+    placeClipboard(content, box.min).forEach(({ x, y, z, value }) => {
+        changes.push({ x, y, z, before: voxelGrid.get(x, y, z), after: value });
+    });
+
+    commitEdit(label, changes);
+    setSelection(box);
+}
+
+function copySelection() {
+    if (!selection) return;
+
+    clipboard = copyRegion(voxelGrid, selection);
+    updateSelectionButtons();
+    showToast(`Copied ${clipboard.cells.length} voxel${clipboard.cells.length === 1 ? '' : 's'}`);
+}
+
+function cutSelection() {
+    if (!selection) return;
+
+    copySelection();
+    deleteSelection('Cut');
+}
+
+function deleteSelection(label = 'Delete') {
+    if (!selection) return;
+
+    const changes = voxelGrid.region(selection.min, selection.max).map(({ x, y, z, value }) => ({
+        x, y, z,
+        before: value,
+        after: null
+    }));
+    if (changes.length === 0) return;
+
+    commitEdit(label, changes);
+    if (audioManager) audioManager.playRemove();
+}
+
+/**
+ * Move the selected voxels by whole cells
+ */
+function moveSelection(dx, dy, dz) {
+    if (!selection) return;
+
+    const { min } = selection;
+    const target = moveBox(selection, { x: min.x + dx, y: min.y + dy, z: min.z + dz });
+    replaceSelection('Move', copyRegion(voxelGrid, selection), target);
+}
+
+/**
+ * Quarter turn around Y, in place. The box keeps its center,
+ * width and depth swap.
+ */
+function rotateSelection() {
+    if (pasteActive) {
+        clipboard = rotateClipboardY(clipboard);
+        refreshPastePreview();
+        return;
+    }
+    if (!selection) return;
+
+    const size = boxSize(selection);
+    const rotated = rotateClipboardY(copyRegion(voxelGrid, selection));
+    const min = {
+        x: selection.min.x + Math.floor((size.x - size.z) / 2),
+        y: selection.min.y,
+        z: selection.min.z + Math.floor((size.z - size.x) / 2)
+    };
+    replaceSelection('Rotate', rotated, moveBox(clipboardBox(rotated), min));
+}
+
+/**
+ * @param {string} axis - 'x' or 'z'
+ */
+function mirrorSelection(axis) {
+    if (pasteActive) {
+        clipboard = mirrorClipboard(clipboard, axis);
+        refreshPastePreview();
+        return;
+    }
+    if (!selection) return;
+
+    replaceSelection('Mirror', mirrorClipboard(copyRegion(voxelGrid, selection), axis), selection);
+}
+
+// ----- Paste -----
+
+function startPaste() {
+    if (!clipboard) return;
+
+    setActiveTool('voxel');
+    pasteActive = true;
+    ghostVoxel.visible = false;
+    updatePastePreview(ghostPosition);
+    updateSelectionButtons();
+}
+
+function cancelPaste() {
+    if (!pasteActive) return;
+
+    pasteActive = false;
+    pasteOrigin = null;
+    ghostGroup.hide();
+    updateSelectionButtons();
+}
+
+/**
+ * Center the clipboard footprint on the cursor, resting on its layer
+ */
+function updatePastePreview(position) {
+    const cursor = worldToCell(position);
+    pasteOrigin = {
+        x: cursor.x - Math.floor(clipboard.size.x / 2),
+        y: cursor.y,
+        z: cursor.z - Math.floor(clipboard.size.z / 2)
+    };
+    refreshPastePreview();
+}
+
+function refreshPastePreview() {
+    if (!pasteOrigin) return;
+    ghostGroup.show(placeClipboard(clipboard, pasteOrigin).filter(isCellInWorld));
+}
+
+function commitPaste() {
+    if (!pasteActive || !pasteOrigin) return;
+
+    const changes = placeClipboard(clipboard, pasteOrigin)
+        .filter(isCellInWorld)
+        .map(({ x, y, z, value }) => ({ x, y, z, before: voxelGrid.get(x, y, z), after: value }));
+    const pasted = moveBox(clipboardBox(clipboard), pasteOrigin);
+
+    cancelPaste();
+    commitEdit('Paste', changes);
+    setSelection(pasted);
+
+    if (audioManager) audioManager.playPlace();
+    console.log(`📋 Pasted ${changes.length} voxels`);
+}
+
+// ----- Input -----
+
+function setSelectTool(active) {
+    selectToolActive = active;
+    if (active) setActiveTool('voxel');
+    document.getElementById('btn-select').classList.toggle('active', active);
+}
+
+function updateSelectionButtons() {
+    const hasContent = !!selection || pasteActive;
+    document.getElementById('btn-copy').disabled = !selection;
+    document.getElementById('btn-cut').disabled = !selection;
+    document.getElementById('btn-paste').disabled = !clipboard;
+    document.getElementById('btn-rotate').disabled = !hasContent;
+    document.getElementById('btn-mirror').disabled = !hasContent;
+}
+
+/**
+ * Arrow keys move along whichever grid axis is closest to the
+ * camera's view, so "up" always pushes the selection away from you
+ */
+function cameraAlignedStep(key) {
+    const forward = new THREE.Vector3();
+    camera.getWorldDirection(forward);
+
+    let fx = 0, fz = 0;
+    if (Math.abs(forward.x) > Math.abs(forward.z)) fx = Math.sign(forward.x);
+    else fz = Math.sign(forward.z);
+
+    switch (key) {
+        case 'ArrowUp': return [fx, fz];
+        case 'ArrowDown': return [-fx, -fz];
+        case 'ArrowRight': return [-fz, fx];
+        case 'ArrowLeft': return [fz, -fx];
+    }
+    return null;
+}
+
+/**
+ * Keys that act on the selection (no modifier)
+ * @returns {boolean} - Whether the key was handled
+ */
+function handleSelectionKey(e) {
+    if (e.key === 'Escape') {
+        if (pasteActive) cancelPaste();
+        else clearSelection();
+        return true;
+    }
+
+    // Without a selection these move and use the pointer cursor
+    if (selection) {
+        switch (e.key) {
+            case 'Delete':
+            case 'Backspace':
+                deleteSelection();
+                return true;
+            case 'PageUp':
+                moveSelection(0, 1, 0);
+                return true;
+            case 'PageDown':
+                moveSelection(0, -1, 0);
+                return true;
+        }
+    }
+
+    const step = cameraAlignedStep(e.key);
+    if (step) {
+        if (!selection || pasteActive) return false;
+        moveSelection(step[0], 0, step[1]);
+        return true;
+    }
+
+    switch (e.key.toLowerCase()) {
+        case 'm':
+            setSelectTool(!selectToolActive);
+            return true;
+        case 'r':
+            if (!selection && !pasteActive) return false;
+            rotateSelection();
+            return true;
+        case 'f':
+            if (!selection && !pasteActive) return false;
+            mirrorSelection(e.shiftKey ? 'z' : 'x');
+            return true;
+    }
+    return false;
+}
+
+function pointerToNDC(e) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    return {
+        x: ((e.clientX - rect.left) / rect.width) * 2 - 1,
+        y: -((e.clientY - rect.top) / rect.height) * 2 + 1
+    };
+}
+
+/**
+ * Mouse: drag a box with the select tool, click to drop a paste
+ */
+function setupPointerSelection() {
+    const canvas = renderer.domElement;
+
+    canvas.addEventListener('pointerdown', (e) => {
+        pointerDownAt = { x: e.clientX, y: e.clientY };
+        if (e.button !== 0 || timelapse) return;
+
+        if (selectToolActive && !pasteActive) {
+            const ndc = pointerToNDC(e);
+            const start = pickSurfaceCell(ndc.x, ndc.y);
+            if (!start) {
+                clearSelection();
+                return;
+            }
+
+            // Box drag instead of orbiting
+            selectionDrag = { start };
+            controls.enabled = false;
+            setSelection(selectionFromCorners(start, start));
+        }
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+        const ndc = pointerToNDC(e);
+
+        if (selectionDrag) {
+            const end = pickSurfaceCell(ndc.x, ndc.y);
+            if (end) setSelection(selectionFromCorners(selectionDrag.start, end));
+        } else if (pasteActive && !handDetected && inputMode === 'hand') {
+            updatePastePreview(snapToGrid(screenToWorld(ndc.x, ndc.y)));
+        }
+    });
+
+    window.addEventListener('pointerup', (e) => {
+        if (selectionDrag) {
+            selectionDrag = null;
+            controls.enabled = true;
+        }
+
+        const isClick = pointerDownAt &&
+            Math.hypot(e.clientX - pointerDownAt.x, e.clientY - pointerDownAt.y) < CONFIG.CLICK_TOLERANCE;
+        pointerDownAt = null;
+
+        if (!isClick || e.target !== canvas || timelapse) return;
+        if (inputMode === 'pointer') {
+            if (e.pointerType !== 'touch') pointerClick(e);
+        } else if (pasteActive && e.button === 0) {
+            commitPaste();
+        }
+    });
+}
+
+/**
+ * Two-hand pinch-spread: while both hands pinch, their pinch points
+ * are opposite corners of the selection box
+ */
+function updateSelectionGesture(handA, handB) {
+    isPinching = gestures.isPinching(cursorLabel) && gestures.isPinching(triggerLabel);
+
+    if (!isPinching) return;
+
+    const ndcA = landmarkToNDC(getPinchMidpoint(handA));
+    const ndcB = landmarkToNDC(getPinchMidpoint(handB));
+    const a = pickSurfaceCell(ndcA.x, ndcA.y);
+    const b = pickSurfaceCell(ndcB.x, ndcB.y);
+    if (a && b) setSelection(selectionFromCorners(a, b));
+}
+
+// ============================================
+// PALETTE
+// ============================================
+
+function setActiveColor(color) {
+    activeColor = color;
+
+    // Flip the toolbar to the page that shows it
+    const index = palette.indexOf(color);
+    if (index !== -1) palettePage = Math.floor(index / CONFIG.PALETTE_PAGE_SIZE);
+
+    pickerHsv = colorToHsv(color);
+    renderPalette();
+}
+
+function showPalettePage(page) {
+    palettePage = page;
+    renderPalette();
+}
+
+/**
+ * Toolbar swatches (one page) and, when open, the palette editor
+ */
+function renderPalette() {
+    const pageSize = CONFIG.PALETTE_PAGE_SIZE;
+    const pages = Math.max(1, Math.ceil(palette.length / pageSize));
+    palettePage = Math.max(0, Math.min(pages - 1, palettePage));
+
+    const container = document.getElementById('color-palette');
+    container.innerHTML = '';
+    palette.slice(palettePage * pageSize, (palettePage + 1) * pageSize).forEach(color => {
+        container.appendChild(createSwatch(color, () => setActiveColor(color)));
+    });
+
+    const prev = document.getElementById('btn-palette-prev');
+    const next = document.getElementById('btn-palette-next');
+    prev.hidden = next.hidden = pages === 1;
+    prev.disabled = palettePage === 0;
+    next.disabled = palettePage === pages - 1;
+
+    if (!document.getElementById('palette-popover').classList.contains('hidden')) {
+        renderPaletteEditor();
+    }
+}
+
+function createSwatch(color, onClick) {
+    const swatch = document.createElement('div');
+    swatch.className = 'color-swatch' + (color === activeColor ? ' active' : '');
+    swatch.style.backgroundColor = colorToHex(color);
+    swatch.style.color = colorToHex(color); // Store for effect reference
+    swatch.title = colorToHex(color);
+    swatch.addEventListener('click', onClick);
+    return swatch;
+}
+
+/**
+ * Palette changed: redraw and save it with the scene
+ */
+function paletteChanged() {
+    renderPalette();
+    saveMap();
+}
+
+// ----- Materials -----
+
+function setActiveMaterial(id) {
+    activeMaterial = getMaterialDef(id).id;
+    toolPreview = null;  // Shape previews carry the material
+    renderMaterialPicker();
+}
+
+/**
+ * One button per material; textured ones show their atlas tile
+ */
+function renderMaterialPicker() {
+    const container = document.getElementById('material-picker');
+    container.innerHTML = '';
+
+    MATERIALS.forEach(def => {
+        const btn = document.createElement('button');
+        btn.className = 'icon-btn neutral material-btn' + (def.id === activeMaterial ? ' active' : '');
+        btn.title = def.name;
+
+        if (def.tile !== undefined) {
+            btn.classList.add('textured');
+            btn.style.backgroundImage = `url(${ATLAS_URL})`;
+            btn.style.backgroundPosition = `${(def.tile / (ATLAS_TILES - 1)) * 100}% 0`;
+        } else {
+            btn.textContent = def.icon;
+        }
+
+        btn.addEventListener('click', () => setActiveMaterial(def.id));
+        container.appendChild(btn);
+    });
+}
+
+// ----- Editor -----
+
+function setupPaletteEditor() {
+    const popover = document.getElementById('palette-popover');
+    document.getElementById('btn-palette-edit').addEventListener('click', () => {
+        popover.classList.toggle('hidden');
+        renderPalette();
+    });
+
+    // HSV picker: saturation / value square + hue slider + hex field
+    const canvas = document.getElementById('picker-sv');
+    const pickSV = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        pickerHsv.s = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        pickerHsv.v = Math.max(0, Math.min(1, 1 - (e.clientY - rect.top) / rect.height));
+        drawColorPicker();
+    };
+    canvas.addEventListener('pointerdown', (e) => {
+        canvas.setPointerCapture(e.pointerId);
+        pickSV(e);
+    });
+    canvas.addEventListener('pointermove', (e) => {
+        if (canvas.hasPointerCapture(e.pointerId)) pickSV(e);
+    });
+
+    document.getElementById('picker-hue').addEventListener('input', (e) => {
+        pickerHsv.h = Number(e.target.value);
+        drawColorPicker();
+    });
+    document.getElementById('picker-hex').addEventListener('change', (e) => {
+        const match = e.target.value.trim().match(/^#?([0-9a-f]{6})$/i);
+        if (match) pickerHsv = colorToHsv(parseInt(match[1], 16));
+        drawColorPicker();
+    });
+
+    document.getElementById('btn-palette-add').addEventListener('click', addPaletteColor);
+    document.getElementById('btn-palette-set').addEventListener('click', updatePaletteColor);
+    document.getElementById('btn-palette-remove').addEventListener('click', removePaletteColor);
+    document.getElementById('btn-palette-left').addEventListener('click', () => shiftActiveColor(-1));
+    document.getElementById('btn-palette-right').addEventListener('click', () => shiftActiveColor(1));
+
+    const input = document.getElementById('palette-input');
+    document.getElementById('btn-palette-import').addEventListener('click', () => input.click());
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        input.value = '';
+        if (file) importPalette(file);
+    });
+    document.getElementById('btn-palette-export').addEventListener('click', () => {
+        exportPalette(document.getElementById('palette-export-format').value);
+    });
+}
+
+/**
+ * Every palette color; drag to reorder, click to make active
+ */
+function renderPaletteEditor() {
+    const grid = document.getElementById('palette-grid');
+    grid.innerHTML = '';
+
+    palette.forEach((color, index) => {
+        const swatch = createSwatch(color, () => setActiveColor(color));
+        swatch.classList.add('small');
+        swatch.draggable = true;
+        swatch.addEventListener('dragstart', (e) => e.dataTransfer.setData('text/plain', String(index)));
+        swatch.addEventListener('dragover', (e) => e.preventDefault());
+        swatch.addEventListener('drop', (e) => {
+            e.preventDefault();
+            movePaletteColor(Number(e.dataTransfer.getData('text/plain')), index);
+        });
+        grid.appendChild(swatch);
+    });
+
+    document.getElementById('palette-count').textContent = `${palette.length} colors`;
+    drawColorPicker();
+}
+
+function drawColorPicker() {
+    const canvas = document.getElementById('picker-sv');
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+
+    // Hue, whitened to the left, darkened to the bottom
+    ctx.fillStyle = colorToHex(hsvToColor(pickerHsv.h, 1, 1));
+    ctx.fillRect(0, 0, width, height);
+    const white = ctx.createLinearGradient(0, 0, width, 0);
+    white.addColorStop(0, '#fff');
+    white.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    ctx.fillStyle = white;
+    ctx.fillRect(0, 0, width, height);
+    const black = ctx.createLinearGradient(0, 0, 0, height);
+    black.addColorStop(0, 'rgba(0, 0, 0, 0)');
+    black.addColorStop(1, '#000');
+    ctx.fillStyle = black;
+    ctx.fillRect(0, 0, width, height);
+
+    // Marker
+    ctx.beginPath();
+    ctx.arc(pickerHsv.s * width, (1 - pickerHsv.v) * height, 5, 0, Math.PI * 2);
+    ctx.strokeStyle = pickerHsv.v > 0.5 ? '#000' : '#fff';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    const color = pickerColor();
+    document.getElementById('picker-hue').value = Math.round(pickerHsv.h);
+    document.getElementById('picker-hex').value = colorToHex(color);
+    document.getElementById('picker-preview').style.backgroundColor = colorToHex(color);
+}
+
+function pickerColor() {
+    return hsvToColor(pickerHsv.h, pickerHsv.s, pickerHsv.v);
+}
+
+function addPaletteColor() {
+    const color = pickerColor();
+    if (!palette.includes(color)) {
+        if (palette.length >= CONFIG.PALETTE_MAX) {
+            showToast(`Palettes hold up to ${CONFIG.PALETTE_MAX} colors`, true);
+            return;
+        }
+        palette.push(color);
+    }
+    setActiveColor(color);
+    paletteChanged();
+}
+
+/**
+ * Change the active palette entry to the picker color. Voxels
+ * using the old color follow it (one undo step).
+ */
+function updatePaletteColor() {
+    const index = palette.indexOf(activeColor);
+    const color = pickerColor();
+    if (index === -1 || color === activeColor) return;
+    if (palette.includes(color)) {
+        showToast('That color is already in the palette', true);
+        return;
+    }
+
+    // One undo step puts back both the voxels and the palette slot
+    const previous = activeColor;
+    palette[index] = color;
+    commitEdit('Edit Color', recolorChanges(previous, color), { before: previous, after: color });
+    setActiveColor(color);
+    paletteChanged();
+}
+
+function removePaletteColor() {
+    const index = palette.indexOf(activeColor);
+    if (index === -1 || palette.length <= 1) return;
+
+    let used = 0;
+    voxelGrid.forEach(value => { if (value.color === activeColor) used++; });
+    if (used > 0) {
+        showToast(`${used} voxel${used === 1 ? ' uses' : 's use'} this color - replace it first (⇄)`, true);
+        return;
+    }
+
+    palette.splice(index, 1);
+    setActiveColor(palette[Math.min(index, palette.length - 1)]);
+    paletteChanged();
+}
+
+function movePaletteColor(from, to) {
+    if (from === to || !(from in palette) || !(to in palette)) return;
+
+    const [color] = palette.splice(from, 1);
+    palette.splice(to, 0, color);
+    paletteChanged();
+}
+
+function shiftActiveColor(step) {
+    const index = palette.indexOf(activeColor);
+    movePaletteColor(index, index + step);
+}
+
+/**
+ * Select the previous / next palette color, wrapping around
+ */
+function cycleActiveColor(step) {
+    const index = Math.max(0, palette.indexOf(activeColor));
+    setActiveColor(palette[(index + step + palette.length) % palette.length]);
+}
+
+// ----- Files -----
+
+/**
+ * Replace the palette with a .gpl / .hex / .png file. Colors the
+ * scene still uses are kept at the end.
+ */
+async function importPalette(file) {
+    try {
+        const extension = file.name.toLowerCase().split('.').pop();
+        let colors;
+        if (extension === 'png') {
+            colors = await readPaletteImage(file);
+        } else {
+            const text = await file.text();
+            colors = text.trim().startsWith('GIMP Palette') ? parseGPL(text) : parseHex(text);
+        }
+
+        const used = new Set();
+        voxelGrid.forEach(value => used.add(value.color));
+        const merged = [...colors, ...[...used].filter(color => !colors.includes(color))];
+        if (merged.length > CONFIG.PALETTE_MAX) {
+            throw new Error(`palettes hold up to ${CONFIG.PALETTE_MAX} colors`);
+        }
+
+        palette = merged;
+        setActiveColor(palette.includes(activeColor) ? activeColor : palette[0]);
+        paletteChanged();
+        showToast(`Imported ${colors.length} colors`);
+    } catch (e) {
+        console.error('Palette import failed', e);
+        showToast(`Palette import failed: ${e.message}`, true);
+    }
+}
+
+async function readPaletteImage(file) {
+    const image = await createImageBitmap(file);
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    image.close();
+    return colorsFromPixels(ctx.getImageData(0, 0, canvas.width, canvas.height).data);
+}
+
+function exportPalette(format) {
+    const name = currentProject ? currentProject.name : 'palette';
+    const filename = safeFilename(name);
+
+    if (format === 'gpl') {
+        downloadBlob(new Blob([formatGPL(palette, name)], { type: 'text/plain' }), filename + '.gpl');
+    } else if (format === 'hex') {
+        downloadBlob(new Blob([formatHex(palette)], { type: 'text/plain' }), filename + '.hex');
+    } else {
+        // One pixel per color
+        const canvas = document.createElement('canvas');
+        canvas.width = palette.length;
+        canvas.height = 1;
+        const ctx = canvas.getContext('2d');
+        palette.forEach((color, i) => {
+            ctx.fillStyle = colorToHex(color);
+            ctx.fillRect(i, 0, 1, 1);
+        });
+        canvas.toBlob(blob => downloadBlob(blob, filename + '.png'), 'image/png');
+    }
+}
+
+// ============================================
+// EDIT MODES
+// ============================================
+
+// Finger count held up on the trigger hand -> mode
+const MODE_FINGERS = { 1: 'build', 2: 'erase', 3: 'paint', 4: 'eyedropper' };
+
+const MODE_KEYS = { b: 'build', e: 'erase', p: 'paint', i: 'eyedropper' };
+
+// How the ghost voxel looks in each mode (color null = active color)
+const MODE_GHOST = {
+    build: { color: CONFIG.GHOST_COLOR, wireframe: false, scale: 1 },
+    erase: { color: 0xff6b6b, wireframe: true, scale: 1.08 },
+    paint: { color: null, wireframe: false, scale: 1.06 },
+    eyedropper: { color: 0xffffff, wireframe: true, scale: 1.08 }
+};
+
+function setEditMode(mode) {
+    if (mode === 'eyedropper' && editMode !== 'eyedropper') modeBeforeEyedropper = editMode;
+    editMode = mode;
+    if (mode !== 'build') setActiveTool('voxel');
+
+    document.querySelectorAll('#edit-modes [data-mode]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+    console.log(`🖌️ Mode: ${mode}`);
+}
+
+/**
+ * @returns {boolean} - Whether the key was handled
+ */
+function handleModeKey(e) {
+    const mode = MODE_KEYS[e.key.toLowerCase()];
+    if (!mode) return false;
+
+    setEditMode(mode);
+    return true;
+}
+
+/**
+ * Step through the modes in toolbar order, wrapping around
+ */
+function cycleEditMode(step) {
+    const modes = Object.values(MODE_FINGERS);
+    const index = modes.indexOf(editMode);
+    setEditMode(modes[(index + step + modes.length) % modes.length]);
+}
+
+/**
+ * Hold a finger count on the trigger hand for MODE_GESTURE_HOLD to
+ * switch modes (see MODE_FINGERS). An open palm does nothing.
+ * @param {string|null} hand - Trigger hand label, null while it pinches
+ */
+function updateModeGesture(hand, now) {
+    const mode = hand ? MODE_FINGERS[gestures.fingerCount(hand)] : null;
+    if (!mode || mode === editMode) {
+        modeGesture = null;
+        return;
+    }
+
+    if (!modeGesture || modeGesture.mode !== mode) {
+        modeGesture = { mode, since: now };
+    } else if (now - modeGesture.since >= CONFIG.MODE_GESTURE_HOLD) {
+        setEditMode(mode);
+        modeGesture = null;
+    }
+}
+
+/**
+ * Voxel cell the cursor points at, or null
+ */
+function pickTargetVoxel() {
+    if (depthCursor) {
+        // The cursor sits inside the voxel it targets
+        const cell = worldToCell(ghostPosition);
+        return voxelGrid.has(cell.x, cell.y, cell.z) ? cell : null;
+    }
+    if (!cursorNDC) return null;
+
+    const cell = pickSurfaceCell(cursorNDC.x, cursorNDC.y);
+    return cell && voxelGrid.has(cell.x, cell.y, cell.z) ? cell : null;
+}
+
+/**
+ * Ghost voxel look for the current mode. Outside Build mode it sits
+ * on the targeted voxel, and hides when there is none.
+ */
+function styleGhost(isOverExisting, targetCell) {
+    const style = MODE_GHOST[editMode];
+    const material = ghostVoxel.material;
+
+    let color = style.color ?? activeColor;
+    if (editMode === 'build' && isOverExisting) color = 0xff6b6b;
+    material.color.setHex(color);
+    material.emissive.setHex(color);
+    material.wireframe = style.wireframe;
+    ghostVoxel.scale.setScalar(style.scale);
+
+    if (editMode !== 'build' && !pasteActive) {
+        if (targetCell) ghostVoxel.position.copy(cellCenter(targetCell.x, targetCell.y, targetCell.z));
+        ghostVoxel.visible = !!targetCell;
+    }
+}
+
+/**
+ * Trigger in Erase / Paint / Eyedropper mode on a voxel cell
+ */
+function applyEditMode(cell) {
+    const value = voxelGrid.get(cell.x, cell.y, cell.z);
+    if (!value) return;
+
+    if (editMode === 'erase') {
+        removeVoxel(cellCenter(cell.x, cell.y, cell.z));
+    } else if (editMode === 'paint') {
+        paintVoxel(cell);
+    } else if (editMode === 'eyedropper') {
+        setActiveColor(value.color);
+        setActiveMaterial(value.material || DEFAULT_MATERIAL);
+        // Sampling is a one-off: go back to what we were doing
+        setEditMode(modeBeforeEyedropper);
+        if (audioManager) audioManager.playPlace();
+    }
+}
+
+/**
+ * Repaint one voxel in place with the active color and material
+ */
+function paintVoxel({ x, y, z }) {
+    const value = voxelGrid.get(x, y, z);
+    if (!value) return;
+
+    const after = voxelValue(activeColor);
+    if (value.color === after.color && value.material === after.material) return;
+
+    commitEdit('Paint', [{ x, y, z, before: value, after }]);
+
+    if (audioManager) audioManager.playPlace();
+    if (particleSystem) particleSystem.spawn(cellCenter(x, y, z), activeColor, 4);
+}
+
+/**
+ * Recolor every voxel of one color
+ */
+function replaceColor(from, to) {
+    if (from === to) return;
+
+    const changes = recolorChanges(from, to);
+    if (changes.length === 0) return;
+
+    commitEdit('Replace Color', changes);
+    showToast(`Replaced ${changes.length} voxel${changes.length === 1 ? '' : 's'}`);
+}
+
+/**
+ * Cell diffs turning every voxel of one color into another
+ */
+function recolorChanges(from, to) {
+    return voxelGrid.cells()
+        .filter(({ value }) => value.color === from)
+        .map(({ x, y, z, value }) => ({ x, y, z, before: value, after: { ...value, color: to } }));
+}
+
+/**
+ * Popover listing the colors in the scene; picking one replaces
+ * all of its voxels with the active color
+ */
+function toggleReplacePopover() {
+    const popover = document.getElementById('replace-popover');
+    if (!popover.classList.contains('hidden')) {
+        popover.classList.add('hidden');
+        return;
+    }
+
+    const counts = new Map();
+    voxelGrid.forEach(value => counts.set(value.color, (counts.get(value.color) || 0) + 1));
+
+    const list = popover.querySelector('.popover-colors');
+    list.innerHTML = '';
+    counts.forEach((count, color) => {
+        const hex = colorToHex(color);
+        const btn = document.createElement('button');
+        btn.className = 'popover-color';
+        btn.title = `Replace ${hex} (${count}) with the active color`;
+        btn.innerHTML = `<span class="swatch" style="background:${hex}"></span>${count}`;
+        btn.addEventListener('click', () => {
+            replaceColor(color, activeColor);
+            popover.classList.add('hidden');
+        });
+        list.appendChild(btn);
+    });
+    popover.querySelector('.popover-empty').hidden = counts.size > 0;
+
+    popover.classList.remove('hidden');
+}
+
+// ============================================
+// SHAPE TOOLS
+// ============================================
+
+const TOOL_LABELS = {
+    'line': 'Line',
+    'box': 'Box',
+    'hollow-box': 'Hollow Box',
+    'plane': 'Plane',
+    'sphere': 'Sphere',
+    'cylinder': 'Cylinder',
+    'fill': 'Fill',
+    'recolor': 'Recolor'
+};
+
+// Number keys pick tools in toolbar order
+const TOOL_KEYS = ['voxel', ...SHAPE_TOOLS, 'fill', 'recolor'];
+
+function setActiveTool(tool) {
+    activeTool = tool;
+    toolAnchor = null;
+    toolPreview = null;
+    if (toolGhost) toolGhost.hide();
+
+    if (tool !== 'voxel') {
+        cancelPaste();
+        if (selectToolActive) setSelectTool(false);
+        if (editMode !== 'build') setEditMode('build');
+    }
+
+    document.querySelectorAll('#shape-tools [data-tool]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tool === tool);
+    });
+}
+
+/**
+ * Number keys pick a tool, Escape drops a shape's first corner
+ * @returns {boolean} - Whether the key was handled
+ */
+function handleToolKey(e) {
+    if (e.key === 'Escape' && toolAnchor) {
+        toolAnchor = null;
+        toolPreview = null;
+        toolGhost.hide();
+        return true;
+    }
+
+    const index = Number(e.key) - 1;
+    if (Number.isInteger(index) && index >= 0 && index < TOOL_KEYS.length) {
+        setActiveTool(TOOL_KEYS[index]);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * What the active tool would do with the cursor at `position`.
+ * Returns null for a shape that has no first corner yet.
+ * @returns {Object|null} - { label, changes }, or { error } when it can't run
+ */
+function planToolEdit(position) {
+    const cursor = worldToCell(position);
+    const color = activeColor;
+
+    if (activeTool === 'recolor') {
+        const start = cursorNDC && pickSurfaceCell(cursorNDC.x, cursorNDC.y);
+        if (!start || !voxelGrid.has(start.x, start.y, start.z)) return { error: 'Point at a voxel to recolor' };
+
+        const changes = floodRecolor(voxelGrid, start, CONFIG.SHAPE_MAX_CELLS)
+            .filter(({ value }) => value.color !== color)
+            .map(({ x, y, z, value }) => ({ x, y, z, before: value, after: { ...value, color } }));
+        return { label: TOOL_LABELS.recolor, changes };
+    }
+
+    if (activeTool === 'fill') {
+        const start = fillStartCell() || cursor;
+        const cells = floodFillEnclosed(voxelGrid, start, CONFIG.SHAPE_MAX_CELLS);
+        if (!cells) return { error: 'That space is not enclosed' };
+
+        const changes = cells
+            .filter(isCellInWorld)
+            .map(({ x, y, z }) => ({ x, y, z, before: null, after: voxelValue(color) }));
+        return { label: TOOL_LABELS.fill, changes };
+    }
+
+    // Two-point shapes: nothing to plan until the first corner is set
+    if (!toolAnchor) return null;
+
+    const bounds = boxSize(shapeBounds(activeTool, toolAnchor, cursor));
+    if (bounds.x * bounds.y * bounds.z > CONFIG.SHAPE_MAX_CELLS) return { error: 'Shape is too large' };
+
+    // Shapes only fill empty cells; existing voxels keep their color
+    const changes = shapeCells(activeTool, toolAnchor, cursor)
+        .filter(cell => isCellInWorld(cell) && !voxelGrid.has(cell.x, cell.y, cell.z))
+        .map(({ x, y, z }) => ({ x, y, z, before: null, after: voxelValue(color) }));
+    return { label: TOOL_LABELS[activeTool], changes };
+}
+
+/**
+ * First empty cell behind the voxel wall the cursor points at, so a
+ * fill aimed at a closed shell starts inside it
+ */
+function fillStartCell() {
+    if (!cursorNDC) return null;
+
+    reusableNDC.set(cursorNDC.x, cursorNDC.y);
+    reusableRaycaster.setFromCamera(reusableNDC, camera);
+    const { origin, direction } = reusableRaycaster.ray;
+    const options = { voxelSize: CONFIG.VOXEL_SIZE, maxDistance: CONFIG.PICK_DISTANCE };
+
+    const wall = raycastVoxels(origin, direction, {
+        ...options,
+        isFilled: (cx, cy, cz) => voxelGrid.has(cx, cy, cz)
+    });
+    if (!wall) return null;
+
+    // Continue from just inside the wall to the first empty cell
+    const inside = new THREE.Vector3(...wall.point).addScaledVector(direction, 1e-4);
+    const behind = raycastVoxels(inside, direction, {
+        ...options,
+        isFilled: (cx, cy, cz) => !voxelGrid.has(cx, cy, cz)
+    });
+    if (!behind) return null;
+
+    const [x, y, z] = behind.cell;
+    return { x, y, z };
+}
+
+/**
+ * Ghost preview of the active tool. Re-planned only when the
+ * cursor moves to another cell.
+ */
+function updateToolPreview(position) {
+    const cursor = worldToCell(position);
+    const anchor = toolAnchor ? cellKey(toolAnchor.x, toolAnchor.y, toolAnchor.z) : '';
+    const key = `${activeTool}|${activeMaterial}|${anchor}|${cellKey(cursor.x, cursor.y, cursor.z)}|${pickKey()}`;
+    if (toolPreview && toolPreview.key === key) return;
+
+    toolPreview = { key, ...planToolEdit(position) };
+
+    if (toolPreview.changes) {
+        toolGhost.show(toolPreview.changes.map(({ x, y, z, after }) => ({ x, y, z, value: after })));
+    } else {
+        toolGhost.hide();
+    }
+}
+
+// Cell the cursor ray points at; part of the preview cache key for fills
+function pickKey() {
+    if (!cursorNDC || (activeTool !== 'fill' && activeTool !== 'recolor')) return '';
+    const cell = pickSurfaceCell(cursorNDC.x, cursorNDC.y);
+    return cell ? cellKey(cell.x, cell.y, cell.z) : '';
+}
+
+/**
+ * Trigger (pinch / dwell) with a tool active: set the first corner,
+ * or commit the previewed edit as one undo step
+ */
+function useTool(position) {
+    const isShape = SHAPE_TOOLS.includes(activeTool);
+
+    if (isShape && !toolAnchor) {
+        toolAnchor = worldToCell(position);
+        toolPreview = null;
+        if (audioManager) audioManager.playPlace();
+        return;
+    }
+
+    const plan = planToolEdit(position);
+    toolAnchor = null;
+    toolPreview = null;
+    toolGhost.hide();
+
+    if (!plan) return;
+    if (plan.error) {
+        showToast(plan.error, true);
+        return;
+    }
+
+    commitEdit(plan.label, plan.changes);
+    if (audioManager) audioManager.playPlace();
+    console.log(`🔷 ${plan.label}: ${plan.changes.length} voxels`);
+}
+
+// ============================================
+// SAVING & LOADING
+// ============================================
+
+/**
+ * Voxels as world-space centers ({ x, y, z, color }), the shape
+ * the file format modules take
+ */
+function serializeVoxels() {
+    return voxelGrid.cells().map(({ x, y, z, value }) => {
+        const center = cellCenter(x, y, z);
+        return { x: center.x, y: center.y, z: center.z, color: value.color, material: value.material };
+    });
+}
+
+/**
+ * Current scene as a .voxelflow document
+ */
+function serializeScene(name) {
+    return encodeScene({
+        name,
+        voxels: serializeVoxels(),
+        world: { ...world, voxelSize: CONFIG.VOXEL_SIZE },
+        palette,
+        timelapse: timelapseLog && timelapseLog.toJSON()
+    });
+}
+
+/**
+ * Schedule a save of the open project.
+ * Writes are debounced because gravity calls this every few frames.
+ */
+function saveMap() {
+    clearTimeout(saveTimeout);
+    saveTimeout = setTimeout(flushSave, CONFIG.SAVE_DELAY);
+}
+
+async function flushSave() {
+    clearTimeout(saveTimeout);
+    saveTimeout = null;
+    if (!currentProject) return;
+
+    currentProject.scene = serializeScene(currentProject.name);
+    delete currentProject.voxels;  // Pre-format records stored a bare array
+    currentProject.voxelCount = voxelGrid.size;
+    // History is only meaningful against the map it was recorded on,
+    // so it is always written together with it
+    currentProject.history = history.toJSON();
+    currentProject.thumbnail = captureThumbnail();
+
+    try {
+        await projectStore.put(currentProject);
+        // Re-rendering would throw away a rename in progress
+        const panelOpen = !document.getElementById('project-panel').classList.contains('hidden');
+        if (panelOpen && !renamingProject) renderProjectList();
+    } catch (e) {
+        console.error('Failed to save project', e);
+    }
+}
+
+/**
+ * Replace the scene with the contents of a project record
+ * @throws {Error} - If the record can't be decoded; the open scene is left as it was
+ */
+function loadMap(project) {
+    // Decode before touching anything: a record this editor can't read
+    // must not become the open project, or the next autosave would
+    // write an empty scene over it
+    const decoded = decodeScene(project.scene || project.voxels || []);
+    const savedHistory = project.history ? migrateHistory(project.history) : null;
+
+    // The shared scene stays in its own project
+    if (collab && collab.ready) leaveCollab('Left the shared session');
+    if (timelapse) closeTimelapse();
+
+    // Loading isn't building: the log is swapped below
+    timelapseLog = null;
+
+    // Clear existing first (soft clear, don't delete save)
+    clearSelection();
+    voxelGrid.clear();
+
+    // Rebuild (records saved before the .voxelflow format hold a bare array)
+    const { voxels: items, world: savedWorld, palette: savedPalette, timelapse: savedTimelapse } = decoded;
+    items.forEach(item => {
+        const { x, y, z } = worldToCell(item);
+        // Straight into the grid - no save/sound
+        voxelGrid.set(x, y, z, voxelValue(item.color, item.material));
+    });
+
+    // Scenes from before the timelapse start their log from what they hold
+    const logOptions = { maxSteps: CONFIG.TIMELAPSE_MAX_STEPS };
+    timelapseLog = savedTimelapse
+        ? new TimelapseLog(savedTimelapse, logOptions)
+        : TimelapseLog.fromGrid(voxelGrid, logOptions);
+
+    // Floor + grid for this scene's world (new projects get the default)
+    applyWorld(savedWorld || defaultWorld());
+
+    // Palette (scenes without one get the default)
+    palette = savedPalette.length > 0 ? savedPalette : [...CONFIG.VOXEL_COLORS];
+    setActiveColor(palette.includes(activeColor) ? activeColor : palette[0]);
+
+    if (savedHistory) {
+        history.load(savedHistory);
+    } else {
+        history.clear();
+    }
+
+    currentProject = project;
+    if (project.id) localStorage.setItem('voxel-active-project', project.id);
+
+    console.log(`📂 Loaded "${project.name}" (${voxelGrid.size} voxels)`);
+}
+
+/**
+ * Render the scene without editor overlays into a small JPEG
+ */
+function captureThumbnail() {
+    if (!thumbnailCanvas) {
+        thumbnailCanvas = document.createElement('canvas');
+        thumbnailCanvas.width = CONFIG.THUMBNAIL_WIDTH;
+        thumbnailCanvas.height = CONFIG.THUMBNAIL_HEIGHT;
+    }
+
+    const showOverlays = hideObjects(editorOverlays());
+    renderer.render(scene, camera);
+
+    // Center-crop the canvas to the thumbnail aspect ratio
+    const source = renderer.domElement;
+    const targetAspect = thumbnailCanvas.width / thumbnailCanvas.height;
+    let sw = source.width;
+    let sh = source.height;
+    if (sw / sh > targetAspect) sw = sh * targetAspect;
+    else sh = sw / targetAspect;
+
+    const ctx = thumbnailCanvas.getContext('2d');
+    ctx.drawImage(
+        source,
+        (source.width - sw) / 2, (source.height - sh) / 2, sw, sh,
+        0, 0, thumbnailCanvas.width, thumbnailCanvas.height
+    );
+
+    showOverlays();
+    return thumbnailCanvas.toDataURL('image/jpeg', 0.7);
+}
+
+// ============================================
+// PROJECTS
+// ============================================
+
+async function setupProjects() {
+    projectStore = await new ProjectStore().open();
+    if (!projectStore.persistent) {
+        showToast('Projects can\'t be stored in this browser - they last until the page is closed', true);
+    }
+    await projectStore.migrateLegacy();
+
+    // list() only has the panel's fields; the scene comes from get()
+    const projects = await projectStore.list();
+    const activeId = localStorage.getItem('voxel-active-project');
+    const entry = projects.find(p => p.id === activeId) || projects[0];
+    const project = entry ? await projectStore.get(entry.id) : await projectStore.create('My Scene');
+
+    // The broken project stays in the list, untouched
+    if (!tryLoadMap(project)) openScratchScene();
+    setupProjectPanel();
+    renderProjectList();
+
+    // Don't lose the last debounced write when the tab goes away
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden' && saveTimeout) flushSave();
+    });
+}
+
+/**
+ * loadMap, reporting a record that can't be opened instead of throwing
+ * @returns {boolean} - Whether the project is open now
+ */
+function tryLoadMap(project) {
+    try {
+        loadMap(project);
+        return true;
+    } catch (err) {
+        console.error(`❌ Could not open "${project.name}":`, err);
+        showToast(`Could not open "${project.name}": ${err.message}`, true);
+        return false;
+    }
+}
+
+/**
+ * An empty scene outside the project store: nothing is saved,
+ * and the last open project stays the one to reopen
+ */
+function openScratchScene(name = 'Scratch') {
+    const world = { ...defaultWorld(), voxelSize: CONFIG.VOXEL_SIZE };
+    loadMap({ name, scene: encodeScene({ name, voxels: [], world }) });
+    setActiveColor(palette[0]);   // Not whatever the last project left selected
+    currentProject = null;
+    renderProjectList();
+}
+
+async function switchProject(id) {
+    if (currentProject && currentProject.id === id) return;
+
+    await flushSave();
+    const project = await projectStore.get(id);
+    if (!project || !tryLoadMap(project)) return;
+    renderProjectList();
+}
+
+async function createProject() {
+    const projects = await projectStore.list();
+    const project = await projectStore.create(`Untitled ${projects.length + 1}`);
+    await switchProject(project.id);
+}
+
+async function deleteProject(id) {
+    await projectStore.delete(id);
+
+    if (currentProject && currentProject.id === id) {
+        // Don't flush the deleted project back into the store
+        clearTimeout(saveTimeout);
+        saveTimeout = null;
+        currentProject = null;
+
+        const [latest] = await projectStore.list();
+        const next = latest ? await projectStore.get(latest.id) : await projectStore.create('My Scene');
+        if (!tryLoadMap(next)) openScratchScene();
+    }
+
+    renderProjectList();
+}
+
+function setupProjectPanel() {
+    const panel = document.getElementById('project-panel');
+
+    document.getElementById('btn-projects').addEventListener('click', () => {
+        // Autosaves only refresh the list while it is open
+        if (!panel.classList.toggle('hidden')) renderProjectList();
+    });
+
+    document.getElementById('btn-new-project').addEventListener('click', createProject);
+    document.getElementById('btn-export').addEventListener('click', exportScene);
+    document.getElementById('btn-export-vox').addEventListener('click', exportVox);
+    document.getElementById('btn-export-mesh').addEventListener('click', exportMesh);
+    const meshFormat = document.getElementById('mesh-format');
+    meshFormat.addEventListener('change', () => {
+        // The floor slab would touch the voxels' bottom faces: not printable
+        document.getElementById('mesh-floor').disabled = meshFormat.value === 'stl';
+    });
+
+    const fileInput = document.getElementById('import-input');
+    document.getElementById('btn-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';  // Allow importing the same file twice
+        if (file) importScene(file);
+    });
+}
+
+// ============================================
+// IMPORT / EXPORT
+// ============================================
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function safeFilename(name) {
+    return name.replace(/[^a-z0-9-_ ]/gi, '_').trim() || 'scene';
+}
+
+function exportScene() {
+    const name = currentProject ? currentProject.name : 'scene';
+    const doc = serializeScene(name);
+    const blob = new Blob([JSON.stringify(doc)], { type: 'application/json' });
+    downloadBlob(blob, safeFilename(name) + FILE_EXTENSION);
+    console.log(`💾 Exported "${name}" (${voxelGrid.size} voxels)`);
+}
+
+function exportVox() {
+    const name = currentProject ? currentProject.name : 'scene';
+    try {
+        const buffer = encodeVox(serializeVoxels(), {
+            voxelSize: CONFIG.VOXEL_SIZE,
+            palette
+        });
+        downloadBlob(new Blob([buffer], { type: 'application/octet-stream' }), safeFilename(name) + '.vox');
+        console.log(`💾 Exported "${name}" as .vox`);
+    } catch (e) {
+        console.error('VOX export failed', e);
+        showToast(`Export failed: ${e.message}`, true);
+    }
+}
+
+/**
+ * Export a greedy-meshed model (GLB, OBJ + MTL or STL)
+ */
+function exportMesh() {
+    const format = document.getElementById('mesh-format').value;
+    const scale = parseFloat(document.getElementById('mesh-scale').value) || 1;
+    // STL has no floor: see mesh-export.js
+    const includeFloor = format !== 'stl' && document.getElementById('mesh-floor').checked;
+    const name = currentProject ? currentProject.name : 'scene';
+    const filename = safeFilename(name);
+
+    if (voxelGrid.size === 0 && !includeFloor) {
+        showToast('Nothing to export', true);
+        return;
+    }
+
+    const quads = buildMesh(serializeVoxels(), {
+        voxelSize: CONFIG.VOXEL_SIZE,
+        scale,
+        // STL must be watertight - see mesh-export.js
+        merge: format !== 'stl',
+        floor: includeFloor ? {
+            min: [floorBounds.minX * CONFIG.VOXEL_SIZE, floorBounds.minZ * CONFIG.VOXEL_SIZE],
+            max: [(floorBounds.maxX + 1) * CONFIG.VOXEL_SIZE, (floorBounds.maxZ + 1) * CONFIG.VOXEL_SIZE],
+            color: CONFIG.FLOOR_COLOR
+        } : null
+    });
+
+    if (format === 'stl') {
+        downloadBlob(new Blob([encodeSTL(quads)], { type: 'model/stl' }), filename + '.stl');
+    } else if (format === 'obj') {
+        const { obj, mtl } = encodeOBJ(quads, { mtlName: filename + '.mtl' });
+        downloadBlob(new Blob([obj], { type: 'text/plain' }), filename + '.obj');
+        downloadBlob(new Blob([mtl], { type: 'text/plain' }), filename + '.mtl');
+    } else {
+        const glb = encodeGLB(quads, { vertexColors: format === 'glb-colors', name });
+        downloadBlob(new Blob([glb], { type: 'model/gltf-binary' }), filename + '.glb');
+    }
+
+    console.log(`💾 Exported "${name}" as ${format} (${quads.length} quads)`);
+}
+
+/**
+ * Read a MagicaVoxel file into a .voxelflow document
+ */
+async function readVoxFile(file) {
+    const name = file.name.replace(/\.[^.]+$/, '');
+    const { voxels: items, palette: voxPalette } = decodeVox(await file.arrayBuffer(), {
+        voxelSize: CONFIG.VOXEL_SIZE,
+        palette,
+        paletteMode: document.getElementById('vox-palette-mode').value
+    });
+
+    const fitted = world.mode === 'fixed' ? worldToFit(items.map(worldToCell)) : world;
+    if (Math.max(fitted.width, fitted.depth, fitted.height) > CONFIG.WORLD_MAX_SIZE) {
+        throw new Error(`The model needs a ${fitted.width}×${fitted.depth}×${fitted.height} world; worlds go up to ${CONFIG.WORLD_MAX_SIZE}`);
+    }
+    if (fitted.width !== world.width || fitted.depth !== world.depth || fitted.height !== world.height) {
+        console.log(`🌐 Import grows the world to ${fitted.width}×${fitted.depth}×${fitted.height}`);
+    }
+
+    return encodeScene({
+        name,
+        voxels: items,
+        world: { ...fitted, voxelSize: CONFIG.VOXEL_SIZE },
+        palette: voxPalette
+    });
+}
+
+/**
+ * The current fixed world, grown where needed to hold every cell
+ * (bounds stay centered on the origin, see worldCellBounds)
+ */
+function worldToFit(cells) {
+    const extent = { minX: 0, maxX: 0, minZ: 0, maxZ: 0, maxY: 0 };
+    cells.forEach(({ x, y, z }) => {
+        extent.minX = Math.min(extent.minX, x);
+        extent.maxX = Math.max(extent.maxX, x);
+        extent.minZ = Math.min(extent.minZ, z);
+        extent.maxZ = Math.max(extent.maxZ, z);
+        extent.maxY = Math.max(extent.maxY, y);
+    });
+
+    // A width of 2k covers cells -k..k-1
+    const span = (min, max) => 2 * Math.max(-min, max + 1);
+    return {
+        ...world,
+        width: Math.max(world.width, span(extent.minX, extent.maxX)),
+        depth: Math.max(world.depth, span(extent.minZ, extent.maxZ)),
+        height: Math.max(world.height, extent.maxY + 1)
+    };
+}
+
+/**
+ * Read a .voxelflow file (or an old `voxel-map` JSON array)
+ */
+async function readSceneFile(file) {
+    const data = JSON.parse(await file.text());
+    const scene = migrateScene(data);
+    // Bare legacy arrays carry no name of their own
+    if (Array.isArray(data)) scene.name = file.name.replace(/\.[^.]+$/, '');
+    return scene;
+}
+
+/**
+ * Import a scene file as a new project
+ */
+async function importScene(file) {
+    try {
+        const isVox = file.name.toLowerCase().endsWith('.vox');
+        const scene = isVox ? await readVoxFile(file) : await readSceneFile(file);
+        const decoded = decodeScene(scene);
+        const name = scene.name;
+
+        const project = await projectStore.create(name, {
+            scene,
+            voxelCount: decoded.voxels.length
+        });
+        await switchProject(project.id);
+
+        const outside = countVoxelsOutsideWorld();
+        if (outside > 0) {
+            showToast(`Imported "${name}" - ${outside} voxel${outside === 1 ? ' is' : 's are'} outside the world bounds`, true);
+        } else {
+            showToast(`Imported "${name}"`);
+        }
+    } catch (e) {
+        console.error('Import failed', e);
+        showToast(`Import failed: ${e.message}`, true);
+    }
+}
+
+let toastTimeout;
+function showToast(message, isError = false) {
+    const toast = document.getElementById('toast');
+    toast.textContent = message;
+    toast.className = 'visible' + (isError ? ' error' : '');
+    clearTimeout(toastTimeout);
+    toastTimeout = setTimeout(() => toast.className = '', 3000);
+}
+
+async function renderProjectList() {
+    const list = document.getElementById('project-list');
+    if (!list || !projectStore) return;
+
+    const projects = await projectStore.list();
+    list.innerHTML = '';
+    renamingProject = false;   // Any rename input is gone now
+
+    projects.forEach(project => {
+        const isActive = currentProject && currentProject.id === project.id;
+
+        const card = document.createElement('div');
+        card.className = 'project-card' + (isActive ? ' active' : '');
+
+        const thumb = document.createElement('div');
+        thumb.className = 'project-thumb';
+        if (project.thumbnail) thumb.style.backgroundImage = `url(${project.thumbnail})`;
+
+        const info = document.createElement('div');
+        info.className = 'project-info';
+        const name = document.createElement('span');
+        name.className = 'project-name';
+        name.textContent = project.name;
+        const meta = document.createElement('span');
+        meta.className = 'project-meta';
+        meta.textContent = `${project.voxelCount} voxel${project.voxelCount === 1 ? '' : 's'}`;
+        info.append(name, meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'project-actions';
+        actions.append(
+            createProjectAction('✏️', 'Rename', () => startRename(project, name)),
+            createProjectAction('⧉', 'Duplicate', async () => {
+                if (isActive) await flushSave();
+                await projectStore.duplicate(project.id);
+                renderProjectList();
+            }),
+            createConfirmAction('🗑️', 'Delete', () => deleteProject(project.id))
+        );
+
+        card.append(thumb, info, actions);
+        card.addEventListener('click', () => switchProject(project.id));
+        list.appendChild(card);
+    });
+}
+
+function createProjectAction(icon, title, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'project-action';
+    btn.title = title;
+    btn.textContent = icon;
+    btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+    });
+    return btn;
+}
+
+// Same double-tap confirmation as the reset button
+function createConfirmAction(icon, title, onConfirm) {
+    let confirmTimeout;
+    const btn = createProjectAction(icon, title, () => {
+        if (btn.classList.contains('confirming')) {
+            clearTimeout(confirmTimeout);
+            onConfirm();
+        } else {
+            btn.classList.add('confirming');
+            btn.textContent = '❓';
+            confirmTimeout = setTimeout(() => {
+                btn.classList.remove('confirming');
+                btn.textContent = icon;
+            }, 3000);
+        }
+    });
+    return btn;
+}
+
+function startRename(project, nameEl) {
+    const input = document.createElement('input');
+    input.className = 'project-rename';
+    input.value = project.name;
+    input.addEventListener('click', e => e.stopPropagation());
+
+    let done = false;
+    renamingProject = true;
+    const commit = async () => {
+        if (done) return;
+        done = true;
+
+        const name = input.value.trim();
+        if (name && name !== project.name) {
+            if (currentProject && currentProject.id === project.id) {
+                // Through the autosave, so a pending save can't write the old name back
+                currentProject.name = name;
+                await flushSave();
+            } else {
+                await projectStore.rename(project.id, name);
+            }
+        }
+        renamingProject = false;
+        renderProjectList();
+    };
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') {
+            done = true;
+            renamingProject = false;
+            renderProjectList();
+        }
+    });
+    input.addEventListener('blur', commit);
+
+    nameEl.replaceWith(input);
+    input.focus();
+    input.select();
+}
+
+function clearScene(skipConfirm = false) {
+    // Deprecated native confirm - relying on UI double-tap 
+    // if (!skipConfirm && !confirm('Clear all blocks?')) return;
+
+    history.record('Clear', voxelGrid.cells().map(({ x, y, z, value }) => ({
+        x, y, z,
+        before: value,
+        after: null
+    })));
+
+    voxelGrid.clear();
+    saveMap(); // Save empty state
+
+    if (audioManager) audioManager.playRemove();
+}
+
+/**
+ * Keep derived state in sync with the grid
+ */
+function onGridChange(event) {
+    toolPreview = null; // Re-plan against the new contents
+    structureDirty = true;
+
+    if (event.type === 'clear') {
+        highestCellY = -1;
+        fallingBodies = [];
+    } else if (fallingBodies.length > 0) {
+        dropFromFallingBodies(cellKey(event.x, event.y, event.z));
+    }
+
+    if (event.type === 'set') {
+        highestCellY = Math.max(highestCellY, event.y);
+        // Expanding worlds: floor is rebuilt once per frame at most (see animate)
+        if (world.mode !== 'fixed' && floorBounds && growFloorBounds(floorBounds, event.x, event.z)) {
+            floorDirty = true;
+        }
+    }
+
+    voxelCountEl.textContent = voxelGrid.size;
+}
+
+// ============================================
+// UNDO / REDO
+// ============================================
+
+/**
+ * Write cell states coming from the history stack into the grid
+ * @param {Array} changes - [{ x, y, z, value }] where value is { color } or null
+ */
+function applyHistoryChanges(changes) {
+    changes.forEach(({ x, y, z, value }) => voxelGrid.set(x, y, z, value));
+}
+
+/**
+ * Swap a palette color for an undo / redo of a palette edit. The
+ * active color follows it when it was the one swapped out.
+ */
+function applyHistoryPalette(from, to) {
+    const index = palette.indexOf(from);
+    if (index === -1 || palette.includes(to)) return;
+
+    palette[index] = to;
+    if (activeColor === from) setActiveColor(to);
+    else renderPalette();
+}
+
+/**
+ * History saved before integer cells stored world-space centers.
+ * Convert those entries to cells so old undo steps keep working.
+ */
+function migrateHistory(data) {
+    if (data.version >= HISTORY_VERSION) return data;
+
+    const toCells = entries => (entries || []).map(entry => ({
+        ...entry,
+        changes: entry.changes.map(change => ({ ...change, ...worldToCell(change) }))
+    }));
+    return { version: HISTORY_VERSION, undo: toCells(data.undo), redo: toCells(data.redo) };
+}
+
+function undo() {
+    const entry = history.undo();
+    if (!entry) return;
+
+    if (audioManager) audioManager.playRemove();
+    saveMap();
+    console.log(`↩️ Undo: ${entry.label}`);
+}
+
+function redo() {
+    const entry = history.redo();
+    if (!entry) return;
+
+    if (audioManager) audioManager.playPlace();
+    saveMap();
+    console.log(`↪️ Redo: ${entry.label}`);
+}
+
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('btn-undo');
+    const redoBtn = document.getElementById('btn-redo');
+    if (undoBtn) undoBtn.disabled = !history.canUndo;
+    if (redoBtn) redoBtn.disabled = !history.canRedo;
+}
+
+// ============================================
+// GRAVITY
+// ============================================
+
+function setupGravitySettings() {
+    const popover = document.getElementById('gravity-popover');
+    const mode = document.getElementById('gravity-mode');
+    const support = document.getElementById('gravity-support');
+
+    mode.value = CONFIG.GRAVITY_MODE;
+    support.value = String(CONFIG.SUPPORT_STRENGTH);
+    support.disabled = CONFIG.GRAVITY_MODE !== 'structural';
+
+    document.getElementById('btn-gravity-settings').addEventListener('click', () => {
+        popover.classList.toggle('hidden');
+    });
+    mode.addEventListener('change', () => {
+        CONFIG.GRAVITY_MODE = mode.value;
+        support.disabled = mode.value !== 'structural';
+        if (history) history.seal();
+        structureDirty = true;
+        console.log('Gravity mode:', CONFIG.GRAVITY_MODE);
+    });
+    support.addEventListener('change', () => {
+        CONFIG.SUPPORT_STRENGTH = Number(support.value);  // "Infinity" parses too
+        if (history) history.seal();
+        structureDirty = true;
+    });
+}
+
+/**
+ * Update Gravity - Makes unsupported blocks fall
+ */
+function applyGravity() {
+    if (!CONFIG.GRAVITY_ENABLED) return;
+    if (CONFIG.GRAVITY_MODE === 'structural') {
+        applyStructuralGravity();
+        return;
+    }
+
+    // Sort voxels by Y (ascending) to process bottom-up
+    // This ensures we drop the lowest unsupported block first
+    // (Actually, if we drop bottom blocks, top ones might float for 1 frame, which is fine)
+    // Wait, if we process bottom-up:
+    // Y=2 unsupported. Y=3 supported by Y=2.
+    // If we move Y=2 down to Y=1... Y=3 becomes unsupported next frame.
+    // This creates a cascade over frames. Good.
+
+    // Snapshot to iterate because we modify the grid
+    const changes = [];
+
+    applyingGravity = true;
+    try {
+        voxelGrid.cells().forEach(({ x, y, z, value }) => {
+            // If on ground, ignore
+            if (y <= 0) return;
+
+            // Check below
+            if (!voxelGrid.has(x, y - 1, z)) {
+                // FALL!
+                voxelGrid.delete(x, y, z);
+                voxelGrid.set(x, y - 1, z, value);
+
+                changes.push(
+                    { x, y, z, before: value, after: null },
+                    { x, y: y - 1, z, before: null, after: value }
+                );
+            }
+        });
+    } finally {
+        applyingGravity = false;
+    }
+
+    if (changes.length > 0) {
+        // Falls undo together with the edit that caused them
+        history.amend(changes, 'Gravity');
+        saveMap(); // Save state if things moved
+    }
+}
+
+/**
+ * Structural mode: clusters that lost their support drop as
+ * rigid bodies (see voxel-physics.js). The grid takes the
+ * landing positions at once; fallingBodies only animates them.
+ */
+function applyStructuralGravity() {
+    // Re-plan only after edits, and once everything has landed
+    if (!structureDirty || fallingBodies.length > 0) return;
+    structureDirty = false;
+
+    const falls = planFalls(voxelGrid, { supportStrength: CONFIG.SUPPORT_STRENGTH });
+    if (falls.length === 0) return;
+
+    const changes = [];
+    applyingGravity = true;
+    try {
+        falls.forEach(({ cells }) => cells.forEach(({ x, y, z, value }) => {
+            voxelGrid.delete(x, y, z);
+            changes.push({ x, y, z, before: value, after: null });
+        }));
+        falls.forEach(({ cells, distance }) => cells.forEach(({ x, y, z, value }) => {
+            voxelGrid.set(x, y - distance, z, value);
+            changes.push({ x, y: y - distance, z, before: null, after: value });
+        }));
+    } finally {
+        applyingGravity = false;
+    }
+
+    // Falls undo together with the edit that caused them
+    history.amend(changes, 'Gravity');
+    saveMap();
+
+    const startedAt = performance.now();
+    fallingBodies = falls.map(({ cells, distance }) => ({
+        cells: new Map(cells.map(({ x, y, z, value }) => {
+            const landed = { x, y: y - distance, z };
+            return [cellKey(landed.x, landed.y, landed.z), { ...landed, color: value.color }];
+        })),
+        distance,
+        startedAt,
+        landed: false
+    }));
+    updateFallingBodies(startedAt);
+    console.log(`🧱 ${falls.length} unsupported cluster${falls.length === 1 ? '' : 's'} falling`);
+}
+
+/**
+ * Draw falling bodies above their landing cells: free fall,
+ * then a short bounce when they hit
+ */
+function updateFallingBodies(now) {
+    if (fallingBodies.length === 0) return;
+
+    const size = CONFIG.VOXEL_SIZE;
+    const g = CONFIG.FALL_ACCELERATION;
+
+    fallingBodies = fallingBodies.filter(body => {
+        const t = (now - body.startedAt) / 1000;
+        const impact = Math.sqrt(2 * body.distance / g);
+        let height = body.distance - 0.5 * g * t * t;
+
+        if (t >= impact) {
+            if (!body.landed) {
+                body.landed = true;
+                landingEffects(body);
+            }
+            const since = (t - impact) * 1000;
+            const bounce = Math.min(CONFIG.FALL_BOUNCE, body.distance * 0.05);
+            height = since < CONFIG.FALL_BOUNCE_TIME ? bounce * Math.sin(Math.PI * since / CONFIG.FALL_BOUNCE_TIME) : 0;
+        }
+
+        body.cells.forEach(({ x, y, z }, key) => {
+            const position = cellCenter(x, y, z);
+            position.y += height * size;
+            voxelRenderer.setPosition(key, position);
+        });
+
+        return height > 0 || !body.landed;
+    });
+
+    // Bodies that came to rest may leave new overhangs behind
+    if (fallingBodies.length === 0) structureDirty = true;
+}
+
+function landingEffects(body) {
+    audioManager.playRemove();
+
+    // A puff under the lowest few voxels
+    const cells = [...body.cells.values()];
+    const bottom = cells.reduce((y, cell) => Math.min(y, cell.y), Infinity);
+    cells.filter(cell => cell.y === bottom).slice(0, 6).forEach(cell => {
+        const position = cellCenter(cell.x, cell.y, cell.z);
+        position.y -= CONFIG.VOXEL_SIZE / 2;
+        particleSystem.spawn(position, cell.color, 3);
+    });
+}
+
+/**
+ * A falling voxel was edited: stop animating it, the renderer
+ * already shows its new state
+ */
+function dropFromFallingBodies(key) {
+    fallingBodies.forEach(body => body.cells.delete(key));
+}
+
+/**
+ * Put every falling body on its landing cells right away
+ */
+function settleFallingBodies() {
+    fallingBodies.forEach(body => body.cells.forEach(({ x, y, z }, key) => {
+        voxelRenderer.setPosition(key, cellCenter(x, y, z));
+    }));
+    fallingBodies = [];
+}
+
+// ============================================
+// HAND RECORDING / REPLAY
+// ============================================
+
+/*
+   ⏺️ records what MediaPipe reports on every webcam frame and
+   downloads it as a .handrec.json file when stopped. 🎞️ plays
+   a recording back through the same pipeline in place of the
+   webcam, so a pinch, dwell or stacking problem can be attached
+   to a bug report and reproduced exactly.
+
+   Recordings also store the camera and the settings that decide
+   what a hand does (control profile, pinch, filter and dwell
+   values, depth cursor); replays use them until they stop.
+
+   For headless runs open app.html?replay=<url>: the camera and
+   model are never requested, the replay starts on an empty
+   scratch scene that isn't saved, and body[data-replay] turns
+   from "playing" to "done" when the last frame has been
+   processed. window.voxelflowReplay.cells then lists what the
+   scene holds.
+*/
+
+function setupRecording() {
+    handRecorder = new HandRecorder();
+
+    document.getElementById('btn-record').addEventListener('click', toggleRecording);
+
+    const input = document.getElementById('replay-input');
+    document.getElementById('btn-replay').addEventListener('click', () => {
+        if (replaySource) stopReplay(false);
+        else input.click();
+    });
+    input.addEventListener('change', async () => {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+        try {
+            startReplay(JSON.parse(await file.text()));
+        } catch (err) {
+            console.error('❌ Replay failed:', err);
+            showToast(`Replay failed: ${err.message}`, true);
+        }
+    });
+}
+
+function toggleRecording() {
+    const button = document.getElementById('btn-record');
+
+    if (handRecorder.active) {
+        const recording = handRecorder.stop();
+        button.classList.remove('active');
+        const stamp = recording.createdAt.replace(/[:.]/g, '-');
+        downloadBlob(new Blob([JSON.stringify(recording)], { type: 'application/json' }),
+            `hands-${stamp}${RECORDING_EXTENSION}`);
+        showToast(`Recorded ${recording.frames.length} frames`);
+        console.log(`⏹️ Recording stopped (${recording.frames.length} frames)`);
+        return;
+    }
+
+    if (!handLandmarker || replaySource) {
+        showToast('Recording needs live hand tracking', true);
+        return;
+    }
+    handRecorder.start({
+        camera: { position: camera.position.toArray(), target: controls.target.toArray() },
+        settings: recordingSettings()
+    });
+    button.classList.add('active');
+    console.log('⏺️ Recording hand tracking');
+}
+
+/**
+ * Settings that change what the same hand frames do
+ */
+function recordingSettings() {
+    return {
+        controls: controlProfile,
+        tracking: { ...currentTrackingSettings(), filterBeta: CONFIG.FILTER_BETA, ghostBeta: CONFIG.GHOST_BETA },
+        depthCursor,
+        depthRange: { ...depthRange }
+    };
+}
+
+/**
+ * @param {Object} settings - From recordingSettings, or a recording file
+ */
+function applyRecordingSettings({ controls, tracking, depthCursor: depth, depthRange: range }) {
+    // Profiles from a file are checked; our own are put back as they were
+    if (controls) controlProfile = gestureProfiles.profiles.includes(controls) ? controls : normalizeProfile(controls);
+    if (tracking) {
+        if (Number.isFinite(tracking.filterBeta)) CONFIG.FILTER_BETA = tracking.filterBeta;
+        if (Number.isFinite(tracking.ghostBeta)) CONFIG.GHOST_BETA = tracking.ghostBeta;
+        applyTrackingSettings(tracking);
+    }
+    if (range && Number.isFinite(range.near) && Number.isFinite(range.far) && range.near !== range.far) {
+        depthRange = { near: range.near, far: range.far };
+    }
+    if (typeof depth === 'boolean') setDepthCursor(depth);
+}
+
+/**
+ * Feed a recording to the hand pipeline instead of the webcam
+ * @param {Object} recording - Parsed .handrec.json document
+ * @throws {Error} - If the document isn't a playable recording
+ */
+function startReplay(recording) {
+    validateRecording(recording);
+    if (handRecorder.active) toggleRecording();
+    if (replaySource) stopReplay(false);
+
+    if (recording.camera) {
+        camera.position.fromArray(recording.camera.position);
+        controls.target.fromArray(recording.camera.target);
+        controls.update();
+    }
+    if (recording.settings) {
+        replayRestore = recordingSettings();
+        applyRecordingSettings(recording.settings);
+    }
+
+    // Start from a clean pipeline, as if no hand had been seen
+    processHandFrame({ landmarks: [] }, performance.now());
+    replaySource = new ReplaySource(recording);
+    document.getElementById('btn-replay').classList.add('active');
+    document.body.dataset.replay = 'playing';
+    showToast(`Replaying ${recording.frames.length} frames`);
+    console.log(`🎞️ Replaying ${recording.frames.length} frames`);
+}
+
+/**
+ * @param {boolean} finished - Played to the end (rather than stopped by the user)
+ */
+function stopReplay(finished) {
+    replaySource = null;
+    lastVideoTime = -1;
+    processHandFrame({ landmarks: [] }, performance.now());
+    if (replayRestore) {
+        applyRecordingSettings(replayRestore);
+        replayRestore = null;
+    }
+
+    // For headless runs to check: [x, y, z, color, material]
+    window.voxelflowReplay = {
+        cells: voxelGrid.cells()
+            .map(({ x, y, z, value }) => [x, y, z, colorToHex(value.color), value.material || DEFAULT_MATERIAL])
+            .sort((a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2])
+    };
+
+    document.getElementById('btn-replay').classList.remove('active');
+    document.body.dataset.replay = finished ? 'done' : 'stopped';
+    showToast(finished ? 'Replay finished' : 'Replay stopped');
+    console.log(`🎞️ Replay ${finished ? 'finished' : 'stopped'}`);
+}
+
+async function loadReplayFromUrl(url) {
+    document.getElementById('loading-text').textContent = 'Loading hand recording...';
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        startReplay(await response.json());
+    } catch (error) {
+        console.error('❌ Replay failed:', error);
+        document.getElementById('loading-text').textContent = 'Error: could not replay ' + url + ' - ' + error.message;
+        document.body.dataset.replay = 'error';
+        throw error;
+    }
+}
+
+// ============================================
+// COLLABORATION
+// ============================================
+
+/*
+   👥 joins a room on a collab-relay.mjs server. The first one
+   in shares their open scene; everyone after gets it as a new
+   "<room> (shared)" project.
+
+   Every local grid change (edits, undo, gravity) is batched
+   per task and sent with the value it replaced. The relay
+   rejects changes to cells someone else changed first and
+   sends their value back, so all editors end up with the same
+   scene. Remote changes skip the local undo history.
+
+   Participants see each other's cursor as a box in their color.
+*/
+
+const COLLAB_STORAGE_KEY = 'voxel-collab';
+
+function setupCollab() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(COLLAB_STORAGE_KEY)) || {};
+    } catch (err) {
+        console.warn('Ignoring unreadable collaboration settings', err);
+    }
+    document.getElementById('collab-url').value =
+        saved.url || `ws://${window.location.hostname || 'localhost'}:${DEFAULT_RELAY_PORT}`;
+    document.getElementById('collab-room').value = saved.room || '';
+    document.getElementById('collab-name').value = saved.name || '';
+
+    const dialog = document.getElementById('collab-dialog');
+    document.getElementById('btn-collab').addEventListener('click', () => {
+        renderCollabDialog();
+        dialog.classList.remove('hidden');
+    });
+    document.getElementById('btn-collab-close').addEventListener('click', () => dialog.classList.add('hidden'));
+    document.getElementById('btn-collab-leave').addEventListener('click', () => leaveCollab('Left the shared session'));
+    document.getElementById('btn-collab-join').addEventListener('click', () => {
+        const settings = {
+            url: document.getElementById('collab-url').value.trim(),
+            room: document.getElementById('collab-room').value.trim(),
+            name: document.getElementById('collab-name').value.trim() || 'Guest'
+        };
+        if (!settings.url || !settings.room) {
+            renderCollabDialog('Enter the relay address and a room name.');
+            return;
+        }
+        localStorage.setItem(COLLAB_STORAGE_KEY, JSON.stringify(settings));
+        joinCollab(settings);
+    });
+
+    voxelGrid.subscribe(onLocalGridChange);
+}
+
+function renderCollabDialog(message) {
+    const connected = !!collab && collab.ready;
+    document.getElementById('collab-status').textContent = message || (connected
+        ? `In "${collab.room}" as ${collab.name}.`
+        : collab
+            ? 'Connecting...'
+            : 'Run "node collab-relay.mjs" on one machine, then join the same room from every editor.');
+
+    ['collab-url', 'collab-room', 'collab-name'].forEach(id => {
+        document.getElementById(id).disabled = !!collab;
+    });
+    document.getElementById('btn-collab-join').hidden = !!collab;
+    document.getElementById('btn-collab-leave').hidden = !collab;
+    document.getElementById('btn-collab').classList.toggle('active', connected);
+
+    const list = document.getElementById('collab-peers');
+    list.innerHTML = '';
+    if (!connected) return;
+    [{ name: `${collab.name} (you)`, color: collab.color }, ...collab.peers.values()].forEach(peer => {
+        const item = document.createElement('li');
+        item.innerHTML = `<span class="swatch" style="background:${peer.color}"></span>`;
+        item.append(peer.name);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Connect to a relay and enter a room
+ * @param {Object} settings - { url, room, name }
+ */
+async function joinCollab({ url, room, name }) {
+    if (collab) leaveCollab();
+
+    const client = new CollabClient();
+    const session = { client, room, name, color: null, peers: new Map(), ready: false, queued: [] };
+    collab = session;
+    client.subscribe(event => onCollabEvent(session, event));
+    renderCollabDialog();
+
+    try {
+        const welcome = await client.connect(url, {
+            room,
+            name,
+            snapshot: {
+                name: currentProject ? currentProject.name : room,
+                world: { ...world, voxelSize: CONFIG.VOXEL_SIZE },
+                palette,
+                cells: voxelGrid.cells().map(({ x, y, z, value }) => [x, y, z, value])
+            }
+        });
+        if (collab !== session) return;  // Left while connecting
+
+        session.color = welcome.color;
+        welcome.peers.forEach(peer => addPeer(session, peer));
+        if (!welcome.seeded) await openSharedScene(room, welcome.scene);
+
+        session.ready = true;
+        session.queued.splice(0).forEach(event => onCollabEvent(session, event));
+        showToast(welcome.seeded ? `Sharing this scene in "${room}"` : `Joined "${room}"`);
+        console.log(`👥 ${welcome.seeded ? 'Hosting' : 'Joined'} "${room}" as ${name}`);
+    } catch (err) {
+        console.error('❌ Could not join shared session:', err);
+        // The socket may be open already (the scene failed to load)
+        client.close();
+        if (collab === session) {
+            collab = null;
+            session.peers.forEach(removePeerCursor);
+        }
+        showToast(`Could not join: ${err.message}`, true);
+    }
+    renderCollabDialog();
+}
+
+/**
+ * The room's scene as a new project, opened
+ */
+async function openSharedScene(room, shared) {
+    const voxels = shared.cells.map(([x, y, z, value]) => {
+        const center = cellCenter(x, y, z);
+        return { x: center.x, y: center.y, z: center.z, color: value.color, material: value.material };
+    });
+    const scene = encodeScene({
+        name: `${room} (shared)`,
+        voxels,
+        world: shared.world || { ...defaultWorld(), voxelSize: CONFIG.VOXEL_SIZE },
+        palette: shared.palette || []
+    });
+
+    const project = await projectStore.create(scene.name, { scene, voxelCount: voxels.length });
+    await switchProject(project.id);
+}
+
+/**
+ * @param {string} [message] - Toast to show
+ */
+function leaveCollab(message) {
+    if (!collab) return;
+
+    const session = collab;
+    collab = null;
+    collabOutgoing = null;
+    collabCursorSent = { key: null, time: 0 };
+    session.peers.forEach(removePeerCursor);
+    session.client.close();
+
+    if (message) showToast(message);
+    renderCollabDialog();
+    console.log(`👥 Left "${session.room}"`);
+}
+
+function onCollabEvent(session, event) {
+    if (collab !== session) return;
+    if (!session.ready) {
+        session.queued.push(event);
+        return;
+    }
+
+    const peerName = id => session.peers.get(id)?.name || 'Someone';
+
+    switch (event.type) {
+        case 'edit':
+            applyRemoteChanges(event.changes);
+            break;
+        case 'ack':
+            if (event.rejected.length > 0) {
+                applyRemoteChanges(event.rejected);
+                const count = event.rejected.length;
+                showToast(`${count} cell${count === 1 ? ' was' : 's were'} changed by someone else first`, true);
+            }
+            break;
+        case 'clear':
+            applyingRemote = true;
+            try {
+                voxelGrid.clear();
+            } finally {
+                applyingRemote = false;
+            }
+            saveMap();
+            showToast(`${peerName(event.from)} cleared the scene`);
+            break;
+        case 'join':
+            addPeer(session, event.peer);
+            showToast(`${event.peer.name} joined`);
+            renderCollabDialog();
+            break;
+        case 'leave': {
+            const peer = session.peers.get(event.id);
+            if (!peer) break;
+            removePeerCursor(peer);
+            session.peers.delete(event.id);
+            showToast(`${peer.name} left`);
+            renderCollabDialog();
+            break;
+        }
+        case 'cursor':
+            setPeerCursor(session.peers.get(event.from), event.cell);
+            break;
+        case 'error':
+            console.warn('Relay error:', event.message);
+            showToast(`Relay: ${event.message}`, true);
+            break;
+        case 'close':
+            leaveCollab('Disconnected from the shared session');
+            break;
+    }
+}
+
+/**
+ * Write relay changes into the grid without sending them back
+ * @param {Array} changes - [{ x, y, z, value }]
+ */
+function applyRemoteChanges(changes) {
+    applyingRemote = true;
+    try {
+        changes.forEach(({ x, y, z, value }) => voxelGrid.set(x, y, z, value));
+    } finally {
+        applyingRemote = false;
+    }
+    saveMap();
+}
+
+function sameVoxel(a, b) {
+    if (!a || !b) return a === b;
+    return a.color === b.color && (a.material || null) === (b.material || null);
+}
+
+/**
+ * Grid listener: batch local changes for the relay
+ */
+function onLocalGridChange(event) {
+    if (!collab || !collab.ready || applyingRemote) return;
+
+    if (event.type === 'clear') {
+        collabOutgoing = null;
+        collab.client.clear();
+        return;
+    }
+
+    if (!collabOutgoing) {
+        collabOutgoing = new Map();
+        queueMicrotask(flushCollabOutgoing);
+    }
+
+    const key = cellKey(event.x, event.y, event.z);
+    const after = event.type === 'set' ? event.value : null;
+    const pending = collabOutgoing.get(key);
+    if (pending) pending.after = after;
+    else collabOutgoing.set(key, { x: event.x, y: event.y, z: event.z, before: event.previous ?? null, after });
+}
+
+function flushCollabOutgoing() {
+    if (!collabOutgoing) return;
+
+    const changes = [...collabOutgoing.values()].filter(change => !sameVoxel(change.before, change.after));
+    collabOutgoing = null;
+    if (collab && collab.ready && changes.length > 0) collab.client.edit(changes);
+}
+
+/**
+ * Tell the others where our cursor is (throttled, only when it moves)
+ */
+function updateCollabCursor(now) {
+    if (!collab || !collab.ready) return;
+
+    const cell = ghostVoxel.visible || toolGhost.visible ? worldToCell(ghostPosition) : null;
+    const key = cell ? cellKey(cell.x, cell.y, cell.z) : null;
+    if (key === collabCursorSent.key || now - collabCursorSent.time < CONFIG.COLLAB_CURSOR_INTERVAL) return;
+
+    collabCursorSent = { key, time: now };
+    collab.client.cursor(cell ? [cell.x, cell.y, cell.z] : null);
+}
+
+/**
+ * Track a participant and give them a cursor box and name tag in their color
+ */
+function addPeer(session, peer) {
     const size = CONFIG.VOXEL_SIZE;
+    const color = new THREE.Color(peer.color);
+    const geometry = new THREE.BoxGeometry(size, size, size);
+
+    const cursor = new THREE.Group();
+    cursor.add(new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+        color,
+        transparent: true,
+        opacity: 0.25,
+        depthWrite: false
+    })));
+    cursor.add(new THREE.LineSegments(new THREE.EdgesGeometry(geometry), new THREE.LineBasicMaterial({ color })));
+
+    // Name tag
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    ctx.font = 'bold 32px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = peer.color;
+    ctx.fillText(peer.name, 128, 32);
+    const label = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        depthTest: false,
+        transparent: true
+    }));
+    label.scale.set(size * 2, size * 0.5, 1);
+    label.position.y = size;
+    cursor.add(label);
+
+    cursor.visible = false;
+    scene.add(cursor);
+
+    const entry = { id: peer.id, name: peer.name, color: peer.color, cursor };
+    session.peers.set(peer.id, entry);
+    setPeerCursor(entry, peer.cell);
+}
+
+/**
+ * @param {Array|null} cell - [x, y, z], null hides the cursor
+ */
+function setPeerCursor(peer, cell) {
+    if (!peer) return;
+    peer.cursor.visible = !!cell;
+    if (cell) peer.cursor.position.copy(cellCenter(cell[0], cell[1], cell[2]));
+}
+
+function removePeerCursor(peer) {
+    scene.remove(peer.cursor);
+    peer.cursor.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) {
+            if (object.material.map) object.material.map.dispose();
+            object.material.dispose();
+        }
+    });
+}
+
+// ============================================
+// TIMELAPSE
+// ============================================
+
+/*
+   Every grid change of the open scene - places, removals,
+   shapes, undo, gravity, other people's edits - goes into
+   timelapseLog with its time, one step per edit, and the log
+   is saved inside the scene (see FORMAT.md). Falls are folded
+   into the edit that caused them. Loading a scene isn't logged.
+
+   🎬 opens the timelapse bar. Playback rebuilds the scene in a
+   grid of its own, drawn in place of the real one, so nothing
+   is edited, saved or sent while it plays. Editing input is
+   ignored until the bar is closed; the camera still orbits.
+
+   Export WebM plays from the start and records the canvas
+   with MediaRecorder.
+*/
+
+function setupTimelapse() {
+    voxelGrid.subscribe(event => {
+        if (!timelapseLog) return;
+        if (applyingGravity) timelapseLog.amend(event);
+        else timelapseLog.record(event);
+    });
+
+    const speed = document.getElementById('timelapse-speed');
+    speed.value = String(CONFIG.TIMELAPSE_SPEED);
+    speed.addEventListener('change', () => {
+        if (timelapse) timelapse.speed = Number(speed.value);
+    });
+
+    document.getElementById('btn-timelapse').addEventListener('click', () => {
+        if (timelapse) closeTimelapse();
+        else openTimelapse();
+    });
+    document.getElementById('btn-timelapse-play').addEventListener('click', () => setTimelapsePlaying(!timelapse.playing));
+    document.getElementById('btn-timelapse-close').addEventListener('click', closeTimelapse);
+    document.getElementById('btn-timelapse-export').addEventListener('click', () => {
+        if (timelapse.recording) stopTimelapseExport(false);
+        else exportTimelapse();
+    });
+    document.getElementById('timelapse-scrubber').addEventListener('input', (e) => {
+        setTimelapsePlaying(false);
+        seekTimelapse(Number(e.target.value));
+    });
+}
+
+function openTimelapse() {
+    if (!timelapseLog || timelapseLog.length === 0) {
+        showToast('Nothing to play back yet - the timelapse starts with your next edit', true);
+        return;
+    }
+
+    // No cursor, previews or half-done gestures in the picture
+    processHandFrame({ landmarks: [] }, performance.now());
+    cancelTouchPress();
+    settleFallingBodies();
+    const showOverlays = hideObjects(editorOverlays());
+
+    const grid = new VoxelGrid();
+    const playbackRenderer = new VoxelRenderer(scene, { voxelSize: CONFIG.VOXEL_SIZE });
+    const detach = playbackRenderer.attach(grid);
+    voxelRenderer.setVisible(false);
+
+    timelapse = {
+        player: new TimelapsePlayer(timelapseLog, grid, { maxGap: CONFIG.TIMELAPSE_MAX_GAP }),
+        renderer: playbackRenderer,
+        detach,
+        showOverlays,
+        playing: false,
+        time: 0,            // Playback ms, see TimelapsePlayer
+        lastFrame: 0,
+        speed: Number(document.getElementById('timelapse-speed').value),
+        recording: null     // { recorder, keep } while exporting
+    };
+
+    document.getElementById('timelapse-scrubber').max = timelapse.player.length;
+    document.getElementById('timelapse-bar').classList.remove('hidden');
+    document.getElementById('btn-timelapse').classList.add('active');
+    document.body.classList.add('timelapse');
+    setTimelapsePlaying(true);
+    console.log(`🎬 Timelapse: ${timelapse.player.length} steps`);
+}
+
+function closeTimelapse() {
+    if (timelapse.recording) stopTimelapseExport(false);
+
+    timelapse.detach();
+    timelapse.renderer.dispose();
+    voxelRenderer.setVisible(true);
+    timelapse.showOverlays();
+    timelapse = null;
+
+    document.getElementById('timelapse-bar').classList.add('hidden');
+    document.getElementById('btn-timelapse').classList.remove('active');
+    document.body.classList.remove('timelapse');
+    console.log('🎬 Timelapse closed');
+}
+
+function setTimelapsePlaying(playing) {
+    const { player } = timelapse;
+    // Play at the end starts over
+    if (playing && player.index >= player.length) seekTimelapse(0);
+
+    timelapse.playing = playing;
+    timelapse.lastFrame = performance.now();
+    document.getElementById('btn-timelapse-play').textContent = playing ? '⏸' : '▶';
+}
+
+/**
+ * @param {number} count - Steps applied, 0 shows the scene as the log found it
+ */
+function seekTimelapse(count) {
+    timelapse.player.seek(count);
+    timelapse.time = timelapse.player.timeOf(count);
+    renderTimelapseBar();
+}
+
+function updateTimelapse(now) {
+    if (!timelapse || !timelapse.playing) return;
+
+    const { player } = timelapse;
+    timelapse.time += (now - timelapse.lastFrame) * timelapse.speed;
+    timelapse.lastFrame = now;
+    player.seek(player.countAt(timelapse.time));
+    renderTimelapseBar();
+
+    if (timelapse.time < player.duration) return;
+    if (!timelapse.recording) {
+        setTimelapsePlaying(false);
+    } else if (timelapse.time >= player.duration + CONFIG.TIMELAPSE_END_HOLD * timelapse.speed) {
+        // Exports end on the finished build for a moment
+        stopTimelapseExport(true);
+    }
+}
+
+function renderTimelapseBar() {
+    const { player } = timelapse;
+    document.getElementById('timelapse-scrubber').value = player.index;
+
+    const step = player.steps[player.index - 1];
+    const when = step ? ` · ${new Date(timelapseLog.startedAt + step.t).toLocaleString()}` : '';
+    document.getElementById('timelapse-position').textContent = `${player.index} / ${player.length}${when}`;
+}
+
+/**
+ * Play from the start while recording the canvas, then download it
+ */
+function exportTimelapse() {
+    const canvas = renderer.domElement;
+    const mimeType = webmMimeType();
+    if (!mimeType || !canvas.captureStream) {
+        showToast('This browser cannot record WebM video', true);
+        return;
+    }
+
+    const stream = canvas.captureStream(CONFIG.TIMELAPSE_FPS);
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const recording = { recorder, keep: false };
+    const chunks = [];
+    const name = currentProject ? currentProject.name : 'scene';
+
+    recorder.addEventListener('dataavailable', (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    });
+    recorder.addEventListener('stop', () => {
+        stream.getTracks().forEach(track => track.stop());
+        if (!recording.keep) {
+            showToast('Timelapse export cancelled');
+            return;
+        }
+        downloadBlob(new Blob(chunks, { type: 'video/webm' }), `${safeFilename(name)}-timelapse.webm`);
+        showToast('Timelapse exported');
+        console.log(`🎬 Exported timelapse of "${name}"`);
+    });
+
+    timelapse.recording = recording;
+    seekTimelapse(0);
+    recorder.start();
+    setTimelapsePlaying(true);
+    renderTimelapseExport();
+}
+
+/**
+ * @param {boolean} keep - Download what was recorded (false discards it)
+ */
+function stopTimelapseExport(keep) {
+    const recording = timelapse.recording;
+    timelapse.recording = null;
+    recording.keep = keep;
+    recording.recorder.stop();
+
+    setTimelapsePlaying(false);
+    renderTimelapseExport();
+}
+
+function renderTimelapseExport() {
+    const exporting = !!timelapse.recording;
+    document.getElementById('btn-timelapse-export').textContent = exporting ? 'Stop' : 'Export WebM';
+    document.getElementById('btn-timelapse-play').disabled = exporting;
+    document.getElementById('timelapse-scrubber').disabled = exporting;
+    document.getElementById('timelapse-bar').classList.toggle('recording', exporting);
+}
+
+/**
+ * Space plays / pauses, ← / → step, Esc closes
+ * @returns {boolean} - Whether the key was handled
+ */
+function handleTimelapseKey(e) {
+    if (e.key === 'Escape') {
+        closeTimelapse();
+        return true;
+    }
+    if (timelapse.recording) return false;
+
+    switch (e.key) {
+        case ' ':
+            setTimelapsePlaying(!timelapse.playing);
+            return true;
+        case 'ArrowLeft':
+        case 'ArrowRight':
+            setTimelapsePlaying(false);
+            seekTimelapse(timelapse.player.index + (e.key === 'ArrowLeft' ? -1 : 1));
+            return true;
+    }
+    return false;
+}
+
+// ============================================
+// CAPTURE
+// ============================================
+
+/*
+   📷 renders the scene at any size without the HUD or anything
+   that is only there for editing: cursor, previews, guides,
+   grid and other people's cursors. Renders go through the main
+   renderer into an offscreen target of the capture size, made
+   once per capture, so the view on screen is never resized.
+
+   The turntable orbits a copy of the camera once around
+   controls.target. WebM frames are pushed to MediaRecorder one
+   at a time and paced in real time, since it stamps them with
+   the clock; PNG sequences come as a .zip and keep
+   transparency, which WebM can't.
+*/
+
+const CAPTURE_STORAGE_KEY = 'voxel-capture';
+const CAPTURE_PRESETS = {
+    '1280x720': [1280, 720],
+    '1920x1080': [1920, 1080],
+    '3840x2160': [3840, 2160],
+    '1080x1080': [1080, 1080]
+};
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+
+function setupCaptureDialog() {
+    const dialog = document.getElementById('capture-dialog');
+    const inputs = {
+        preset: document.getElementById('capture-preset'),
+        width: document.getElementById('capture-width'),
+        height: document.getElementById('capture-height'),
+        background: document.getElementById('capture-background'),
+        color: document.getElementById('capture-color'),
+        floor: document.getElementById('capture-floor'),
+        format: document.getElementById('capture-format'),
+        seconds: document.getElementById('capture-seconds')
+    };
+
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(CAPTURE_STORAGE_KEY)) || {};
+    } catch (err) {
+        console.warn('Ignoring unreadable capture settings', err);
+    }
+    inputs.preset.value = saved.preset || '1920x1080';
+    inputs.width.value = saved.width || 1920;
+    inputs.height.value = saved.height || 1080;
+    inputs.background.value = saved.background || 'solid';
+    inputs.color.value = saved.color || `#${scene.background.getHexString()}`;
+    inputs.floor.checked = saved.floor ?? true;
+    inputs.format.value = saved.format || 'webm';
+    inputs.seconds.value = saved.seconds || 6;
+
+    const sync = () => {
+        inputs.color.disabled = inputs.background.value === 'transparent';
+        if (inputs.preset.value === 'window') {
+            inputs.width.value = Math.round(window.innerWidth * window.devicePixelRatio);
+            inputs.height.value = Math.round(window.innerHeight * window.devicePixelRatio);
+        } else if (CAPTURE_PRESETS[inputs.preset.value]) {
+            [inputs.width.value, inputs.height.value] = CAPTURE_PRESETS[inputs.preset.value];
+        }
+    };
+    inputs.preset.addEventListener('change', sync);
+    inputs.background.addEventListener('change', sync);
+    [inputs.width, inputs.height].forEach(input => input.addEventListener('input', () => {
+        inputs.preset.value = 'custom';
+    }));
+    Object.values(inputs).forEach(input => input.addEventListener('change', () => {
+        localStorage.setItem(CAPTURE_STORAGE_KEY, JSON.stringify({
+            preset: inputs.preset.value,
+            width: Number(inputs.width.value),
+            height: Number(inputs.height.value),
+            background: inputs.background.value,
+            color: inputs.color.value,
+            floor: inputs.floor.checked,
+            format: inputs.format.value,
+            seconds: Number(inputs.seconds.value)
+        }));
+    }));
+
+    document.getElementById('btn-capture').addEventListener('click', () => {
+        sync();
+        if (!captureRun) setCaptureStatus();
+        dialog.classList.remove('hidden');
+    });
+    document.getElementById('btn-capture-close').addEventListener('click', () => dialog.classList.add('hidden'));
+    document.getElementById('btn-capture-image').addEventListener('click', () => captureScreenshot(readCaptureSettings()));
+    document.getElementById('btn-capture-turntable').addEventListener('click', () => {
+        if (captureRun) captureRun.cancelled = true;
+        else captureTurntable(readCaptureSettings());
+    });
+}
+
+/**
+ * @returns {Object} - { width, height, background, floor, format, seconds }; background is null for transparent
+ */
+function readCaptureSettings() {
+    const toSize = id => Math.max(16, Math.min(CONFIG.CAPTURE_MAX_SIZE,
+        Math.round(Number(document.getElementById(id).value)) || 1024));
+
+    return {
+        width: toSize('capture-width'),
+        height: toSize('capture-height'),
+        background: document.getElementById('capture-background').value === 'transparent'
+            ? null
+            : new THREE.Color(document.getElementById('capture-color').value),
+        floor: document.getElementById('capture-floor').checked,
+        format: document.getElementById('capture-format').value,
+        seconds: Math.max(1, Math.min(CONFIG.CAPTURE_MAX_SECONDS,
+            Number(document.getElementById('capture-seconds').value) || 6))
+    };
+}
+
+function setCaptureStatus(message) {
+    document.getElementById('capture-status').textContent = message ||
+        'Renders without the cursor, grid and guides. Turntables orbit the point the camera looks at.';
+}
+
+/**
+ * Objects that only exist for editing: cursor, previews, guides, other people's cursors
+ */
+function editorOverlays() {
+    const peers = collab ? [...collab.peers.values()].map(peer => peer.cursor) : [];
+    return [ghostVoxel, dwellRing, selectionHelper, toolGhost && toolGhost.mesh, depthGuide, ...peers];
+}
+
+/**
+ * Hide whichever of the objects are visible
+ * @returns {Function} - Shows them again
+ */
+function hideObjects(objects) {
+    const hidden = objects.filter(o => o && o.visible);
+    hidden.forEach(o => o.visible = false);
+    return () => hidden.forEach(o => o.visible = true);
+}
+
+/**
+ * Offscreen buffers for one capture, reused for every frame
+ * @param {Object} settings - See readCaptureSettings
+ * @returns {Object} - { canvas, renderTarget, image, pixels, row }; dispose renderTarget when done
+ * @throws {Error} - If the GPU can't render that large
+ */
+function createCapture({ width, height }) {
+    const gl = renderer.getContext();
+    const limit = Math.min(renderer.capabilities.maxTextureSize, gl.getParameter(gl.MAX_RENDERBUFFER_SIZE));
+    if (width > limit || height > limit) {
+        throw new Error(`${width}×${height} is larger than this GPU can render`);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    // Render targets get linear output: an sRGB texture has the GPU
+    // encode on write, so pixels match the view (no tone mapping is used)
+    const renderTarget = new THREE.WebGLRenderTarget(width, height, {
+        samples: Math.min(4, renderer.capabilities.maxSamples),
+        colorSpace: THREE.SRGBColorSpace
+    });
+    const image = new ImageData(width, height);
+
+    return {
+        canvas,
+        renderTarget,
+        image,
+        pixels: new Uint8Array(image.data.buffer),   // Same memory as image
+        row: new Uint8Array(width * 4)               // Scratch for flipping
+    };
+}
+
+/**
+ * Draw one clean frame into the capture's canvas
+ * @param {Object} capture - From createCapture
+ * @param {Object} settings - See readCaptureSettings
+ * @param {number} [angle] - Radians to orbit the camera around controls.target
+ */
+function renderCapture(capture, settings, angle = 0) {
+    const { width, height, background } = settings;
+    const { renderTarget, image, pixels, row } = capture;
+
+    const view = camera.clone();
+    view.aspect = width / height;
+    if (angle) {
+        view.position.sub(controls.target).applyAxisAngle(Y_AXIS, angle).add(controls.target);
+        view.lookAt(controls.target);
+    }
+    view.updateProjectionMatrix();
+
+    const particles = particleSystem ? particleSystem.particles.map(p => p.mesh) : [];
+    const showObjects = hideObjects([
+        ...editorOverlays(), gridLines, ...particles, ...(settings.floor ? [] : [floor])
+    ]);
+    const savedBackground = scene.background;
+    const savedFog = scene.fog;
+
+    // Fog fades into the background, so it follows its color (and goes with it)
+    scene.background = background;
+    scene.fog = background && savedFog ? savedFog.clone() : null;
+    if (scene.fog) scene.fog.color.copy(background);
+
+    try {
+        renderer.setRenderTarget(renderTarget);
+        renderer.render(scene, view);
+        renderer.readRenderTargetPixels(renderTarget, 0, 0, width, height, pixels);
+    } finally {
+        renderer.setRenderTarget(null);
+        scene.background = savedBackground;
+        scene.fog = savedFog;
+        showObjects();
+    }
+
+    // GL rows run bottom to top, ImageData rows top to bottom
+    const stride = width * 4;
+    for (let top = 0, bottom = (height - 1) * stride; top < bottom; top += stride, bottom -= stride) {
+        row.set(pixels.subarray(top, top + stride));
+        pixels.copyWithin(top, bottom, bottom + stride);
+        pixels.set(row, bottom);
+    }
+    capture.canvas.getContext('2d').putImageData(image, 0, 0);
+}
+
+function canvasToBlob(canvas, type = 'image/png') {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the image')), type);
+    });
+}
+
+/**
+ * Best WebM type MediaRecorder offers here, or null
+ */
+function webmMimeType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+function captureName() {
+    return safeFilename(currentProject ? currentProject.name : 'scene');
+}
+
+async function captureScreenshot(settings) {
+    let capture = null;
+    try {
+        capture = createCapture(settings);
+        renderCapture(capture, settings);
+        const filename = `${captureName()}-${settings.width}x${settings.height}.png`;
+        downloadBlob(await canvasToBlob(capture.canvas), filename);
+        console.log(`📷 Captured ${filename}`);
+    } catch (err) {
+        console.error('❌ Capture failed:', err);
+        showToast(`Capture failed: ${err.message}`, true);
+    } finally {
+        if (capture) capture.renderTarget.dispose();
+    }
+}
+
+/**
+ * One full orbit as a WebM or a .zip of PNG frames
+ */
+async function captureTurntable(settings) {
+    const frames = Math.round(settings.seconds * CONFIG.CAPTURE_FPS);
+    let capture = null;
+    const drawFrame = i => renderCapture(capture, settings, (i / frames) * Math.PI * 2);
+
+    captureRun = { cancelled: false };
+    renderCaptureRun();
+    const progress = i => setCaptureStatus(`Rendering frame ${i + 1} / ${frames}...`);
+
+    try {
+        capture = createCapture(settings);
+        const video = settings.format === 'webm';
+        const blob = video
+            ? await recordTurntableVideo(capture.canvas, frames, drawFrame, progress)
+            : await renderTurntableFrames(capture.canvas, frames, drawFrame, progress);
+
+        if (blob) {
+            downloadBlob(blob, `${captureName()}-turntable${video ? '.webm' : '.zip'}`);
+            showToast('Turntable exported');
+            console.log(`📷 Turntable: ${frames} frames at ${settings.width}×${settings.height}`);
+        }
+        setCaptureStatus(blob ? 'Turntable exported.' : 'Turntable cancelled.');
+    } catch (err) {
+        console.error('❌ Turntable failed:', err);
+        setCaptureStatus(`Turntable failed: ${err.message}`);
+        showToast(`Turntable failed: ${err.message}`, true);
+    }
+
+    if (capture) capture.renderTarget.dispose();
+    captureRun = null;
+    renderCaptureRun();
+}
+
+/**
+ * @returns {Promise<Blob|null>} - null if cancelled
+ */
+async function recordTurntableVideo(canvas, frames, drawFrame, onFrame) {
+    const mimeType = webmMimeType();
+    if (!mimeType || !canvas.captureStream) throw new Error('This browser cannot record WebM video');
+
+    // Frame rate 0: a frame is sent whenever requestFrame is called
+    const stream = canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const chunks = [];
+    recorder.addEventListener('dataavailable', (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    });
+    const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve));
+
+    recorder.start();
+    const interval = 1000 / CONFIG.CAPTURE_FPS;
+    const start = performance.now();
+    for (let i = 0; i < frames && !captureRun.cancelled; i++) {
+        drawFrame(i);
+        track.requestFrame();
+        onFrame(i);
+        const wait = start + (i + 1) * interval - performance.now();
+        await new Promise(resolve => setTimeout(resolve, Math.max(0, wait)));
+    }
+    recorder.stop();
+    await stopped;
+    track.stop();
+
+    return captureRun.cancelled ? null : new Blob(chunks, { type: 'video/webm' });
+}
+
+/**
+ * @returns {Promise<Blob|null>} - .zip of frame-0000.png, ...; null if cancelled
+ */
+async function renderTurntableFrames(canvas, frames, drawFrame, onFrame) {
+    const zip = new ZipWriter();
+    for (let i = 0; i < frames; i++) {
+        if (captureRun.cancelled) return null;
+        drawFrame(i);
+        const blob = await canvasToBlob(canvas);
+        zip.add(`frame-${String(i).padStart(4, '0')}.png`, new Uint8Array(await blob.arrayBuffer()));
+        onFrame(i);
+    }
+    return zip.toBlob();
+}
+
+function renderCaptureRun() {
+    document.getElementById('btn-capture-turntable').textContent = captureRun ? 'Stop' : 'Turntable';
+    document.getElementById('btn-capture-image').disabled = !!captureRun;
+}
+
+// ============================================
+// POINTER INPUT
+// ============================================
+
+/*
+   Editing without hands, for when there is no webcam (or you
+   prefer a mouse). Everything goes through moveCursor and
+   GESTURE_ACTIONS, like a hand would:
+
+       mouse     move to aim, click to place,
+                 right-click or Shift+click to remove
+       keyboard  WASD / arrows move the cursor a cell,
+                 PgUp / PgDn up and down, Space or Enter
+                 places, Delete or Backspace removes
+       touch     tap to place, long-press to remove;
+                 drag / pinch still orbit and zoom
+
+   Orbiting keeps working: a press only counts as a click
+   or tap if it barely moved.
+*/
 
-    // Create a copy to iterate because we modify the map
-    const currentVoxels = [...voxels];
+// WASD as arrow keys, for cameraAlignedStep
+const WASD_KEYS = { w: 'ArrowUp', a: 'ArrowLeft', s: 'ArrowDown', d: 'ArrowRight' };
 
-    currentVoxels.forEach(voxel => {
-        const pos = voxel.position;
+function setupPointerInput() {
+    const canvas = renderer.domElement;
 
-        // If on ground, ignore
-        if (pos.y <= size / 2 + 0.1) return;
+    document.getElementById('btn-pointer').addEventListener('click', () => {
+        setInputMode(inputMode === 'pointer' ? 'hand' : 'pointer');
+    });
 
-        // Check below
-        const belowPos = pos.clone();
-        belowPos.y -= size;
-        const belowKey = getVoxelKey(belowPos);
+    canvas.addEventListener('contextmenu', (e) => {
+        if (inputMode === 'pointer') e.preventDefault();  // Right-click removes
+    });
 
-        if (!voxelMap.has(belowKey)) {
-            // FALL!
-            const oldKey = getVoxelKey(pos);
-            voxelMap.delete(oldKey); // Remove old pos
+    canvas.addEventListener('pointerdown', (e) => {
+        if (inputMode !== 'pointer' || e.pointerType !== 'touch' || timelapse) return;
 
-            voxel.position.y -= size; // Drop
+        activeTouches.add(e.pointerId);
+        if (activeTouches.size > 1) {
+            // Second finger: a camera gesture, not a tap
+            cancelTouchPress();
+            return;
+        }
+        startTouchPress(e);
+    });
 
-            const newKey = getVoxelKey(voxel.position);
-            voxelMap.set(newKey, voxel); // Update new pos
+    canvas.addEventListener('pointermove', (e) => {
+        if (inputMode !== 'pointer' || timelapse) return;
 
-            // Simple fall effect
-            // if (particleSystem) particleSystem.spawn(pos, voxel.material.color.getHex(), 1);
+        if (e.pointerType !== 'touch') {
+            if (!selectionDrag) aimPointer(pointerToNDC(e));
+        } else if (touchPress && e.pointerId === touchPress.id &&
+            Math.hypot(e.clientX - touchPress.x, e.clientY - touchPress.y) > CONFIG.TOUCH_TOLERANCE) {
+            cancelTouchPress();  // Dragging orbits
         }
     });
 
-    if (voxels.length > 0) saveMap(); // Save state if things moved
+    const touchEnd = (e) => {
+        if (e.pointerType !== 'touch') return;
+        activeTouches.delete(e.pointerId);
+
+        if (touchPress && e.pointerId === touchPress.id) {
+            const tap = e.type === 'pointerup' && !touchPress.cancelled && !touchPress.fired;
+            clearTimeout(touchPress.timer);
+            touchPress = null;
+            if (tap) runPointerAction('place', aimPointer(pointerToNDC(e)));
+        }
+    };
+    window.addEventListener('pointerup', touchEnd);
+    window.addEventListener('pointercancel', touchEnd);
+}
+
+/**
+ * @param {string} mode - 'hand' or 'pointer'
+ */
+function setInputMode(mode) {
+    if (mode === 'hand' && !(handLandmarker && webcamElement.srcObject) && !replaySource) {
+        showToast('Hand tracking is not available - no camera or model', true);
+        return;
+    }
+
+    inputMode = mode;
+    keyboardCursor = null;
+    cancelTouchPress();
+
+    // Start from a clean slate: no hand, no dwell
+    processHandFrame({ landmarks: [] }, performance.now());
+    isDwelling = false;
+    dwellRing.visible = false;
+    if (mode === 'pointer') {
+        if (depthCursor) setDepthCursor(false);
+        if (navigating) setNavigating(false);
+    }
+
+    document.getElementById('btn-pointer').classList.toggle('active', mode === 'pointer');
+    console.log(`🖱️ Input: ${mode}`);
+}
+
+/**
+ * Aim the cursor through a screen point, as a hand's fingertip would
+ * @returns {Object} - Trigger frame, see moveCursor
+ */
+function aimPointer(ndc) {
+    keyboardCursor = null;
+    return moveCursor(snapToGrid(screenToWorld(ndc.x, ndc.y)), ndc);
+}
+
+/**
+ * Step the cursor by whole cells (keyboard)
+ */
+function moveKeyboardCursor(dx, dy, dz) {
+    const cell = keyboardCursor || worldToCell(ghostPosition);
+    const position = snapToGrid(cellCenter(cell.x + dx, cell.y + dy, cell.z + dz));  // Clamps to the world
+    keyboardCursor = worldToCell(position);
+
+    const screen = position.clone().project(camera);
+    return moveCursor(position, { x: screen.x, y: screen.y });
+}
+
+/**
+ * Voxel a keyboard remove takes: the one at the cursor cell, else the
+ * one it rests on, else any face neighbour. The keyboard cursor is a
+ * cell, so there is no screen ray to pick along.
+ */
+function keyboardTargetVoxel() {
+    const { x, y, z } = keyboardCursor;
+    const offsets = [[0, 0, 0], [0, -1, 0], ...FACE_OFFSETS.filter(([dx, dy, dz]) => !(dx === 0 && dy === -1 && dz === 0))];
+    const offset = offsets.find(([dx, dy, dz]) => voxelGrid.has(x + dx, y + dy, z + dz));
+    return offset ? { x: x + offset[0], y: y + offset[1], z: z + offset[2] } : null;
+}
+
+/**
+ * Trigger frame at the cursor as it is now
+ */
+function pointerFrame() {
+    if (!cursorNDC) return moveKeyboardCursor(0, 0, 0);
+    return moveCursor(ghostPosition, cursorNDC);
+}
+
+/**
+ * Run a place / remove action like its gesture would
+ */
+function runPointerAction(action, frame) {
+    // The select tool drags boxes with the pointer instead
+    if (selectToolActive && !pasteActive) return;
+
+    // The cursor sits next to the surface it points at; remove
+    // takes the voxel behind it
+    if (action === 'remove' && !frame.isOverExisting) {
+        const cell = keyboardCursor ? keyboardTargetVoxel() : pickTargetVoxel();
+        if (!cell) return;
+        frame = { ...frame, position: cellCenter(cell.x, cell.y, cell.z), isOverExisting: true };
+    }
+
+    console.log(`🖱️ Pointer -> ${action}`);
+    GESTURE_ACTIONS[action](frame);
+}
+
+function pointerClick(e) {
+    if (e.button !== 0 && e.button !== 2) return;
+
+    const remove = e.button === 2 || e.shiftKey;
+    runPointerAction(remove ? 'remove' : 'place', aimPointer(pointerToNDC(e)));
+}
+
+function startTouchPress(e) {
+    const ndc = pointerToNDC(e);
+    aimPointer(ndc);
+
+    touchPress = { id: e.pointerId, x: e.clientX, y: e.clientY, cancelled: false, fired: false };
+    touchPress.timer = setTimeout(() => {
+        touchPress.fired = true;
+        if (navigator.vibrate) navigator.vibrate(30);
+        runPointerAction('remove', aimPointer(ndc));
+    }, CONFIG.LONG_PRESS);
+}
+
+function cancelTouchPress() {
+    if (!touchPress) return;
+    clearTimeout(touchPress.timer);
+    touchPress.cancelled = true;
+}
+
+/**
+ * @returns {boolean} - Whether the key was handled
+ */
+function handlePointerKey(e) {
+    if (inputMode !== 'pointer') return false;
+
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    const step = cameraAlignedStep(WASD_KEYS[key] || key);
+    if (step) {
+        moveKeyboardCursor(step[0], 0, step[1]);
+        return true;
+    }
+
+    switch (key) {
+        case 'PageUp':
+            moveKeyboardCursor(0, 1, 0);
+            return true;
+        case 'PageDown':
+            moveKeyboardCursor(0, -1, 0);
+            return true;
+        case ' ':
+        case 'Enter':
+            runPointerAction('place', pointerFrame());
+            return true;
+        case 'Delete':
+        case 'Backspace':
+            runPointerAction('remove', pointerFrame());
+            return true;
+    }
+    return false;
 }
 
 // ============================================
 // MAIN UPDATE LOOP
 // ============================================
 
+/**
+ * Put the cursor on a cell and work out what it would act on.
+ * Hands and the pointer both move the cursor through here.
+ * @param {THREE.Vector3} position - Snapped cell center
+ * @param {Object} ndc - Screen point the cursor was aimed from (for fill rays and targeting)
+ * @returns {Object} - { position, targetCell, isOverExisting } for the triggers
+ */
+function moveCursor(position, ndc) {
+    cursorNDC = ndc;
+    ghostPosition = position;
+    lastPlacementPosition.copy(ghostPosition);
+
+    ghostVoxel.position.copy(ghostPosition);
+    if (pasteActive) updatePastePreview(ghostPosition);
+    else if (activeTool !== 'voxel') updateToolPreview(ghostPosition);
+    ghostVoxel.visible = !pasteActive && !toolGhost.visible;
+
+    // Check intersection (pastes and tools always "place")
+    const existingVoxel = getVoxelAt(ghostPosition);
+    const isOverExisting = !pasteActive && activeTool === 'voxel' && !!existingVoxel;
+
+    // Erase / Paint / Eyedropper act on the voxel under the cursor
+    const targetCell = editMode !== 'build' && !pasteActive ? pickTargetVoxel() : null;
+    styleGhost(isOverExisting, targetCell);
+
+    return { position: ghostPosition, targetCell, isOverExisting };
+}
+
 function updateHandTracking() {
-    if (!handLandmarker || !webcamElement.srcObject || webcamElement.readyState < 2) {
+    // Pointer mode: the webcam is ignored (replays still play).
+    // Timelapse playback: nothing is edited until it closes.
+    if ((inputMode === 'pointer' && !replaySource) || timelapse) {
+        updateUI();
         return;
     }
 
+    const input = readHandFrame();
+    if (!input) return;
+
+    processHandFrame(input.results, input.time);
+    if (replaySource && replaySource.done) stopReplay(true);
+}
+
+/**
+ * Next hand frame from the replay, or from MediaPipe on a new webcam frame
+ * @returns {{results: Object, time: number}|null}
+ */
+function readHandFrame() {
+    const now = performance.now();
+    if (replaySource) return replaySource.poll(now);
+
+    if (!handLandmarker || !webcamElement.srcObject || webcamElement.readyState < 2) {
+        return null;
+    }
+
     const videoTime = webcamElement.currentTime;
-    if (videoTime === lastVideoTime) return;
+    if (videoTime === lastVideoTime) return null;
     lastVideoTime = videoTime;
 
     // Detect hands
-    const results = handLandmarker.detectForVideo(webcamElement, performance.now());
+    const results = handLandmarker.detectForVideo(webcamElement, now);
+    if (handRecorder.active) handRecorder.record(results, now);
+    return { results, time: now };
+}
 
+/**
+ * Run one frame of hand landmarks through smoothing, gestures and editing
+ * @param {Object} results - HandLandmarker result ({ landmarks, handedness })
+ * @param {number} frameTime - Frame time in ms; replays pass recorded times
+ */
+function processHandFrame(results, frameTime) {
     // Update hand state
     detectedHandCount = results.landmarks ? results.landmarks.length : 0;
     handDetected = detectedHandCount > 0;
@@ -1002,142 +5650,124 @@ function updateHandTracking() {
     if (handDetected) {
         // 1. Identify Roles by Label (Right vs Left)
         const hands = {};
+        const rawHands = {};  // Unsmoothed, for calibration and the filter overlay
 
         for (let i = 0; i < results.landmarks.length; i++) {
             const label = results.handedness[i][0].categoryName; // "Left" or "Right"
             const marks = results.landmarks[i];
-            hands[label] = applySmoothing(marks, label);
+            rawHands[label] = marks;
+            hands[label] = applySmoothing(marks, label, frameTime);
         }
 
-        if (detectedHandCount >= 2) {
-            // TWO HAND MODE
-            // Prefer Right for Cursor, Left for Trigger.
-            cursorHand = hands['Right'] || hands['Left'];
-            triggerHand = hands['Left'];
-        } else {
-            // ONE HAND MODE
-            cursorHand = hands['Right'] || hands['Left'];
-        }
+        // The profile's cursor hand, the other one triggers (two hand mode only)
+        const preferred = controlProfile.cursorHand;
+        const other = preferred === 'Right' ? 'Left' : 'Right';
+        cursorLabel = hands[preferred] ? preferred : other;
+        triggerLabel = hands[preferred] && hands[other] ? other : null;
+        cursorHand = hands[cursorLabel] || null;
+        triggerHand = triggerLabel ? hands[triggerLabel] : null;
+
+        // Classify gestures; bound actions run from runGestureEvents
+        ['Left', 'Right'].forEach(label => {
+            if (hands[label]) {
+                gestures.update(label, hands[label], frameTime);
+            } else {
+                gestures.lose(label, frameTime);
+                resetSmoothing(label);
+            }
+        });
+        updateNavigationToggle(frameTime);
+        if (depthCalibration) updateDepthCalibration(cursorHand, frameTime);
+        if (calibrationRun) updateCalibrationRun(rawHands[cursorLabel], frameTime);
+
+        if (navigating) {
+            // NAVIGATION: fists move the camera, nothing is edited
+            ghostVoxel.visible = false;
+            gestureQueue = [];
+            updateNavigation(hands);
+
+        } else if (depthCalibration || calibrationRun) {
+            // CALIBRATING: poses are measured, not acted on
+            ghostVoxel.visible = false;
+            isDwelling = false;
+            dwellRing.visible = false;
+            gestureQueue = [];
 
         // 2. Cursor Logic
-        if (cursorHand) {
+        } else if (cursorHand) {
             const cursorLandmark = cursorHand[8];  // INDEX_FINGER_TIP
-            const worldPos = landmarkToWorld(cursorLandmark);
+            const worldPos = depthCursor ? landmarkToDepthWorld(cursorHand) : landmarkToWorld(cursorLandmark);
             const targetPosition = snapToGrid(worldPos);
 
-            smoothedGhostPosition.lerp(targetPosition, CONFIG.GHOST_SMOOTHING);
-            ghostPosition = snapToGrid(smoothedGhostPosition);
-            lastPlacementPosition.copy(ghostPosition);
-
-            ghostVoxel.position.copy(ghostPosition);
-            ghostVoxel.visible = true;
-
-            // Check intersection
-            const existingVoxel = getVoxelAt(ghostPosition);
-            const isOverExisting = !!existingVoxel;
-
-            if (isOverExisting) {
-                ghostVoxel.material.color.setHex(0xff6b6b);
-                ghostVoxel.material.emissive.setHex(0xff6b6b);
-            } else {
-                ghostVoxel.material.color.setHex(CONFIG.GHOST_COLOR);
-                ghostVoxel.material.emissive.setHex(CONFIG.GHOST_COLOR);
-            }
+            smoothedGhostPosition.copy(ghostFilter.filter(targetPosition, frameTime));
+            if (filterDebug) recordFilterDebug(rawHands[cursorLabel][8], cursorLandmark);
+            const frame = moveCursor(snapToGrid(smoothedGhostPosition), landmarkToNDC(cursorLandmark));
 
             // 3. Trigger Logic
-            const now = performance.now();
+            const now = frameTime;
 
-            // Debug Pinch States
-            debugPinchState['Right'] = hands['Right'] ? detectPinch(hands['Right']) : false;
-            debugPinchState['Left'] = hands['Left'] ? detectPinch(hands['Left']) : false;
+            const twoHands = !!triggerHand;
+            const bindings = twoHands ? controlProfile.twoHand : controlProfile.oneHand;
 
-            if (triggerHand && detectedHandCount >= 2) {
-                // TWO HAND TRIGGER (Use Pinch on Trigger Hand)
+            if (selectToolActive && !pasteActive) {
+                // SELECT TOOL: no placing, two-hand pinch-spread draws the box
                 isDwelling = false;
                 dwellRing.visible = false;
-
-                const isTriggerPinching = detectPinch(triggerHand);
-
-                // Handle click
-                if (isTriggerPinching && !wasPinching && !blockPlacedThisPinch) {
-                    blockPlacedThisPinch = true;
-
-                    // Action happens at CURSOR position
-                    if (isOverExisting) {
-                        removeVoxel(ghostPosition.clone());
-                    } else {
-                        placeVoxel(ghostPosition.clone());
-                    }
+                if (twoHands) {
+                    updateSelectionGesture(cursorHand, triggerHand);
                 }
-
-                if (!isTriggerPinching) blockPlacedThisPinch = false;
-                wasPinching = isTriggerPinching;
-                isPinching = isTriggerPinching; // Update UI state
-
             } else {
-                // ONE HAND TRIGGER (Use Dwell)
-
-                // Dwell Logic (Same as before)
-                const positionDistance = ghostPosition.distanceTo(dwellPosition);
-                const positionStable = positionDistance < CONFIG.DWELL_TOLERANCE;
-
-                if (!isOverExisting) {
-                    if (positionStable && isDwelling) {
-                        const elapsed = now - dwellStartTime;
-                        dwellProgress = Math.min(1, elapsed / CONFIG.DWELL_TIME);
-                        updateDwellIndicator(ghostPosition, dwellProgress);
-
-                        if (dwellProgress >= 1) {
-                            placeVoxel(ghostPosition.clone());
-                            isDwelling = false;
-                            dwellProgress = 0;
-                            dwellRing.visible = false;
-                            dwellPosition.set(9999, 9999, 9999);
-                        }
-                    } else if (positionStable && !isDwelling) {
-                        isDwelling = true;
-                        dwellStartTime = now;
-                        dwellPosition.copy(ghostPosition);
-                        dwellProgress = 0;
-                    } else {
-                        isDwelling = false;
-                        dwellProgress = 0;
-                        dwellPosition.copy(ghostPosition);
-                        dwellRing.visible = false;
-                    }
+                if (bindings.place === 'dwell') {
+                    updateDwellPlacement(frame, now);
                 } else {
-                    // Over existing - 1 Hand Pinch to Remove
                     isDwelling = false;
                     dwellRing.visible = false;
-
-                    const isOneHandPinching = detectPinch(cursorHand);
-                    if (isOneHandPinching && !wasPinching && !blockPlacedThisPinch) {
-                        blockPlacedThisPinch = true;
-                        removeVoxel(ghostPosition.clone());
-                    }
-                    if (!isOneHandPinching) blockPlacedThisPinch = false;
-                    wasPinching = isOneHandPinching;
-                    isPinching = isOneHandPinching;
                 }
+
+                const actionHand = twoHands ? triggerLabel : cursorLabel;
+                const actionGesture = gestures.gesture(actionHand);
+                isPinching = profileBindings(twoHands ? 2 : 1).some(binding =>
+                    binding.gesture === actionGesture && binding.role === handRole(actionHand)); // Update UI state
+
+                // MODE SWITCH: hold up fingers on the trigger hand (when that isn't a bound gesture)
+                if (twoHands) updateModeGesture(isPinching ? null : triggerLabel, now);
+                else modeGesture = null;
             }
+
+            // Place / remove / paint / undo / ... bound in the control profile
+            runGestureEvents(frame);
         }
 
     } else {
         // No hand detected
         ghostVoxel.visible = false;
         isPinching = false;
-        wasPinching = false;
-        blockPlacedThisPinch = false;
-        smoothers = { 'Left': null, 'Right': null }; // Reset smoothing
+        modeGesture = null;
+        ['Left', 'Right'].forEach(label => gestures.lose(label, frameTime));
+        gestureQueue = [];
+        cursorLabel = triggerLabel = null;
+        navGrab = navPan = null;
+        depthSignal = null;
+        ['Left', 'Right'].forEach(resetSmoothing);
+        ghostFilter.reset();
+
+        // Keep the clocks running so an empty step cancels
+        if (depthCalibration) updateDepthCalibration(null, frameTime);
+        if (calibrationRun) updateCalibrationRun(null, frameTime);
     }
 
+    updateDepthGuide();
+
     // Update UI
     updateUI();
 }
 
 function updateUI() {
     // Hand detection status
-    if (detectedHandCount > 0) {
+    if (inputMode === 'pointer' && !replaySource) {
+        handStatusEl.textContent = '🖱️ Pointer';
+        handStatusEl.className = 'status-value active';
+    } else if (detectedHandCount > 0) {
         handStatusEl.textContent = `${detectedHandCount} Hand${detectedHandCount > 1 ? 's' : ''}`;
         handStatusEl.className = 'status-value active';
     } else {
@@ -1150,17 +5780,17 @@ function updateUI() {
         pinchStatusEl.textContent = '—';
         pinchStatusEl.className = 'status-value inactive';
     } else {
-        // Show L/R status
-        const lState = debugPinchState['Left'] ? '✊' : '✋';
-        const rState = debugPinchState['Right'] ? '✊' : '✋';
+        // Show L/R gestures (🧭 while navigating)
+        const lState = GESTURE_ICONS[gestures.gesture('Left')];
+        const rState = GESTURE_ICONS[gestures.gesture('Right')];
 
         if (detectedHandCount >= 2) {
             pinchStatusEl.textContent = `L:${lState} R:${rState}`;
         } else {
             // Single hand
-            const state = (debugPinchState['Left'] || debugPinchState['Right']) ? '✊' : '✋';
-            pinchStatusEl.textContent = `${state} Active`;
+            pinchStatusEl.textContent = `${GESTURE_ICONS[gestures.gesture(cursorLabel)]} Active`;
         }
+        if (navigating) pinchStatusEl.textContent = `🧭 ${pinchStatusEl.textContent}`;
         pinchStatusEl.className = 'status-value ' + (isPinching ? 'active' : 'inactive');
     }
 
@@ -1188,10 +5818,16 @@ function animate() {
     // Update particles
     if (particleSystem) particleSystem.update();
 
+    // Expanding world outgrew its floor
+    if (floorDirty) rebuildGrid();
+
     // Update Gravity
     if (frameCount % CONFIG.GRAVITY_RATE === 0) {
         applyGravity();
     }
+    updateFallingBodies(performance.now());
+    updateCollabCursor(performance.now());
+    updateTimelapse(performance.now());
 
     // Update orbit controls
     controls.update();
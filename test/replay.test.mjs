@@ -0,0 +1,140 @@
+// Run with: CHROME_PATH=/path/to/chrome node --test test/
+//
+// Replays every samples/*.handrec.json that has a matching
+// .expected.json in headless Chrome (app.html?replay=...) and checks
+// window.voxelflowReplay.cells against it. Chrome is driven over
+// --remote-debugging-pipe, so nothing needs installing; without
+// CHROME_PATH the tests are skipped. Extra browser flags (e.g.
+// --no-sandbox inside containers) go in CHROME_FLAGS.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:http';
+import { readFile, readdir, mkdtemp, rm } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, extname, normalize } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const CHROME = process.env.CHROME_PATH;
+const REPLAY_TIMEOUT = 60000;
+
+const MIME_TYPES = {
+    '.html': 'text/html',
+    '.js': 'text/javascript',
+    '.mjs': 'text/javascript',
+    '.css': 'text/css',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png'
+};
+
+// Serves the repository read-only on a free port
+function serveRoot() {
+    const server = createServer(async (req, res) => {
+        const path = normalize(decodeURIComponent(new URL(req.url, 'http://localhost').pathname));
+        try {
+            const body = await readFile(join(ROOT, path));
+            res.writeHead(200, { 'Content-Type': MIME_TYPES[extname(path)] || 'application/octet-stream' });
+            res.end(body);
+        } catch {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// Headless Chrome with a DevTools protocol connection over fds 3 and 4
+async function launchChrome() {
+    const profile = await mkdtemp(join(tmpdir(), 'voxelflow-chrome-'));
+    const flags = (process.env.CHROME_FLAGS || '').split(/\s+/).filter(Boolean);
+    const child = spawn(CHROME, [
+        '--headless=new', '--remote-debugging-pipe', `--user-data-dir=${profile}`,
+        '--no-first-run', '--enable-unsafe-swiftshader', ...flags, 'about:blank'
+    ], { stdio: ['ignore', 'ignore', 'ignore', 'pipe', 'pipe'] });
+
+    const pending = new Map();
+    let nextId = 1;
+    let buffer = '';
+    child.stdio[4].on('data', chunk => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\0')) !== -1) {
+            const message = JSON.parse(buffer.slice(0, end));
+            buffer = buffer.slice(end + 1);
+            const waiting = pending.get(message.id);
+            if (!waiting) continue;
+            pending.delete(message.id);
+            if (message.error) waiting.reject(new Error(message.error.message));
+            else waiting.resolve(message.result);
+        }
+    });
+
+    // A browser that fails to start or crashes fails whatever is waiting
+    let exited = null;
+    child.on('exit', code => {
+        exited = new Error(`Chrome exited with code ${code}`);
+        pending.forEach(({ reject }) => reject(exited));
+        pending.clear();
+    });
+
+    const send = (method, params = {}, sessionId) => new Promise((resolve, reject) => {
+        if (exited) return reject(exited);
+        const id = nextId++;
+        pending.set(id, { resolve, reject });
+        child.stdio[3].write(JSON.stringify({ id, method, params, sessionId }) + '\0');
+    });
+
+    const close = async () => {
+        await Promise.race([send('Browser.close').catch(() => {}), new Promise(r => setTimeout(r, 2000))]);
+        if (!exited) child.kill();
+        await rm(profile, { recursive: true, force: true });
+    };
+
+    return { send, close };
+}
+
+// Opens the replay and returns window.voxelflowReplay.cells once it's done
+async function replay(chrome, url) {
+    const { targetId } = await chrome.send('Target.createTarget', { url });
+    const { sessionId } = await chrome.send('Target.attachToTarget', { targetId, flatten: true });
+    const evaluate = async expression => {
+        const { result, exceptionDetails } = await chrome.send('Runtime.evaluate', { expression, returnByValue: true }, sessionId);
+        if (exceptionDetails) throw new Error(exceptionDetails.text);
+        return result.value;
+    };
+
+    const deadline = Date.now() + REPLAY_TIMEOUT;
+    let state;
+    while (Date.now() < deadline) {
+        state = await evaluate('document.body && document.body.dataset.replay');
+        if (state === 'done' || state === 'error' || state === 'stopped') break;
+        await new Promise(r => setTimeout(r, 250));
+    }
+    assert.equal(state, 'done', `replay of ${url} ended as ${state || 'timed out'}`);
+    return evaluate('window.voxelflowReplay.cells');
+}
+
+const samples = (await readdir(join(ROOT, 'samples')))
+    .filter(name => name.endsWith('.handrec.json'))
+    .map(name => name.slice(0, -'.handrec.json'.length))
+    .filter(name => existsSync(join(ROOT, 'samples', `${name}.expected.json`)));
+
+for (const name of samples) {
+    test(`replaying ${name} builds the expected voxels`, { skip: !CHROME && 'set CHROME_PATH to run replays' }, async () => {
+        const expected = JSON.parse(await readFile(join(ROOT, 'samples', `${name}.expected.json`), 'utf8'));
+        const server = await serveRoot();
+        const chrome = await launchChrome();
+        try {
+            const { port } = server.address();
+            const cells = await replay(chrome, `http://127.0.0.1:${port}/app.html?replay=samples/${name}.handrec.json`);
+            assert.deepEqual(cells, expected);
+        } finally {
+            await chrome.close();
+            server.close();
+        }
+    });
+}
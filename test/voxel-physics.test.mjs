@@ -0,0 +1,109 @@
+// Run with: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VoxelGrid, cellKey } from '../voxel-grid.js';
+import { supportReach, findUnsupported, planFalls } from '../voxel-physics.js';
+
+const STONE = { color: 0x888888 };
+
+function gridOf(cells) {
+    const grid = new VoxelGrid();
+    cells.forEach(([x, y, z]) => grid.set(x, y, z, STONE));
+    return grid;
+}
+
+function column(x, fromY, toY, z = 0) {
+    const cells = [];
+    for (let y = fromY; y <= toY; y++) cells.push([x, y, z]);
+    return cells;
+}
+
+function row(fromX, toX, y, z = 0) {
+    const cells = [];
+    for (let x = fromX; x <= toX; x++) cells.push([x, y, z]);
+    return cells;
+}
+
+// Sorted [x, y, z] of every voxel in the clusters
+function cellsOf(clusters) {
+    return clusters.flat().map(({ x, y, z }) => [x, y, z]).sort((a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2]);
+}
+
+// What the editor does with a plan: lift everything, then set it down
+function applyFalls(grid, falls) {
+    falls.forEach(({ cells }) => cells.forEach(({ x, y, z }) => grid.delete(x, y, z)));
+    falls.forEach(({ cells, distance }) => cells.forEach(({ x, y, z, value }) => grid.set(x, y - distance, z, value)));
+}
+
+// Two pillars three high, a five-wide deck on top
+const BRIDGE = [...column(0, 0, 2), ...column(4, 0, 2), ...row(0, 4, 3)];
+
+// A pillar three high with a three-long arm off its top
+const CANTILEVER = [...column(0, 0, 2), ...row(1, 3, 2)];
+
+test('a bridge deck is reached from both pillars', () => {
+    const reach = supportReach(gridOf(BRIDGE));
+    assert.equal(reach.get(cellKey(0, 3, 0)), 0);
+    assert.equal(reach.get(cellKey(1, 3, 0)), 1);
+    assert.equal(reach.get(cellKey(2, 3, 0)), 2);
+    assert.equal(reach.get(cellKey(3, 3, 0)), 1);
+});
+
+test('a bridge stands with pure connectivity and loses its middle when weak', () => {
+    assert.deepEqual(findUnsupported(gridOf(BRIDGE)), []);
+    assert.deepEqual(cellsOf(findUnsupported(gridOf(BRIDGE), { supportStrength: 1 })), [[2, 3, 0]]);
+});
+
+test('cantilever reach grows by one per cell sideways', () => {
+    const reach = supportReach(gridOf(CANTILEVER));
+    assert.deepEqual([1, 2, 3].map(x => reach.get(cellKey(x, 2, 0))), [1, 2, 3]);
+    assert.equal(reach.get(cellKey(0, 2, 0)), 0);
+});
+
+test('cantilever at strength 0 drops the whole arm as one cluster', () => {
+    const clusters = findUnsupported(gridOf(CANTILEVER), { supportStrength: 0 });
+    assert.equal(clusters.length, 1);
+    assert.deepEqual(cellsOf(clusters), [[1, 2, 0], [2, 2, 0], [3, 2, 0]]);
+});
+
+test('cantilever at strength 2 drops only the cell past reach 2', () => {
+    const clusters = findUnsupported(gridOf(CANTILEVER), { supportStrength: 2 });
+    assert.deepEqual(cellsOf(clusters), [[3, 2, 0]]);
+});
+
+test('cantilever at strength Infinity stands', () => {
+    assert.deepEqual(findUnsupported(gridOf(CANTILEVER), { supportStrength: Infinity }), []);
+});
+
+test('stacked clusters land on each other, lowest first', () => {
+    const grid = gridOf([[0, 3, 0], [0, 6, 0]]);
+    const falls = planFalls(grid);
+    assert.deepEqual(falls.map(({ cells, distance }) => [cells[0].y, distance]), [[3, 3], [6, 5]]);
+
+    applyFalls(grid, falls);
+    assert.deepEqual(cellsOf([grid.cells()]), [[0, 0, 0], [0, 1, 0]]);
+    assert.deepEqual(planFalls(grid), []);
+});
+
+test('a cluster blocked by one that has not dropped yet falls the rest on a later call', () => {
+    // An L whose arm hangs over a loose voxel; the L is lower, so it goes first
+    const hook = [...column(0, 2, 6), ...row(1, 2, 6)];
+    const grid = gridOf([...hook, [2, 4, 0]]);
+
+    const falls = planFalls(grid);
+    assert.equal(falls.length, 2);
+    assert.equal(falls[0].cells.length, hook.length);
+    assert.equal(falls[0].distance, 1);                        // Arm stopped by the loose voxel
+    assert.deepEqual(cellsOf([falls[1].cells]), [[2, 4, 0]]);
+    assert.equal(falls[1].distance, 4);                        // Then that one reaches the floor
+
+    applyFalls(grid, falls);
+    const next = planFalls(grid);
+    assert.equal(next.length, 1);
+    assert.equal(next[0].cells.length, hook.length);
+    assert.equal(next[0].distance, 1);                         // The L comes down onto it
+
+    applyFalls(grid, next);
+    assert.deepEqual(planFalls(grid), []);
+});
@@ -0,0 +1,254 @@
+/* ============================================
+   TIMELAPSE - Build Log and Playback
+   ============================================
+
+   TimelapseLog keeps the changes a VoxelGrid reports,
+   with the time they happened, so a scene can be rebuilt
+   the way it went up. It starts from `base`, the cells
+   the scene already held when logging began (scenes made
+   before there was a log), and steps are:
+
+       { t, cells: [{ x, y, z, value }] }    value is { color, material? },
+                                             or null for a removal
+       { t, clear: true }
+
+   t is ms since `startedAt` (epoch ms). Logs survive
+   reloads, so the gap between two steps can be days.
+
+   One step per edit: everything recorded in the same
+   task (a shape, a paste, an undo) lands in one step, and
+   amend() folds follow-up changes such as falling voxels
+   into the step before, so only where they end up is
+   kept. Past maxSteps the oldest steps are folded into
+   `base`.
+
+   TimelapsePlayer drives a separate VoxelGrid through the
+   log on a compressed timeline: pauses longer than maxGap
+   are cut to maxGap, so playback shows building, not
+   waiting.
+*/
+
+import { cellKey } from './voxel-grid.js';
+
+const DEFAULT_MAX_STEPS = 5000;
+
+function sameValue(a, b) {
+    if (a === b) return true;
+    if (!a || !b) return false;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export class TimelapseLog {
+    /**
+     * @param {Object} [data] - { startedAt, base, steps }, as returned by toJSON
+     * @param {Object} [options] - { maxSteps } steps kept before the oldest fold into base
+     */
+    constructor({ startedAt = Date.now(), base = [], steps = [] } = {}, { maxSteps = DEFAULT_MAX_STEPS } = {}) {
+        this.startedAt = startedAt;
+        this.base = base;
+        this.steps = steps;
+        this.maxSteps = maxSteps;
+
+        // Cells of the last step by key, with the value they had
+        // before it, so changes that cancel out can be dropped
+        this.lastCells = null;
+        this.open = false;      // Still taking this task's changes
+
+        this._trim();
+    }
+
+    /**
+     * A new log that starts from what the grid holds now
+     * @param {VoxelGrid} grid
+     * @param {Object} [options] - See the constructor
+     */
+    static fromGrid(grid, options) {
+        const base = grid.cells().map(({ x, y, z, value }) => ({ x, y, z, value }));
+        return new TimelapseLog({ startedAt: Date.now(), base }, options);
+    }
+
+    get length() {
+        return this.steps.length;
+    }
+
+    /**
+     * @param {Object} event - VoxelGrid change event
+     * @param {number} [now] - Epoch ms
+     */
+    record(event, now = Date.now()) {
+        if (!this.open || event.type === 'clear') this._startStep(event, now);
+        if (event.type !== 'clear') this._merge(event);
+    }
+
+    /**
+     * Fold a change into the last step, like HistoryManager.amend.
+     * Starts a step if there is none to fold into (or it is a clear).
+     * @param {Object} event - VoxelGrid change event
+     * @param {number} [now] - Epoch ms
+     */
+    amend(event, now = Date.now()) {
+        if (!this.lastCells || event.type === 'clear') {
+            this.record(event, now);
+            return;
+        }
+        this._merge(event);
+    }
+
+    toJSON() {
+        this._prune();
+        return { startedAt: this.startedAt, base: this.base, steps: this.steps };
+    }
+
+    _startStep(event, now) {
+        this._prune();
+        const t = Math.max(0, Math.round(now - this.startedAt));
+        if (event.type === 'clear') {
+            this.steps.push({ t, clear: true });
+            this.lastCells = null;
+            this.open = false;
+        } else {
+            this.steps.push({ t, cells: [] });
+            this.lastCells = new Map();
+            // Everything an edit changes is reported before it returns
+            this.open = true;
+            queueMicrotask(() => this.open = false);
+        }
+        this._trim();
+    }
+
+    _merge(event) {
+        const { x, y, z } = event;
+        const value = event.type === 'set' ? event.value : null;
+        const key = cellKey(x, y, z);
+        const entry = this.lastCells.get(key);
+        if (entry) {
+            entry.cell.value = value;
+        } else {
+            const cell = { x, y, z, value };
+            this.lastCells.set(key, { cell, before: event.previous || null });
+            this.steps[this.steps.length - 1].cells.push(cell);
+        }
+    }
+
+    // Drop cells of the last step that ended where they started,
+    // and the step itself if nothing is left. They leave lastCells
+    // too: a later change to the cell is merged in as a new one.
+    _prune() {
+        if (!this.lastCells) return;
+        const step = this.steps[this.steps.length - 1];
+        step.cells = step.cells.filter(cell => {
+            const key = cellKey(cell.x, cell.y, cell.z);
+            if (!sameValue(this.lastCells.get(key).before, cell.value)) return true;
+            this.lastCells.delete(key);
+            return false;
+        });
+        if (step.cells.length === 0) {
+            this.steps.pop();
+            this.lastCells = null;
+            this.open = false;
+        }
+    }
+
+    // Fold the oldest steps into base. Down to 90% of maxSteps,
+    // so the next few steps don't each rebuild it.
+    _trim() {
+        if (this.steps.length <= this.maxSteps) return;
+        const folded = this.steps.splice(0, this.steps.length - Math.floor(this.maxSteps * 0.9));
+
+        const cells = new Map(this.base.map(cell => [cellKey(cell.x, cell.y, cell.z), cell]));
+        folded.forEach(step => {
+            if (step.clear) {
+                cells.clear();
+                return;
+            }
+            step.cells.forEach(({ x, y, z, value }) => {
+                if (value) cells.set(cellKey(x, y, z), { x, y, z, value });
+                else cells.delete(cellKey(x, y, z));
+            });
+        });
+        this.base = [...cells.values()];
+    }
+}
+
+export class TimelapsePlayer {
+    /**
+     * @param {TimelapseLog} log
+     * @param {VoxelGrid} grid - Playback grid; the player owns its contents
+     * @param {Object} [options] - { maxGap } longest pause kept, in ms
+     */
+    constructor(log, grid, { maxGap = 1000 } = {}) {
+        // A copy: the log keeps taking changes (gravity, other
+        // people's edits) and folding old steps during playback
+        const { base, steps } = log.toJSON();
+        this.base = base;
+        this.steps = steps.slice();
+        this.grid = grid;
+
+        // Playback time of every step. The first one comes one
+        // maxGap in, so playback opens on the base scene.
+        this.times = new Float64Array(steps.length);
+        let time = 0;
+        let previous = steps.length ? steps[0].t - maxGap : 0;
+        steps.forEach((step, i) => {
+            time += Math.min(Math.max(0, step.t - previous), maxGap);
+            previous = step.t;
+            this.times[i] = time;
+        });
+
+        this.index = -1;    // Steps applied; -1 until the base is drawn
+        this.seek(0);
+    }
+
+    get length() {
+        return this.times.length;
+    }
+
+    /**
+     * Playback time of the last step, in ms
+     */
+    get duration() {
+        return this.length ? this.times[this.length - 1] : 0;
+    }
+
+    /**
+     * Playback time at which `count` steps have been applied
+     */
+    timeOf(count) {
+        return count > 0 ? this.times[Math.min(count, this.length) - 1] : 0;
+    }
+
+    /**
+     * Number of steps applied by playback time `time`
+     */
+    countAt(time) {
+        let lo = 0;
+        let hi = this.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.times[mid] <= time) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    /**
+     * Bring the grid to the scene after `count` steps.
+     * Going forward applies the steps in between; going back rebuilds from the base.
+     */
+    seek(count) {
+        count = Math.max(0, Math.min(this.length, count));
+        if (count === this.index) return;
+
+        if (count < this.index || this.index < 0) {
+            this.grid.clear();
+            this.base.forEach(({ x, y, z, value }) => this.grid.set(x, y, z, value));
+            this.index = 0;
+        }
+
+        for (; this.index < count; this.index++) {
+            const step = this.steps[this.index];
+            if (step.clear) this.grid.clear();
+            else step.cells.forEach(({ x, y, z, value }) => this.grid.set(x, y, z, value));
+        }
+    }
+}
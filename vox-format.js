@@ -0,0 +1,417 @@
+/* ============================================
+   VOX FORMAT - MagicaVoxel import / export
+   ============================================
+
+   RIFF-style chunk file:
+
+       "VOX " <version:int32>
+       MAIN
+         SIZE  <x, y, z : int32>
+         XYZI  <n : int32> n × <x, y, z, colorIndex : uint8>
+         RGBA  256 × <r, g, b, a : uint8>
+
+   Files written by MagicaVoxel 0.99+ may hold several
+   models positioned by a scene graph (nTRN / nGRP / nSHP).
+   Node translations are applied; rotations are ignored.
+
+   Axes: MagicaVoxel is Z-up, the editor is Y-up.
+       editor (x, y, z) = vox (x, z, -y)
+   Cells convert to the half-offset world centers that
+   snapToGrid produces:
+       world = cell * voxelSize + voxelSize / 2
+*/
+
+const VOX_VERSION = 150;
+const MAX_DIMENSION = 256;
+const MAX_COLORS = 255;   // Color index 0 means empty
+
+/**
+ * MagicaVoxel's built-in palette, used when a file has no RGBA chunk.
+ * Index 0 is unused; 1-215 are a 6-level color cube (without black),
+ * followed by 10-step red, green, blue and gray ramps.
+ */
+function defaultPalette() {
+    const palette = [0x000000];
+    const levels = [0xff, 0xcc, 0x99, 0x66, 0x33, 0x00];
+    levels.forEach(r => levels.forEach(g => levels.forEach(b => {
+        if (r || g || b) palette.push((r << 16) | (g << 8) | b);
+    })));
+
+    const ramp = [0xee, 0xdd, 0xbb, 0xaa, 0x88, 0x77, 0x55, 0x44, 0x22, 0x11];
+    ramp.forEach(v => palette.push(v << 16));
+    ramp.forEach(v => palette.push(v << 8));
+    ramp.forEach(v => palette.push(v));
+    ramp.forEach(v => palette.push((v << 16) | (v << 8) | v));
+    return palette;
+}
+
+/**
+ * Nearest palette color by squared RGB distance
+ */
+export function quantizeColor(color, palette) {
+    let best = palette[0];
+    let bestDistance = Infinity;
+    const r = (color >> 16) & 0xff, g = (color >> 8) & 0xff, b = color & 0xff;
+
+    palette.forEach(candidate => {
+        const dr = r - ((candidate >> 16) & 0xff);
+        const dg = g - ((candidate >> 8) & 0xff);
+        const db = b - (candidate & 0xff);
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = candidate;
+        }
+    });
+
+    return best;
+}
+
+// ============================================
+// READING
+// ============================================
+
+class ChunkReader {
+    constructor(buffer) {
+        this.view = new DataView(buffer);
+        this.offset = 0;
+    }
+
+    get remaining() {
+        return this.view.byteLength - this.offset;
+    }
+
+    id() {
+        let s = '';
+        for (let i = 0; i < 4; i++) s += String.fromCharCode(this.view.getUint8(this.offset++));
+        return s;
+    }
+
+    int() {
+        const v = this.view.getInt32(this.offset, true);
+        this.offset += 4;
+        return v;
+    }
+
+    byte() {
+        return this.view.getUint8(this.offset++);
+    }
+
+    string() {
+        const length = this.int();
+        let s = '';
+        for (let i = 0; i < length; i++) s += String.fromCharCode(this.byte());
+        return s;
+    }
+
+    dict() {
+        const dict = {};
+        const count = this.int();
+        for (let i = 0; i < count; i++) {
+            const key = this.string();
+            dict[key] = this.string();
+        }
+        return dict;
+    }
+}
+
+/**
+ * Parse a .vox file into raw models and palette
+ * @returns {{ models: Array<{size, voxels}>, palette: Array<number>, nodes: Map }}
+ */
+function parseVox(buffer) {
+    const reader = new ChunkReader(buffer);
+    if (reader.remaining < 8 || reader.id() !== 'VOX ') {
+        throw new Error('Not a MagicaVoxel file');
+    }
+    reader.int(); // version
+
+    const models = [];
+    const nodes = new Map();
+    let palette = null;
+    let pendingSize = null;
+
+    while (reader.remaining >= 12) {
+        const start = reader.offset;
+        const id = reader.id();
+        const contentSize = reader.int();
+        const childrenSize = reader.int(); // Children follow inline, MAIN is just a wrapper
+        const end = reader.offset + (id === 'MAIN' ? 0 : contentSize);
+
+        // A negative size would point back at this chunk and never end
+        if (contentSize < 0 || childrenSize < 0 || end > buffer.byteLength) {
+            throw new Error(`Malformed ${id} chunk at byte ${start}`);
+        }
+
+        switch (id) {
+            case 'SIZE':
+                pendingSize = [reader.int(), reader.int(), reader.int()];
+                break;
+
+            case 'XYZI': {
+                const count = reader.int();
+                if (count < 0 || 4 + count * 4 > contentSize) {
+                    throw new Error(`XYZI chunk at byte ${start} holds fewer voxels than it claims`);
+                }
+                const voxels = [];
+                for (let i = 0; i < count; i++) {
+                    voxels.push([reader.byte(), reader.byte(), reader.byte(), reader.byte()]);
+                }
+                models.push({ size: pendingSize, voxels });
+                break;
+            }
+
+            case 'RGBA':
+                palette = [0x000000];
+                for (let i = 0; i < 255; i++) {
+                    const r = reader.byte(), g = reader.byte(), b = reader.byte();
+                    reader.byte(); // alpha
+                    palette.push((r << 16) | (g << 8) | b);
+                }
+                break;
+
+            case 'nTRN': {
+                const nodeId = reader.int();
+                reader.dict();
+                const child = reader.int();
+                reader.int(); // reserved
+                reader.int(); // layer
+                const frames = reader.int();
+                const frame = frames > 0 ? reader.dict() : {};
+                const t = (frame._t || '0 0 0').split(' ').map(Number);
+                nodes.set(nodeId, { type: 'transform', child, translation: t });
+                break;
+            }
+
+            case 'nGRP': {
+                const nodeId = reader.int();
+                reader.dict();
+                const count = reader.int();
+                const children = [];
+                for (let i = 0; i < count; i++) children.push(reader.int());
+                nodes.set(nodeId, { type: 'group', children });
+                break;
+            }
+
+            case 'nSHP': {
+                const nodeId = reader.int();
+                reader.dict();
+                const count = reader.int();
+                const modelIds = [];
+                for (let i = 0; i < count; i++) {
+                    modelIds.push(reader.int());
+                    reader.dict();
+                }
+                nodes.set(nodeId, { type: 'shape', modelIds });
+                break;
+            }
+        }
+
+        reader.offset = end;
+    }
+
+    return { models, palette: palette || defaultPalette(), nodes };
+}
+
+/**
+ * Place every model in vox space, following the scene graph if present.
+ * Returns [{ x, y, z, colorIndex }] in vox coordinates.
+ */
+function flattenModels(models, nodes) {
+    const out = [];
+
+    const emit = (model, [tx, ty, tz]) => {
+        // Scene graph translations refer to the model center
+        const [sx, sy, sz] = model.size;
+        const ox = tx - Math.floor(sx / 2);
+        const oy = ty - Math.floor(sy / 2);
+        const oz = tz - Math.floor(sz / 2);
+        model.voxels.forEach(([x, y, z, colorIndex]) => {
+            out.push({ x: x + ox, y: y + oy, z: z + oz, colorIndex });
+        });
+    };
+
+    if (!nodes.has(0)) {
+        models.forEach(model => emit(model, [0, 0, 0]));
+        return out;
+    }
+
+    const visit = (nodeId, [tx, ty, tz]) => {
+        const node = nodes.get(nodeId);
+        if (!node) return;
+
+        if (node.type === 'transform') {
+            const [dx, dy, dz] = node.translation;
+            visit(node.child, [tx + dx, ty + dy, tz + dz]);
+        } else if (node.type === 'group') {
+            node.children.forEach(child => visit(child, [tx, ty, tz]));
+        } else if (node.type === 'shape') {
+            node.modelIds.forEach(id => {
+                if (models[id]) emit(models[id], [tx, ty, tz]);
+            });
+        }
+    };
+
+    visit(0, [0, 0, 0]);
+    return out;
+}
+
+/**
+ * Decode a .vox file into editor voxels
+ *
+ * @param {ArrayBuffer} buffer
+ * @param {Object} options
+ * @param {number} options.voxelSize - CONFIG.VOXEL_SIZE
+ * @param {Array<number>} options.palette - Editor palette
+ * @param {string} [options.paletteMode] - 'extend' keeps the file's colors (appended to the palette),
+ *                                         'quantize' snaps them to the nearest editor color
+ * @returns {{ voxels: Array<{x, y, z, color}>, palette: Array<number> }}
+ */
+export function decodeVox(buffer, { voxelSize, palette, paletteMode = 'extend' }) {
+    const parsed = parseVox(buffer);
+    const raw = flattenModels(parsed.models, parsed.nodes);
+    const outPalette = [...palette];
+
+    const colorFor = (colorIndex) => {
+        const color = parsed.palette[colorIndex];
+        if (paletteMode === 'quantize') return quantizeColor(color, palette);
+        if (!outPalette.includes(color)) outPalette.push(color);
+        return color;
+    };
+
+    // Editor Y-up; rest the lowest voxel on the floor
+    const minZ = raw.reduce((m, v) => Math.min(m, v.z), Infinity);
+    const voxels = raw.map(v => {
+        const cell = { x: v.x, y: v.z - minZ, z: -v.y };
+        return {
+            x: cell.x * voxelSize + voxelSize / 2,
+            y: cell.y * voxelSize + voxelSize / 2,
+            z: cell.z * voxelSize + voxelSize / 2,
+            color: colorFor(v.colorIndex)
+        };
+    });
+
+    return { voxels, palette: outPalette };
+}
+
+// ============================================
+// WRITING
+// ============================================
+
+/**
+ * Build the (at most 255 color) palette for export.
+ * Editor palette colors keep their order; the most used remaining
+ * colors fill the rest and anything beyond that is quantized.
+ */
+function buildExportPalette(voxels, editorPalette) {
+    const usage = new Map();
+    voxels.forEach(v => usage.set(v.color, (usage.get(v.color) || 0) + 1));
+
+    const palette = editorPalette.slice(0, MAX_COLORS);
+    const extras = [...usage.keys()]
+        .filter(c => !palette.includes(c))
+        .sort((a, b) => usage.get(b) - usage.get(a));
+    extras.slice(0, MAX_COLORS - palette.length).forEach(c => palette.push(c));
+
+    const indexOf = new Map(palette.map((c, i) => [c, i + 1]));
+    usage.forEach((_, color) => {
+        if (!indexOf.has(color)) indexOf.set(color, indexOf.get(quantizeColor(color, palette)));
+    });
+
+    return { palette, indexOf };
+}
+
+/**
+ * Encode editor voxels as a .vox file
+ *
+ * @param {Array<{x, y, z, color}>} voxels - World-space cell centers
+ * @param {Object} options
+ * @param {number} options.voxelSize
+ * @param {Array<number>} options.palette - Editor palette (listed first in the file)
+ * @returns {ArrayBuffer}
+ */
+export function encodeVox(voxels, { voxelSize, palette: editorPalette }) {
+    // World centers -> vox cells
+    const cells = voxels.map(v => ({
+        x: Math.floor(v.x / voxelSize),
+        y: -Math.floor(v.z / voxelSize),
+        z: Math.floor(v.y / voxelSize),
+        color: v.color
+    }));
+
+    const min = [0, 0, 0];
+    const size = [1, 1, 1];
+    if (cells.length > 0) {
+        // A loop, not Math.min(...values): spreading one argument
+        // per voxel overflows the stack on large scenes
+        ['x', 'y', 'z'].forEach((axis, i) => {
+            let lo = Infinity;
+            let hi = -Infinity;
+            cells.forEach(c => {
+                lo = Math.min(lo, c[axis]);
+                hi = Math.max(hi, c[axis]);
+            });
+            min[i] = lo;
+            size[i] = hi - lo + 1;
+        });
+    }
+    if (size.some(s => s > MAX_DIMENSION)) {
+        throw new Error(`Scene is larger than ${MAX_DIMENSION} voxels along one axis`);
+    }
+
+    const { palette, indexOf } = buildExportPalette(voxels, editorPalette);
+
+    const sizeChunk = 12;
+    const xyziChunk = 4 + cells.length * 4;
+    const rgbaChunk = 256 * 4;
+    const children = (12 + sizeChunk) + (12 + xyziChunk) + (12 + rgbaChunk);
+
+    const buffer = new ArrayBuffer(8 + 12 + children);
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    const writeId = (id) => {
+        for (let i = 0; i < 4; i++) view.setUint8(offset++, id.charCodeAt(i));
+    };
+    const writeInt = (v) => {
+        view.setInt32(offset, v, true);
+        offset += 4;
+    };
+    const writeByte = (v) => view.setUint8(offset++, v);
+
+    writeId('VOX ');
+    writeInt(VOX_VERSION);
+
+    writeId('MAIN');
+    writeInt(0);
+    writeInt(children);
+
+    writeId('SIZE');
+    writeInt(sizeChunk);
+    writeInt(0);
+    size.forEach(writeInt);
+
+    writeId('XYZI');
+    writeInt(xyziChunk);
+    writeInt(0);
+    writeInt(cells.length);
+    cells.forEach(c => {
+        writeByte(c.x - min[0]);
+        writeByte(c.y - min[1]);
+        writeByte(c.z - min[2]);
+        writeByte(indexOf.get(c.color));
+    });
+
+    writeId('RGBA');
+    writeInt(rgbaChunk);
+    writeInt(0);
+    for (let i = 0; i < 256; i++) {
+        const color = palette[i] ?? 0;
+        writeByte((color >> 16) & 0xff);
+        writeByte((color >> 8) & 0xff);
+        writeByte(color & 0xff);
+        writeByte(i < palette.length ? 0xff : 0);
+    }
+
+    return buffer;
+}
@@ -0,0 +1,280 @@
+/* ============================================
+   VOXEL GRID - Sparse Voxel Data Model
+   ============================================
+
+   The single source of truth for what is in the scene.
+   No Three.js, no DOM: it can be used and tested in
+   plain Node.
+
+   Coordinates are integer cells. The editor maps a cell
+   to the world-space center of its voxel:
+
+       world = cell * VOXEL_SIZE + VOXEL_SIZE / 2
+
+   Storage is chunked: the world is split into
+   CHUNK_SIZE³ blocks, and only chunks that hold at least
+   one voxel exist. Inside a chunk, voxels live in a Map
+   keyed by their local index, so empty space costs
+   nothing.
+
+   Every mutation emits a 'change' event:
+
+       { type: 'set',    x, y, z, value, previous }
+       { type: 'delete', x, y, z, previous }
+       { type: 'clear' }
+
+   Renderers, savers, etc. subscribe instead of being
+   called from every editing function.
+*/
+
+export const CHUNK_SIZE = 16;
+
+// The six face neighbours
+export const FACE_OFFSETS = [
+    [1, 0, 0], [-1, 0, 0],
+    [0, 1, 0], [0, -1, 0],
+    [0, 0, 1], [0, 0, -1]
+];
+
+export function cellKey(x, y, z) {
+    return `${x},${y},${z}`;
+}
+
+export function parseCellKey(key) {
+    const [x, y, z] = key.split(',').map(Number);
+    return { x, y, z };
+}
+
+function chunkCoord(v) {
+    return Math.floor(v / CHUNK_SIZE);
+}
+
+function localIndex(x, y, z) {
+    const lx = x - chunkCoord(x) * CHUNK_SIZE;
+    const ly = y - chunkCoord(y) * CHUNK_SIZE;
+    const lz = z - chunkCoord(z) * CHUNK_SIZE;
+    return (lx * CHUNK_SIZE + ly) * CHUNK_SIZE + lz;
+}
+
+export class VoxelGrid {
+    constructor() {
+        this.chunks = new Map();        // "cx,cy,cz" -> { cx, cy, cz, cells: Map<localIndex, value> }
+        this.columnChunks = new Map();  // "cx,cz" -> Set<cy>, for column queries
+        this.count = 0;
+        this.listeners = new Set();
+    }
+
+    get size() {
+        return this.count;
+    }
+
+    // ============================================
+    // EVENTS
+    // ============================================
+
+    /**
+     * @param {Function} listener - Receives change events (see header)
+     * @returns {Function} - Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    _emit(event) {
+        this.listeners.forEach(listener => listener(event));
+    }
+
+    // ============================================
+    // CELL ACCESS
+    // ============================================
+
+    _chunkAt(x, y, z, create = false) {
+        const cx = chunkCoord(x), cy = chunkCoord(y), cz = chunkCoord(z);
+        const key = cellKey(cx, cy, cz);
+        let chunk = this.chunks.get(key);
+
+        if (!chunk && create) {
+            chunk = { cx, cy, cz, cells: new Map() };
+            this.chunks.set(key, chunk);
+
+            const columnKey = `${cx},${cz}`;
+            if (!this.columnChunks.has(columnKey)) this.columnChunks.set(columnKey, new Set());
+            this.columnChunks.get(columnKey).add(cy);
+        }
+        return chunk;
+    }
+
+    _dropChunk(chunk) {
+        this.chunks.delete(cellKey(chunk.cx, chunk.cy, chunk.cz));
+
+        const columnKey = `${chunk.cx},${chunk.cz}`;
+        const column = this.columnChunks.get(columnKey);
+        column.delete(chunk.cy);
+        if (column.size === 0) this.columnChunks.delete(columnKey);
+    }
+
+    /**
+     * @returns {Object|null} - The voxel value (e.g. { color }) or null when empty
+     */
+    get(x, y, z) {
+        const chunk = this._chunkAt(x, y, z);
+        if (!chunk) return null;
+        return chunk.cells.get(localIndex(x, y, z)) ?? null;
+    }
+
+    has(x, y, z) {
+        return this.get(x, y, z) !== null;
+    }
+
+    /**
+     * Store a voxel value. Passing null deletes the cell.
+     */
+    set(x, y, z, value) {
+        if (value === null || value === undefined) {
+            this.delete(x, y, z);
+            return;
+        }
+
+        const chunk = this._chunkAt(x, y, z, true);
+        const index = localIndex(x, y, z);
+        const previous = chunk.cells.get(index) ?? null;
+
+        chunk.cells.set(index, value);
+        if (!previous) this.count++;
+
+        this._emit({ type: 'set', x, y, z, value, previous });
+    }
+
+    delete(x, y, z) {
+        const chunk = this._chunkAt(x, y, z);
+        if (!chunk) return;
+
+        const index = localIndex(x, y, z);
+        const previous = chunk.cells.get(index);
+        if (!previous) return;
+
+        chunk.cells.delete(index);
+        if (chunk.cells.size === 0) this._dropChunk(chunk);
+        this.count--;
+
+        this._emit({ type: 'delete', x, y, z, previous });
+    }
+
+    clear() {
+        this.chunks.clear();
+        this.columnChunks.clear();
+        this.count = 0;
+        this._emit({ type: 'clear' });
+    }
+
+    // ============================================
+    // QUERIES
+    // ============================================
+
+    /**
+     * Visit every voxel: callback(value, x, y, z)
+     */
+    forEach(callback) {
+        this.chunks.forEach(chunk => {
+            const ox = chunk.cx * CHUNK_SIZE;
+            const oy = chunk.cy * CHUNK_SIZE;
+            const oz = chunk.cz * CHUNK_SIZE;
+            chunk.cells.forEach((value, index) => {
+                const lz = index % CHUNK_SIZE;
+                const ly = Math.floor(index / CHUNK_SIZE) % CHUNK_SIZE;
+                const lx = Math.floor(index / (CHUNK_SIZE * CHUNK_SIZE));
+                callback(value, ox + lx, oy + ly, oz + lz);
+            });
+        });
+    }
+
+    /**
+     * All voxels as [{ x, y, z, value }]
+     */
+    cells() {
+        const out = [];
+        this.forEach((value, x, y, z) => out.push({ x, y, z, value }));
+        return out;
+    }
+
+    /**
+     * The six face neighbours of a cell
+     * @param {boolean} [includeEmpty] - Also return empty neighbours (value null)
+     */
+    neighbors(x, y, z, includeEmpty = false) {
+        const out = [];
+        FACE_OFFSETS.forEach(([dx, dy, dz]) => {
+            const value = this.get(x + dx, y + dy, z + dz);
+            if (value || includeEmpty) out.push({ x: x + dx, y: y + dy, z: z + dz, value });
+        });
+        return out;
+    }
+
+    /**
+     * Voxels in the column (x, z), bottom to top: [{ y, value }]
+     */
+    column(x, z) {
+        const chunkLayers = this.columnChunks.get(`${chunkCoord(x)},${chunkCoord(z)}`);
+        if (!chunkLayers) return [];
+
+        const out = [];
+        [...chunkLayers].sort((a, b) => a - b).forEach(cy => {
+            for (let ly = 0; ly < CHUNK_SIZE; ly++) {
+                const y = cy * CHUNK_SIZE + ly;
+                const value = this.get(x, y, z);
+                if (value) out.push({ y, value });
+            }
+        });
+        return out;
+    }
+
+    /**
+     * Highest occupied y in the column (x, z), or -1 if it is empty
+     */
+    columnTop(x, z) {
+        const column = this.column(x, z);
+        return column.length > 0 ? column[column.length - 1].y : -1;
+    }
+
+    /**
+     * Voxels inside the inclusive box [min, max]: [{ x, y, z, value }]
+     * Chunks outside the box are skipped entirely.
+     */
+    region(min, max) {
+        const out = [];
+        this.chunks.forEach(chunk => {
+            const ox = chunk.cx * CHUNK_SIZE;
+            const oy = chunk.cy * CHUNK_SIZE;
+            const oz = chunk.cz * CHUNK_SIZE;
+            if (ox > max.x || oy > max.y || oz > max.z) return;
+            if (ox + CHUNK_SIZE <= min.x || oy + CHUNK_SIZE <= min.y || oz + CHUNK_SIZE <= min.z) return;
+
+            chunk.cells.forEach((value, index) => {
+                const x = ox + Math.floor(index / (CHUNK_SIZE * CHUNK_SIZE));
+                const y = oy + Math.floor(index / CHUNK_SIZE) % CHUNK_SIZE;
+                const z = oz + index % CHUNK_SIZE;
+                if (x >= min.x && x <= max.x && y >= min.y && y <= max.y && z >= min.z && z <= max.z) {
+                    out.push({ x, y, z, value });
+                }
+            });
+        });
+        return out;
+    }
+
+    /**
+     * Inclusive bounding box of all voxels, or null when empty
+     */
+    bounds() {
+        if (this.count === 0) return null;
+
+        const min = { x: Infinity, y: Infinity, z: Infinity };
+        const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+        this.forEach((value, x, y, z) => {
+            min.x = Math.min(min.x, x); max.x = Math.max(max.x, x);
+            min.y = Math.min(min.y, y); max.y = Math.max(max.y, y);
+            min.z = Math.min(min.z, z); max.z = Math.max(max.z, z);
+        });
+        return { min, max };
+    }
+}
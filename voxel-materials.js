@@ -0,0 +1,106 @@
+/* ============================================
+   VOXEL MATERIALS - Block Material Library
+   ============================================
+
+   Every voxel stores a material id next to its color:
+
+       { color }              matte (the default, id omitted)
+       { color, material }    any other entry below
+
+   Textured blocks read one tile of a local image atlas
+   (textures/atlas.png). Tiles are ATLAS_TILE px squares
+   laid out left to right. They are light grey so the
+   voxel color tints them.
+*/
+
+import * as THREE from 'three';
+
+export const DEFAULT_MATERIAL = 'matte';
+
+export const ATLAS_URL = 'textures/atlas.png';
+export const ATLAS_TILES = 4;    // Tiles across the atlas
+export const ATLAS_TILE = 16;    // Tile size in pixels
+
+export const MATERIALS = [
+    { id: 'matte', name: 'Matte', icon: '◼', roughness: 0.4, metalness: 0.1 },
+    { id: 'metal', name: 'Metal', icon: '⚙️', roughness: 0.25, metalness: 0.9 },
+    { id: 'glass', name: 'Glass', icon: '💎', roughness: 0.05, metalness: 0, opacity: 0.35 },
+    { id: 'emissive', name: 'Glowing', icon: '💡', roughness: 0.4, metalness: 0, emissive: 1.2 },
+    { id: 'brick', name: 'Brick', tile: 0, roughness: 0.8, metalness: 0 },
+    { id: 'planks', name: 'Planks', tile: 1, roughness: 0.7, metalness: 0 },
+    { id: 'stone', name: 'Stone', tile: 2, roughness: 0.9, metalness: 0 },
+    { id: 'tiles', name: 'Tiles', tile: 3, roughness: 0.3, metalness: 0 }
+];
+
+const byId = new Map(MATERIALS.map(def => [def.id, def]));
+
+let atlas = null;
+let environment = null;
+
+/**
+ * Definition for a material id. Unknown ids fall back to matte,
+ * so scenes from newer editors still open.
+ */
+export function getMaterialDef(id) {
+    return byId.get(id) || byId.get(DEFAULT_MATERIAL);
+}
+
+/**
+ * Reflections for metal and glass. Only affects materials created afterwards.
+ * @param {THREE.Texture} texture - PMREM environment map
+ */
+export function setMaterialEnvironment(texture) {
+    environment = texture;
+}
+
+function loadAtlas() {
+    if (!atlas) {
+        atlas = new THREE.TextureLoader().load(ATLAS_URL);
+        atlas.colorSpace = THREE.SRGBColorSpace;
+        atlas.magFilter = THREE.NearestFilter;   // Crisp pixel-art tiles
+        atlas.minFilter = THREE.NearestMipmapLinearFilter;
+    }
+    return atlas;
+}
+
+/**
+ * Three.js material for one (material id, color) pair
+ */
+export function createBlockMaterial(id, color) {
+    const def = getMaterialDef(id);
+    const params = {
+        color,
+        roughness: def.roughness,
+        metalness: def.metalness
+    };
+
+    if (def.opacity !== undefined) {
+        params.transparent = true;
+        params.opacity = def.opacity;
+        params.depthWrite = false;
+    }
+    if (def.emissive !== undefined) {
+        params.emissive = color;
+        params.emissiveIntensity = def.emissive;
+    }
+    if (def.tile !== undefined) {
+        // Each textured material gets its own view onto the shared atlas image
+        const map = loadAtlas().clone();
+        map.repeat.set(1 / ATLAS_TILES, 1);
+        map.offset.set(def.tile / ATLAS_TILES, 0);
+        map.needsUpdate = true;
+        params.map = map;
+    }
+    if (environment && (def.metalness > 0.5 || def.opacity !== undefined)) {
+        params.envMap = environment;
+    }
+
+    return new THREE.MeshStandardMaterial(params);
+}
+
+/**
+ * Whether voxels of this material should cast shadows
+ */
+export function castsShadow(id) {
+    return getMaterialDef(id).opacity === undefined;
+}
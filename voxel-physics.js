@@ -0,0 +1,145 @@
+/* ============================================
+   VOXEL PHYSICS - Structural Gravity
+   ============================================
+
+   Connectivity-based gravity on a VoxelGrid. It only
+   reads the grid and returns what should move; the
+   editor writes and animates the result.
+
+   A voxel stands if it is connected (through face
+   neighbours) to the floor (y = 0) within its support
+   strength. Its reach counts how far it sticks out
+   sideways from whatever holds it up:
+
+       resting on a voxel          reach of that voxel
+       beside / below a voxel      reach of that voxel + 1
+       on the floor                0
+
+   and a voxel with reach > supportStrength breaks off.
+   supportStrength = Infinity gives pure connectivity:
+   any bridge or overhang holds as long as it touches
+   something that stands. 0 lets nothing stick out.
+
+   Everything that doesn't stand is split into clusters
+   (face-connected groups), and each cluster falls as one
+   rigid body until any of its voxels hits something.
+*/
+
+import { FACE_OFFSETS, cellKey } from './voxel-grid.js';
+
+/**
+ * Reach of every voxel that stands, see header
+ * @param {VoxelGrid} grid
+ * @param {number} [supportStrength]
+ * @returns {Map<string, number>} - cellKey -> reach; voxels that fall are missing
+ */
+export function supportReach(grid, supportStrength = Infinity) {
+    const reach = new Map();
+
+    // Breadth-first by reach level: resting on a voxel costs nothing
+    // (same level), sticking out costs one (next level)
+    let level = [];
+    grid.forEach((value, x, y, z) => {
+        if (y === 0) {
+            reach.set(cellKey(x, y, z), 0);
+            level.push({ x, y, z });
+        }
+    });
+
+    for (let r = 0; level.length > 0; r++) {
+        const next = [];
+        for (let i = 0; i < level.length; i++) {
+            const { x, y, z } = level[i];
+            FACE_OFFSETS.forEach(([dx, dy, dz]) => {
+                const nx = x + dx, ny = y + dy, nz = z + dz;
+                if (!grid.has(nx, ny, nz)) return;
+
+                const key = cellKey(nx, ny, nz);
+                const cost = dy === 1 ? 0 : 1;
+                const nr = r + cost;
+                if (nr > supportStrength || (reach.has(key) && reach.get(key) <= nr)) return;
+
+                reach.set(key, nr);
+                (cost === 0 ? level : next).push({ x: nx, y: ny, z: nz });
+            });
+        }
+        level = next;
+    }
+
+    return reach;
+}
+
+/**
+ * Voxels that don't stand, grouped into face-connected clusters
+ * @returns {Array} - [[{ x, y, z, value }]]
+ */
+export function findUnsupported(grid, { supportStrength = Infinity } = {}) {
+    const reach = supportReach(grid, supportStrength);
+    const seen = new Set();
+    const clusters = [];
+
+    grid.forEach((value, x, y, z) => {
+        const start = cellKey(x, y, z);
+        if (reach.has(start) || seen.has(start)) return;
+
+        const cluster = [];
+        const stack = [{ x, y, z }];
+        seen.add(start);
+        while (stack.length > 0) {
+            const cell = stack.pop();
+            cluster.push({ ...cell, value: grid.get(cell.x, cell.y, cell.z) });
+            FACE_OFFSETS.forEach(([dx, dy, dz]) => {
+                const nx = cell.x + dx, ny = cell.y + dy, nz = cell.z + dz;
+                const key = cellKey(nx, ny, nz);
+                if (seen.has(key) || reach.has(key) || !grid.has(nx, ny, nz)) return;
+                seen.add(key);
+                stack.push({ x: nx, y: ny, z: nz });
+            });
+        }
+        clusters.push(cluster);
+    });
+
+    return clusters;
+}
+
+/**
+ * Where every unsupported cluster lands
+ *
+ * Clusters are dropped lowest first. One that hasn't dropped yet
+ * is an obstacle like any other voxel, so nothing ever passes
+ * through anything; a cluster blocked that way falls on a later call.
+ *
+ * @param {VoxelGrid} grid
+ * @param {Object} [options] - { supportStrength }
+ * @returns {Array} - [{ cells: [{ x, y, z, value }], distance }], distance in cells (> 0)
+ */
+export function planFalls(grid, options = {}) {
+    const clusters = findUnsupported(grid, options);
+    if (clusters.length === 0) return [];
+
+    const occupied = new Set();
+    grid.forEach((value, x, y, z) => occupied.add(cellKey(x, y, z)));
+
+    // Lowest first. reduce, not Math.min(...): a big cluster would
+    // overflow the argument limit.
+    const lowest = new Map(clusters.map(cluster =>
+        [cluster, cluster.reduce((y, cell) => Math.min(y, cell.y), Infinity)]));
+    clusters.sort((a, b) => lowest.get(a) - lowest.get(b));
+
+    const falls = [];
+    clusters.forEach(cells => {
+        cells.forEach(({ x, y, z }) => occupied.delete(cellKey(x, y, z)));
+
+        let distance = Infinity;
+        cells.forEach(({ x, y, z }) => {
+            let free = 0;
+            while (free < distance && y - free - 1 >= 0 && !occupied.has(cellKey(x, y - free - 1, z))) free++;
+            distance = Math.min(distance, free);
+        });
+
+        cells.forEach(({ x, y, z }) => occupied.add(cellKey(x, y - distance, z)));
+        if (distance > 0) falls.push({ cells, distance });
+    });
+
+    return falls;
+}
@@ -0,0 +1,72 @@
+/* ============================================
+   VOXEL PICKING - Grid DDA Ray Traversal
+   ============================================
+
+   Amanatides & Woo "A Fast Voxel Traversal Algorithm":
+   the ray is stepped cell by cell, always crossing the
+   nearest cell boundary next. Each step is one map lookup,
+   so picking costs O(cells along the ray) instead of
+   intersecting every voxel mesh.
+
+   For each axis:
+       tMax   = ray distance to the first boundary crossing
+       tDelta = ray distance between two boundary crossings
+*/
+
+/**
+ * Find the first filled cell along a ray
+ *
+ * @param {{x, y, z}} origin - Ray origin (world space)
+ * @param {{x, y, z}} direction - Normalized ray direction
+ * @param {Object} options
+ * @param {number} options.voxelSize
+ * @param {number} options.maxDistance - Stop after this ray length
+ * @param {Function} options.isFilled - (cx, cy, cz) => boolean, integer cell coordinates
+ * @param {number} [options.minCellY] - Stop once the ray drops below this cell layer
+ * @returns {Object|null} - { cell: [x, y, z], normal: [x, y, z], point: [x, y, z], distance }
+ */
+export function raycastVoxels(origin, direction, { voxelSize, maxDistance, isFilled, minCellY = 0 }) {
+    const o = [origin.x / voxelSize, origin.y / voxelSize, origin.z / voxelSize];
+    const d = [direction.x, direction.y, direction.z];
+
+    const cell = o.map(Math.floor);
+    const step = d.map(Math.sign);
+    const tDelta = d.map(v => (v === 0 ? Infinity : Math.abs(1 / v)));
+    const tMax = d.map((v, i) => {
+        if (v === 0) return Infinity;
+        const boundary = v > 0 ? cell[i] + 1 : cell[i];
+        return (boundary - o[i]) / v;
+    });
+
+    const maxT = maxDistance / voxelSize;
+    const normal = [0, 0, 0];
+    let t = 0;
+
+    while (t <= maxT) {
+        // Step across the nearest boundary
+        const axis = tMax[0] < tMax[1]
+            ? (tMax[0] < tMax[2] ? 0 : 2)
+            : (tMax[1] < tMax[2] ? 1 : 2);
+
+        t = tMax[axis];
+        cell[axis] += step[axis];
+        tMax[axis] += tDelta[axis];
+
+        normal[0] = normal[1] = normal[2] = 0;
+        normal[axis] = -step[axis];
+
+        // Below the floor and heading down - nothing left to hit
+        if (cell[1] < minCellY && step[1] <= 0) return null;
+
+        if (t <= maxT && isFilled(cell[0], cell[1], cell[2])) {
+            return {
+                cell: [...cell],
+                normal: [...normal],
+                point: o.map((v, i) => (v + d[i] * t) * voxelSize),
+                distance: t * voxelSize
+            };
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,191 @@
+/* ============================================
+   VOXEL RENDERER - Instanced Rendering
+   ============================================
+
+   One InstancedMesh per color and block material, all
+   sharing a single BoxGeometry. A scene with N voxels in
+   K color/material pairs costs K draw calls instead of N.
+
+   Instances are packed: removing a voxel moves the
+   last instance of its batch into the freed slot.
+   Batches double their capacity when they fill up.
+
+   The renderer follows a VoxelGrid through its change
+   events (see attach), so editing code never talks to
+   it directly.
+*/
+
+import * as THREE from 'three';
+import { cellKey } from './voxel-grid.js';
+import { DEFAULT_MATERIAL, createBlockMaterial, castsShadow } from './voxel-materials.js';
+
+const INITIAL_CAPACITY = 64;
+
+export class VoxelRenderer {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {Object} options
+     * @param {number} options.voxelSize
+     */
+    constructor(scene, { voxelSize }) {
+        this.scene = scene;
+        this.voxelSize = voxelSize;
+        this.geometry = new THREE.BoxGeometry(
+            voxelSize * 0.98,   // Slightly smaller for visual gap
+            voxelSize * 0.98,
+            voxelSize * 0.98
+        );
+        this.batches = new Map();   // "color|material" -> { mesh, keys }
+        this.slots = new Map();     // key -> { batch, index }
+        this.matrix = new THREE.Matrix4();
+        this.visible = true;
+    }
+
+    /**
+     * Mirror a VoxelGrid: draws what it holds now and follows its changes
+     * @returns {Function} - Detach
+     */
+    attach(grid) {
+        this.clear();
+        grid.forEach((value, x, y, z) => this.add(cellKey(x, y, z), this._cellCenter(x, y, z), value));
+
+        return grid.subscribe(event => {
+            if (event.type === 'clear') {
+                this.clear();
+                return;
+            }
+
+            const key = cellKey(event.x, event.y, event.z);
+            if (event.type === 'set') {
+                this.add(key, this._cellCenter(event.x, event.y, event.z), event.value);
+            } else {
+                this.remove(key);
+            }
+        });
+    }
+
+    _cellCenter(x, y, z) {
+        const size = this.voxelSize;
+        return new THREE.Vector3(x * size + size / 2, y * size + size / 2, z * size + size / 2);
+    }
+
+    /**
+     * @param {string} key
+     * @param {THREE.Vector3} position
+     * @param {Object} value - Voxel value: { color, material? }
+     */
+    add(key, position, value) {
+        if (this.slots.has(key)) this.remove(key);
+
+        const batch = this._batchFor(value.color, value.material || DEFAULT_MATERIAL);
+        if (batch.keys.length === batch.mesh.instanceMatrix.count) this._grow(batch);
+
+        const index = batch.keys.length;
+        batch.keys.push(key);
+        this.slots.set(key, { batch, index });
+
+        this.matrix.makeTranslation(position.x, position.y, position.z);
+        batch.mesh.setMatrixAt(index, this.matrix);
+        batch.mesh.count = batch.keys.length;
+        batch.mesh.instanceMatrix.needsUpdate = true;
+    }
+
+    remove(key) {
+        const slot = this.slots.get(key);
+        if (!slot) return;
+        this.slots.delete(key);
+
+        const { batch, index } = slot;
+        const lastIndex = batch.keys.length - 1;
+
+        // Fill the hole with the last instance
+        if (index !== lastIndex) {
+            const lastKey = batch.keys[lastIndex];
+            batch.mesh.getMatrixAt(lastIndex, this.matrix);
+            batch.mesh.setMatrixAt(index, this.matrix);
+            batch.keys[index] = lastKey;
+            this.slots.get(lastKey).index = index;
+        }
+
+        batch.keys.pop();
+        batch.mesh.count = batch.keys.length;
+        batch.mesh.instanceMatrix.needsUpdate = true;
+    }
+
+    /**
+     * Draw a voxel away from its cell (e.g. while it falls).
+     * Adding the key again puts it back on its cell.
+     * @param {string} key
+     * @param {THREE.Vector3} position
+     */
+    setPosition(key, position) {
+        const slot = this.slots.get(key);
+        if (!slot) return;
+
+        this.matrix.makeTranslation(position.x, position.y, position.z);
+        slot.batch.mesh.setMatrixAt(slot.index, this.matrix);
+        slot.batch.mesh.instanceMatrix.needsUpdate = true;
+    }
+
+    clear() {
+        this.batches.forEach(batch => {
+            this.scene.remove(batch.mesh);
+            if (batch.mesh.material.map) batch.mesh.material.map.dispose();
+            batch.mesh.material.dispose();
+            batch.mesh.dispose();
+        });
+        this.batches.clear();
+        this.slots.clear();
+    }
+
+    /**
+     * Show or hide every voxel, including batches created later
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.batches.forEach(batch => batch.mesh.visible = visible);
+    }
+
+    /**
+     * Remove everything from the scene for good
+     */
+    dispose() {
+        this.clear();
+        this.geometry.dispose();
+    }
+
+    _batchFor(color, materialId) {
+        const batchKey = `${color}|${materialId}`;
+        let batch = this.batches.get(batchKey);
+        if (batch) return batch;
+
+        const material = createBlockMaterial(materialId, color);
+        batch = { mesh: this._createMesh(material, INITIAL_CAPACITY, castsShadow(materialId)), keys: [] };
+        this.batches.set(batchKey, batch);
+        this.scene.add(batch.mesh);
+        return batch;
+    }
+
+    _createMesh(material, capacity, castShadow = true) {
+        const mesh = new THREE.InstancedMesh(this.geometry, material, capacity);
+        mesh.count = 0;
+        mesh.visible = this.visible;
+        mesh.castShadow = castShadow;
+        mesh.receiveShadow = true;
+        // Instances move around; the geometry's bounding sphere doesn't cover them
+        mesh.frustumCulled = false;
+        return mesh;
+    }
+
+    _grow(batch) {
+        const old = batch.mesh;
+        const mesh = this._createMesh(old.material, old.instanceMatrix.count * 2, old.castShadow);
+        mesh.instanceMatrix.array.set(old.instanceMatrix.array);
+        mesh.count = old.count;
+
+        this.scene.remove(old);
+        old.dispose();
+        this.scene.add(mesh);
+        batch.mesh = mesh;
+    }
+}
@@ -0,0 +1,112 @@
+/* ============================================
+   VOXEL SELECTION - Boxes & Clipboard
+   ============================================
+
+   Box and clipboard math for region editing. Nothing
+   here writes to a grid: the editor applies the results.
+
+   A box is an inclusive cell range:
+
+       { min: { x, y, z }, max: { x, y, z } }
+
+   A clipboard holds the voxels of a box relative to
+   its min corner, so it can be pasted anywhere:
+
+       { size: { x, y, z }, cells: [{ x, y, z, value }] }
+
+   Transforms (rotate, mirror) return a new clipboard
+   and keep every cell inside 0..size - 1.
+*/
+
+/**
+ * Box spanning two corner cells, in any order
+ */
+export function boxFromCorners(a, b) {
+    return {
+        min: { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), z: Math.min(a.z, b.z) },
+        max: { x: Math.max(a.x, b.x), y: Math.max(a.y, b.y), z: Math.max(a.z, b.z) }
+    };
+}
+
+export function boxSize(box) {
+    return {
+        x: box.max.x - box.min.x + 1,
+        y: box.max.y - box.min.y + 1,
+        z: box.max.z - box.min.z + 1
+    };
+}
+
+/**
+ * Same size box with its min corner at `min`
+ */
+export function moveBox(box, min) {
+    const size = boxSize(box);
+    return {
+        min: { ...min },
+        max: { x: min.x + size.x - 1, y: min.y + size.y - 1, z: min.z + size.z - 1 }
+    };
+}
+
+/**
+ * Box a clipboard covers, at the origin (see moveBox to place it)
+ */
+export function clipboardBox(clipboard) {
+    const { size } = clipboard;
+    return { min: { x: 0, y: 0, z: 0 }, max: { x: size.x - 1, y: size.y - 1, z: size.z - 1 } };
+}
+
+/**
+ * Copy the voxels inside a box out of a VoxelGrid
+ */
+export function copyRegion(grid, box) {
+    const { min } = box;
+    return {
+        size: boxSize(box),
+        cells: grid.region(box.min, box.max).map(({ x, y, z, value }) => ({
+            x: x - min.x,
+            y: y - min.y,
+            z: z - min.z,
+            value
+        }))
+    };
+}
+
+/**
+ * Quarter turn around the Y axis (counter-clockwise seen from above).
+ * Width and depth swap.
+ */
+export function rotateClipboardY(clipboard) {
+    const { size } = clipboard;
+    return {
+        size: { x: size.z, y: size.y, z: size.x },
+        cells: clipboard.cells.map(({ x, y, z, value }) => ({
+            x: z,
+            y,
+            z: size.x - 1 - x,
+            value
+        }))
+    };
+}
+
+/**
+ * Mirror along one axis ('x', 'y' or 'z')
+ */
+export function mirrorClipboard(clipboard, axis) {
+    const extent = clipboard.size[axis];
+    return {
+        size: { ...clipboard.size },
+        cells: clipboard.cells.map(cell => ({ ...cell, [axis]: extent - 1 - cell[axis] }))
+    };
+}
+
+/**
+ * Clipboard cells placed with their min corner at `origin` (grid cells)
+ */
+export function placeClipboard(clipboard, origin) {
+    return clipboard.cells.map(({ x, y, z, value }) => ({
+        x: x + origin.x,
+        y: y + origin.y,
+        z: z + origin.z,
+        value
+    }));
+}
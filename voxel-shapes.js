@@ -0,0 +1,208 @@
+/* ============================================
+   VOXEL SHAPES - Shape Generators & Flood Fill
+   ============================================
+
+   Pure cell generators for the shape tools. Every
+   shape is defined by two cells: the anchor `a` (first
+   click / pinch) and the cursor `b`. Generators return
+   [{ x, y, z }] and know nothing about colors or the
+   world; the editor filters and colors the result.
+
+       line        a -> b
+       box         filled box with corners a and b
+       hollow-box  only the shell of that box
+       plane       the box flattened along its thinnest axis (at a)
+       sphere      center a, radius |b - a|
+       cylinder    base center a, radius = horizontal |b - a|,
+                   height from a.y to b.y
+
+   Flood fills walk face neighbours (see FACE_OFFSETS)
+   and stop after `limit` cells.
+*/
+
+import { FACE_OFFSETS, cellKey } from './voxel-grid.js';
+
+export const SHAPE_TOOLS = ['line', 'box', 'hollow-box', 'plane', 'sphere', 'cylinder'];
+
+function cornerBox(a, b) {
+    return {
+        min: { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), z: Math.min(a.z, b.z) },
+        max: { x: Math.max(a.x, b.x), y: Math.max(a.y, b.y), z: Math.max(a.z, b.z) }
+    };
+}
+
+function boxCells({ min, max }, keep = () => true) {
+    const cells = [];
+    for (let y = min.y; y <= max.y; y++) {
+        for (let z = min.z; z <= max.z; z++) {
+            for (let x = min.x; x <= max.x; x++) {
+                if (keep(x, y, z)) cells.push({ x, y, z });
+            }
+        }
+    }
+    return cells;
+}
+
+function sphereRadius(a, b) {
+    return Math.round(Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z));
+}
+
+function cylinderRadius(a, b) {
+    return Math.round(Math.hypot(b.x - a.x, b.z - a.z));
+}
+
+/**
+ * Box that encloses a shape. Lets callers check its size
+ * before generating any cells.
+ */
+export function shapeBounds(tool, a, b) {
+    switch (tool) {
+        case 'sphere': {
+            const r = sphereRadius(a, b);
+            return {
+                min: { x: a.x - r, y: a.y - r, z: a.z - r },
+                max: { x: a.x + r, y: a.y + r, z: a.z + r }
+            };
+        }
+        case 'cylinder': {
+            const r = cylinderRadius(a, b);
+            return {
+                min: { x: a.x - r, y: Math.min(a.y, b.y), z: a.z - r },
+                max: { x: a.x + r, y: Math.max(a.y, b.y), z: a.z + r }
+            };
+        }
+        case 'plane':
+            return planeBox(a, b);
+        default:
+            return cornerBox(a, b);
+    }
+}
+
+function planeBox(a, b) {
+    const box = cornerBox(a, b);
+    const extents = ['x', 'y', 'z'].map(axis => [axis, box.max[axis] - box.min[axis]]);
+    const [thinnest] = extents.reduce((best, next) => (next[1] < best[1] ? next : best));
+    box.min[thinnest] = box.max[thinnest] = a[thinnest];
+    return box;
+}
+
+/**
+ * Cells of a shape tool
+ * @param {string} tool - One of SHAPE_TOOLS
+ * @param {{x, y, z}} a - Anchor cell
+ * @param {{x, y, z}} b - Cursor cell
+ * @returns {Array} - [{ x, y, z }]
+ */
+export function shapeCells(tool, a, b) {
+    switch (tool) {
+        case 'line':
+            return lineCells(a, b);
+        case 'box':
+        case 'plane':
+            return boxCells(shapeBounds(tool, a, b));
+        case 'hollow-box': {
+            const { min, max } = cornerBox(a, b);
+            return boxCells({ min, max }, (x, y, z) =>
+                x === min.x || x === max.x ||
+                y === min.y || y === max.y ||
+                z === min.z || z === max.z);
+        }
+        case 'sphere': {
+            const r = sphereRadius(a, b);
+            // r² + r ≈ (r + 0.5)²: rounder than a strict r² cut-off
+            return boxCells(shapeBounds(tool, a, b), (x, y, z) =>
+                (x - a.x) ** 2 + (y - a.y) ** 2 + (z - a.z) ** 2 <= r * r + r);
+        }
+        case 'cylinder': {
+            const r = cylinderRadius(a, b);
+            return boxCells(shapeBounds(tool, a, b), (x, y, z) =>
+                (x - a.x) ** 2 + (z - a.z) ** 2 <= r * r + r);
+        }
+    }
+    throw new Error(`Unknown shape tool "${tool}"`);
+}
+
+/**
+ * 3D line: one cell per step along the longest axis
+ */
+export function lineCells(a, b) {
+    const dx = b.x - a.x, dy = b.y - a.y, dz = b.z - a.z;
+    const steps = Math.max(Math.abs(dx), Math.abs(dy), Math.abs(dz));
+    if (steps === 0) return [{ ...a }];
+
+    const cells = [];
+    for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        cells.push({
+            x: Math.round(a.x + dx * t),
+            y: Math.round(a.y + dy * t),
+            z: Math.round(a.z + dz * t)
+        });
+    }
+    return cells;
+}
+
+/**
+ * Connected voxels with the same color as the start voxel
+ * @returns {Array} - [{ x, y, z, value }], empty if start is empty
+ */
+export function floodRecolor(grid, start, limit) {
+    const first = grid.get(start.x, start.y, start.z);
+    if (!first) return [];
+
+    return walk(grid, start, limit, value => value !== null && value.color === first.color);
+}
+
+/**
+ * Empty region around `start` that is closed off by voxels (the floor
+ * counts as a wall). The region is open - and null is returned - if it
+ * reaches past the bounding box of the grid's voxels or grows past `limit`.
+ *
+ * @returns {Array|null} - [{ x, y, z }]
+ */
+export function floodFillEnclosed(grid, start, limit) {
+    const bounds = grid.bounds();
+    if (!bounds || grid.has(start.x, start.y, start.z)) return null;
+
+    const outside = ({ x, y, z }) =>
+        x < bounds.min.x || x > bounds.max.x ||
+        y > bounds.max.y ||
+        z < bounds.min.z || z > bounds.max.z;
+    if (outside(start)) return null;
+
+    let open = false;
+    const cells = walk(grid, start, limit, (value, cell) => {
+        if (value !== null || cell.y < 0) return false;
+        if (outside(cell)) open = true;
+        return !open;
+    });
+
+    if (open || cells.length >= limit) return null;
+    return cells.map(({ x, y, z }) => ({ x, y, z }));
+}
+
+/**
+ * Breadth-first walk over face neighbours accepted by `accept(value, cell)`
+ */
+function walk(grid, start, limit, accept) {
+    const seen = new Set([cellKey(start.x, start.y, start.z)]);
+    const queue = [{ ...start, value: grid.get(start.x, start.y, start.z) }];
+    const cells = [];
+    let head = 0;
+
+    while (head < queue.length && cells.length < limit) {
+        const cell = queue[head++];
+        cells.push(cell);
+
+        for (const [dx, dy, dz] of FACE_OFFSETS) {
+            const next = { x: cell.x + dx, y: cell.y + dy, z: cell.z + dz };
+            const key = cellKey(next.x, next.y, next.z);
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            next.value = grid.get(next.x, next.y, next.z);
+            if (accept(next.value, next)) queue.push(next);
+        }
+    }
+    return cells;
+}
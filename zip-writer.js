@@ -0,0 +1,123 @@
+/* ============================================
+   ZIP WRITER - Uncompressed Archives
+   ============================================
+
+   Bundles files (image sequences) into one .zip
+   download. Entries are stored, not deflated: PNGs
+   are compressed already.
+
+   Layout (all little-endian):
+
+       [local header, name, data] per file
+       [central directory entry, name] per file
+       end of central directory record
+
+   No ZIP64, so an archive stays below 4 GB and
+   65535 entries.
+*/
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date fields
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+export class ZipWriter {
+    constructor() {
+        this.parts = [];     // Local headers and file data, in order
+        this.entries = [];   // { name, crc, size, offset, time, date }
+        this.offset = 0;
+    }
+
+    /**
+     * @param {string} name - Path inside the archive ("frames/0001.png")
+     * @param {Uint8Array} bytes
+     * @param {Date} [modified]
+     * @throws {Error} - Past 65535 entries or 4 GB, which need ZIP64
+     */
+    add(name, bytes, modified = new Date()) {
+        const nameBytes = new TextEncoder().encode(name);
+        if (this.entries.length >= 0xffff) {
+            throw new Error('Too many files for one archive (65535 at most)');
+        }
+        // Sizes and offsets are 32-bit fields
+        if (this.offset + 30 + nameBytes.length + bytes.length > 0xffffffff) {
+            throw new Error('Archive would be larger than 4 GB');
+        }
+
+        const { time, date } = dosDateTime(modified);
+        const entry = { nameBytes, crc: crc32(bytes), size: bytes.length, offset: this.offset, time, date };
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);    // Local file header signature
+        header.setUint16(4, 20, true);            // Version needed (2.0)
+        header.setUint16(6, 0x0800, true);        // UTF-8 names
+        header.setUint16(8, 0, true);             // Stored
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, entry.crc, true);
+        header.setUint32(18, entry.size, true);   // Compressed size
+        header.setUint32(22, entry.size, true);   // Uncompressed size
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);            // Extra field length
+
+        // A Blob per file lets the browser keep big archives out of memory
+        this.parts.push(header.buffer, nameBytes, new Blob([bytes]));
+        this.entries.push(entry);
+        this.offset += 30 + nameBytes.length + bytes.length;
+    }
+
+    /**
+     * @returns {Blob} - The finished archive
+     */
+    toBlob() {
+        const central = [];
+        let size = 0;
+
+        this.entries.forEach(entry => {
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014b50, true);   // Central directory signature
+            record.setUint16(4, 20, true);           // Version made by
+            record.setUint16(6, 20, true);           // Version needed
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, entry.time, true);
+            record.setUint16(14, entry.date, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.nameBytes.length, true);
+            // Extra, comment, disk number, attributes: all zero
+            record.setUint32(42, entry.offset, true);
+            central.push(record.buffer, entry.nameBytes);
+            size += 46 + entry.nameBytes.length;
+        });
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);          // End of central directory signature
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, size, true);
+        end.setUint32(16, this.offset, true);
+
+        return new Blob([...this.parts, ...central, end.buffer], { type: 'application/zip' });
+    }
+}